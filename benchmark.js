@@ -0,0 +1,151 @@
+/**
+ * Build benchmark on a synthetic function pool
+ *
+ * Generates a layered pool where every function calls a few functions of the
+ * next layer, so deep subtrees are shared by many callers, plus a few
+ * mutually recursive pairs called from the top layers (or, with --deep-cycles,
+ * from every function of the last layer). Builds one app over
+ * it and reports the build time, the number of cached function subtrees and
+ * the number of asyncResolver calls:
+ *
+ *   node benchmark.js
+ *   node benchmark.js --layers 30 --width 200 --fanout 4 --cycles 10
+ *
+ * --legacy-keys keys every subtree on its full ancestor set, as before subtrees were
+ * keyed on the ancestors within the cycles they reach, for comparison:
+ *
+ *   node benchmark.js --layers 8 --legacy-keys
+ *   node benchmark.js --layers 8 --deep-cycles --legacy-keys
+ */
+
+import { parseArgs } from 'node:util';
+import { performance } from 'node:perf_hooks';
+import { TreeBuilder, ref, asyncRef } from './tree-builder.js';
+
+const { values } = parseArgs({
+    options: {
+        layers: { type: 'string', default: '20' },
+        width: { type: 'string', default: '100' },
+        fanout: { type: 'string', default: '3' },
+        cycles: { type: 'string', default: '5' },
+        seed: { type: 'string', default: '1' },
+        'legacy-keys': { type: 'boolean', default: false },
+        'deep-cycles': { type: 'boolean', default: false }
+    }
+});
+const layers = Number(values.layers);
+const width = Number(values.width);
+const fanout = Number(values.fanout);
+const cycles = Number(values.cycles);
+const legacyKeys = values['legacy-keys'];
+const deepCycles = values['deep-cycles'];
+
+// Small deterministic generator, so every run builds the same pool
+let seed = Number(values.seed) || 1;
+const random = () => (seed = (seed * 48271) % 2147483647) / 2147483647;
+const pick = (count) => Math.floor(random() * count);
+
+function createPool() {
+    const name = (layer, index) => `fn_${layer}_${index}`;
+    const pool = {};
+    for (let layer = 0; layer < layers; layer++) {
+        for (let index = 0; index < width; index++) {
+            const children = [];
+            if (layer < layers - 1) {
+                for (let call = 0; call < fanout; call++) {
+                    const target = name(layer + 1, pick(width));
+                    // Every tenth call goes through a queue
+                    children.push(pick(10) === 0 ? asyncRef(target) : ref(target));
+                }
+            }
+            pool[name(layer, index)] = { children };
+        }
+    }
+    for (let cycle = 0; cycle < cycles; cycle++) {
+        const first = `loop_${cycle}_a`;
+        const second = `loop_${cycle}_b`;
+        pool[second] = { children: [ref(first)] };
+        if (deepCycles) {
+            // Recursive helpers below the whole graph: every function reaches a cycle
+            pool[first] = { children: [ref(second)] };
+        } else {
+            pool[first] = { children: [ref(second), ref(name(Math.min(2, layers - 1), pick(width)))] };
+            pool[name(pick(Math.min(2, layers)), pick(width))].children.push(ref(first));
+        }
+    }
+    if (deepCycles && cycles > 0) {
+        for (let index = 0; index < width; index++) {
+            pool[name(layers - 1, index)].children.push(ref(`loop_${index % cycles}_a`));
+        }
+    }
+    return pool;
+}
+
+function createApp() {
+    return {
+        name: 'benchmark-app',
+        type: 'app',
+        children: [{
+            name: 'BENCH',
+            type: 'ui-services',
+            children: Array.from({ length: Math.min(width, 10) }, (_, index) => ({
+                name: `method${index}`,
+                type: 'ui-service-method',
+                children: [ref(`fn_0_${index}`)]
+            }))
+        }]
+    };
+}
+
+/**
+ * TreeBuilder that keeps its last build context, so the cached subtrees can be counted
+ * after the build. With legacyKeys no function is mapped to the cycles it reaches, so
+ * every subtree is keyed on its full ancestor set.
+ */
+class BenchmarkTreeBuilder extends TreeBuilder {
+    constructor(config, { legacyKeys = false } = {}) {
+        super(config);
+        this.legacyKeys = legacyKeys;
+        this.lastContext = null;
+    }
+
+    _createBuildContext(options) {
+        this.lastContext = super._createBuildContext(options);
+        return this.lastContext;
+    }
+
+    _findReachableCycleMembers(graph) {
+        return this.legacyKeys ? new Map() : super._findReachableCycleMembers(graph);
+    }
+
+    get cachedSubtreeCount() {
+        return this.lastContext.resolvedFunctions.size + this.lastContext.buildOnlyFunctions.size;
+    }
+}
+
+async function main() {
+    const pool = createPool();
+    let resolverCalls = 0;
+
+    const builder = new BenchmarkTreeBuilder({}, { legacyKeys });
+    builder.defineFunctions(pool);
+    builder.setAsyncResolver(async (funcName) => {
+        resolverCalls++;
+        return { queueName: `${funcName}.Q` };
+    });
+
+    const start = performance.now();
+    await builder.build(createApp());
+    const elapsed = performance.now() - start;
+
+    console.log(`Pool:             ${Object.keys(pool).length} functions (${layers} layers x ${width}, fan-out ${fanout}, ${cycles} ${deepCycles ? 'deep ' : ''}cycles)`);
+    console.log(`Cache keys:       ${legacyKeys ? 'legacy (full ancestor set)' : 'ancestors within reachable cycles'}`);
+    console.log(`Build time:       ${elapsed.toFixed(1)} ms`);
+    console.log(`Cached subtrees:  ${builder.cachedSubtreeCount}`);
+    console.log(`Resolver calls:   ${resolverCalls}`);
+}
+
+main().catch(err => {
+    console.error('Error:', err);
+    process.exit(1);
+});
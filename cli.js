@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+/**
+ * TreeBuilder CLI
+ *
+ * Builds one app from a config directory and prints the resolved tree, or
+ * opens it in the interactive explorer:
+ *
+ *   treebuilder build nims-wt-pend-process-app
+ *   treebuilder build nims-exceptions-app --config-dir ./config --format json
+ *   treebuilder explore nims-wt-file-process-app
+ *   treebuilder serve --port 8080
+ *
+ * The config directory holds functionPool.json and an apps/ directory with
+ * one JSON file per app (see json-loader.js).
+ */
+
+import { realpathSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { TreeBuilder } from './tree-builder.js';
+import {
+    loadApp,
+    loadFunctionPoolFromDirectory,
+    validateApp,
+    validateFunctionPool,
+    getDefaultConfigDir
+} from './json-loader.js';
+import { renderTree } from './tree-renderer.js';
+import { startExplorer, createPoolLookup } from './tree-explorer.js';
+import { treeToDot } from './dot-exporter.js';
+import { treeToHtml } from './html-exporter.js';
+import { treeToDag } from './tree-dag.js';
+import { createTreeServer, parseNodeTypes } from './server.js';
+
+const COMMANDS = ['build', 'explore', 'serve'];
+const FORMATS = ['ascii', 'json', 'dag', 'dot', 'html'];
+
+const USAGE = `Usage: treebuilder build <app> [options]
+       treebuilder explore <app> [options]
+       treebuilder serve [--port <port>] [--host <host>] [options]
+
+build     Build an app's function tree and print it.
+explore   Build an app's function tree and browse it interactively
+          (arrows to move/expand, / to search, d for a function's definition, q to quit).
+serve     Serve apps, trees and callers as JSON over HTTP (see server.js).
+          Builder options given here are defaults; requests can override them.
+
+Options:
+  --config-dir <dir>              Directory with functionPool.json and apps/ (default: bundled config)
+  --apps-dir <dir>                Directory with app JSON files (default: <config-dir>/apps)
+  --format <ascii|json|dag|dot|html>
+                                  Output format; dag is JSON with each function subtree stored once,
+                                  html is a self-contained offline viewer (default: ascii)
+  --charset <unicode|ascii>       Tree drawing characters for --format ascii (default: unicode)
+  --color, --no-color             Force colour on or off (default: on for terminals, unless NO_COLOR is set)
+  --no-metadata                   Hide metadata_lines text in --format ascii
+  --filter-empty-methods          Omit ui-service-methods with no children
+  --filter-empty-services         Omit ui-services with no children
+  --node-ids                      Stamp every node with a path-derived id and its path
+  --log-node-types <types>        Comma-separated node types that get a "Logs" metadata line
+  --unresolved-severity <level>   Node type for unresolved refs: warning or error (default: warning)
+  --port <port>                   Port for serve (default: 3000)
+  --host <host>                   Host for serve (default: 127.0.0.1)
+  -h, --help                      Show this help
+`;
+
+const OPTIONS = {
+    'config-dir': { type: 'string' },
+    'apps-dir': { type: 'string' },
+    'format': { type: 'string', default: 'ascii' },
+    'charset': { type: 'string', default: 'unicode' },
+    'color': { type: 'boolean' },
+    'no-color': { type: 'boolean' },
+    'no-metadata': { type: 'boolean', default: false },
+    'filter-empty-methods': { type: 'boolean', default: false },
+    'filter-empty-services': { type: 'boolean', default: false },
+    'node-ids': { type: 'boolean', default: false },
+    'log-node-types': { type: 'string' },
+    'unresolved-severity': { type: 'string', default: 'warning' },
+    'port': { type: 'string', default: '3000' },
+    'host': { type: 'string', default: '127.0.0.1' },
+    'help': { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the executable and script
+ * @returns {{ command: string|undefined, appName: string|undefined, options: object }}
+ */
+function parseCliArgs(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const { values, positionals } = parsed;
+    const [command, appName, ...rest] = positionals;
+
+    if (values.help) {
+        return { command: 'help', appName, options: values };
+    }
+    if (!COMMANDS.includes(command)) {
+        throw new UsageError(command ? `Unknown command "${command}"` : 'Missing command');
+    }
+    const extra = command === 'serve' ? [appName, ...rest].filter(Boolean) : rest;
+    if (command !== 'serve' && !appName) {
+        throw new UsageError('Missing app name');
+    }
+    if (extra.length > 0) {
+        throw new UsageError(`Unexpected argument "${extra[0]}"`);
+    }
+    if (!/^\d+$/.test(values.port) || Number(values.port) > 65535) {
+        throw new UsageError(`Invalid port "${values.port}"`);
+    }
+    if (!FORMATS.includes(values.format)) {
+        throw new UsageError(`Unknown format "${values.format}". Expected one of: ${FORMATS.join(', ')}`);
+    }
+    if (values.format === 'dag' && values['node-ids']) {
+        // Every node of a tree with node ids is unique, so its DAG form would share nothing
+        throw new UsageError('--node-ids cannot be combined with --format dag');
+    }
+    if (!['unicode', 'ascii'].includes(values.charset)) {
+        throw new UsageError(`Unknown charset "${values.charset}". Expected unicode or ascii`);
+    }
+    if (values['log-node-types']) {
+        try {
+            parseNodeTypes(values['log-node-types'], '--log-node-types');
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+    if (!['warning', 'error'].includes(values['unresolved-severity'])) {
+        throw new UsageError(`Unknown unresolved severity "${values['unresolved-severity']}". Expected warning or error`);
+    }
+    return { command, appName: command === 'serve' ? undefined : appName, options: values };
+}
+
+/**
+ * Decide whether to colour output: explicit flags win, then NO_COLOR, then whether stdout is a terminal
+ */
+function shouldUseColor(options, stdout, env) {
+    if (options['no-color']) return false;
+    if (options.color) return true;
+    if (env.NO_COLOR) return false;
+    return Boolean(stdout.isTTY);
+}
+
+function getDirectories(options) {
+    const configDir = options['config-dir'] || getDefaultConfigDir();
+    return { configDir, appsDir: options['apps-dir'] || join(configDir, 'apps') };
+}
+
+/**
+ * Map CLI flags to TreeBuilder config
+ * @param {object} options - Parsed CLI options
+ * @returns {object}
+ */
+function getBuilderOptions(options) {
+    return {
+        filterEmptyUiServiceMethods: options['filter-empty-methods'],
+        filterEmptyUiServices: options['filter-empty-services'],
+        nodeIds: options['node-ids'],
+        logNodeTypes: options['log-node-types'] ? parseNodeTypes(options['log-node-types'], '--log-node-types') : null,
+        unresolvedSeverity: options['unresolved-severity']
+    };
+}
+
+/**
+ * Start the HTTP server and wait until it closes
+ * @param {object} options - Parsed CLI options
+ * @param {object} io - { stdout }
+ * @returns {Promise<void>}
+ */
+function serve(options, io) {
+    const server = createTreeServer({ ...getDirectories(options), builderOptions: getBuilderOptions(options) });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.once('close', resolve);
+        server.listen(Number(options.port), options.host, () => {
+            const { address, port } = server.address();
+            io.stdout.write(`treebuilder listening on http://${address}:${port}\n`);
+        });
+    });
+}
+
+/**
+ * Load the function pool and an app from the configured directories and build the app
+ * @param {string} appName
+ * @param {object} options - Parsed CLI options
+ * @returns {Promise<{ tree: object, functionPool: object }>}
+ */
+async function loadAndBuild(appName, options) {
+    const { configDir, appsDir } = getDirectories(options);
+
+    const functionPool = await loadFunctionPoolFromDirectory(configDir);
+    validateFunctionPool(functionPool);
+    const appConfig = await loadApp(appName, appsDir);
+    validateApp(appConfig);
+
+    const builder = new TreeBuilder(getBuilderOptions(options));
+    builder.defineFunctions(functionPool);
+    return { tree: await builder.build(appConfig), functionPool };
+}
+
+/**
+ * Build an app and format the tree
+ * @param {string} appName
+ * @param {object} options - Parsed CLI options
+ * @param {object} io - { stdout, env }
+ * @returns {Promise<string>} Output text
+ */
+async function buildApp(appName, options, io) {
+    const { tree } = await loadAndBuild(appName, options);
+
+    switch (options.format) {
+        case 'json':
+            return `${JSON.stringify(tree, null, 2)}\n`;
+        case 'dag':
+            return `${JSON.stringify(treeToDag(tree), null, 2)}\n`;
+        case 'dot':
+            return treeToDot(tree);
+        case 'html':
+            return treeToHtml(tree);
+        default:
+            return renderTree(tree, {
+                charset: options.charset,
+                color: shouldUseColor(options, io.stdout, io.env),
+                metadata: !options['no-metadata']
+            });
+    }
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the executable and script
+ * @param {object} io - Streams and environment, overridable for tests
+ * @returns {Promise<number>} Exit code: 0 on success, 1 on build errors, 2 on usage errors
+ */
+async function run(argv, io = {}) {
+    const { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, env = process.env } = io;
+    try {
+        const { command, appName, options } = parseCliArgs(argv);
+        if (command === 'help') {
+            stdout.write(USAGE);
+            return 0;
+        }
+        if (command === 'explore') {
+            const { tree, functionPool } = await loadAndBuild(appName, options);
+            await startExplorer(tree, {
+                input: stdin,
+                output: stdout,
+                color: shouldUseColor(options, stdout, env),
+                getDefinition: createPoolLookup(functionPool)
+            });
+            return 0;
+        }
+        if (command === 'serve') {
+            await serve(options, { stdout });
+            return 0;
+        }
+        stdout.write(await buildApp(appName, options, { stdout, env }));
+        return 0;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            stderr.write(`treebuilder: ${error.message}\n\n${USAGE}`);
+            return 2;
+        }
+        stderr.write(`treebuilder: ${error.message}\n`);
+        return 1;
+    }
+}
+
+// Run when executed directly (including through the npm bin symlink), not when imported
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    process.exitCode = await run(process.argv.slice(2));
+}
+
+export { run, parseCliArgs };
@@ -0,0 +1,140 @@
+/**
+ * Graphviz DOT Exporter
+ *
+ * Turns a built tree (output of TreeBuilder.build()) or the raw function graph
+ * (TreeBuilder.getFunctionGraph()) into a DOT digraph that can be rendered with
+ * `dot -Tsvg` or pasted into any Graphviz-aware tool.
+ *
+ * Edges that cross an async boundary (out of timer, topic and queue nodes, or
+ * async/queue/topic edges in the function graph) are dashed.
+ */
+
+const NODE_STYLES = {
+    'app': { shape: 'box3d', style: 'filled', fillcolor: '#dbe9f6' },
+    'ui-services': { shape: 'tab', style: 'filled', fillcolor: '#e8f4e8' },
+    'ui-service-method': { shape: 'component', style: 'filled', fillcolor: '#f2f9f2' },
+    'function': { shape: 'box', style: 'rounded' },
+    'timer': { shape: 'cds', style: 'filled', fillcolor: '#fff4d6' },
+    'topic': { shape: 'hexagon', style: 'filled', fillcolor: '#fde8d7' },
+    'queue': { shape: 'cds', style: 'filled', fillcolor: '#fff4d6' },
+    'smart': { shape: 'octagon', style: 'filled', fillcolor: '#eeeeee' },
+    'warning': { shape: 'note', style: 'filled', fillcolor: '#fff3cd', color: '#b8860b' },
+    'error': { shape: 'note', style: 'filled', fillcolor: '#f8d7da', color: '#b22222' },
+    'dupe-stopper': { shape: 'box', style: 'dashed', color: '#888888', fontcolor: '#888888' }
+};
+
+const ASYNC_NODE_TYPES = ['timer', 'topic', 'queue'];
+
+/**
+ * Quote a string as a DOT ID
+ * @param {string} value
+ * @returns {string}
+ */
+function quote(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Format DOT attributes
+ * @param {object} attributes
+ * @returns {string} e.g. ' [label="x", shape=box]', or '' when empty
+ */
+function formatAttributes(attributes) {
+    const entries = Object.entries(attributes).filter(([, value]) => value !== undefined);
+    if (entries.length === 0) return '';
+    return ` [${entries.map(([key, value]) => `${key}=${quote(value)}`).join(', ')}]`;
+}
+
+function renderGraph(name, options, lines) {
+    const { rankdir = 'LR' } = options;
+    return [
+        `digraph ${quote(name)} {`,
+        `    rankdir=${rankdir};`,
+        '    node [fontname="Helvetica", fontsize=10];',
+        '    edge [fontname="Helvetica", fontsize=9];',
+        ...lines.map(line => `    ${line}`),
+        '}',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Export a built tree as DOT
+ * @param {object} tree - Tree from TreeBuilder.build()
+ * @param {object} options
+ * @param {boolean} options.mergeFunctions - Draw each function once and point every reference
+ *                                           at that vertex (default: false, one vertex per occurrence)
+ * @param {string} options.graphName - Graph name (default: root node name)
+ * @param {string} options.rankdir - Graphviz rankdir (default: 'LR')
+ * @returns {string} DOT source
+ */
+function treeToDot(tree, options = {}) {
+    const { mergeFunctions = false, graphName = tree?.name || 'tree' } = options;
+    const lines = [];
+    const functionIds = new Map();
+    let nextId = 0;
+
+    const addNode = (node) => {
+        const id = `n${nextId++}`;
+        lines.push(`${id}${formatAttributes({ label: node.name, ...(NODE_STYLES[node.type] || {}) })};`);
+        return id;
+    };
+
+    const visit = (node) => {
+        if (mergeFunctions && node.type === 'function' && functionIds.has(node.name)) {
+            return { id: functionIds.get(node.name), expand: false };
+        }
+        const id = addNode(node);
+        if (mergeFunctions && node.type === 'function') {
+            functionIds.set(node.name, id);
+        }
+        return { id, expand: true };
+    };
+
+    const edgeKeys = new Set();
+    const walk = (node, id) => {
+        const dashed = ASYNC_NODE_TYPES.includes(node.type);
+        for (const child of node.children || []) {
+            const { id: childId, expand } = visit(child);
+            const edgeKey = `${id}->${childId}`;
+            if (!edgeKeys.has(edgeKey)) {
+                edgeKeys.add(edgeKey);
+                lines.push(`${id} -> ${childId}${formatAttributes({ style: dashed ? 'dashed' : undefined })};`);
+            }
+            if (expand) walk(child, childId);
+        }
+    };
+
+    if (tree) {
+        walk(tree, visit(tree).id);
+    }
+    return renderGraph(graphName, options, lines);
+}
+
+/**
+ * Export the raw function graph as DOT. Every function is a single vertex.
+ * @param {{ functions: object[], edges: object[] }} graph - From TreeBuilder.getFunctionGraph()
+ * @param {object} options
+ * @param {string} options.graphName - Graph name (default: 'functions')
+ * @param {string} options.rankdir - Graphviz rankdir (default: 'LR')
+ * @returns {string} DOT source
+ */
+function functionGraphToDot(graph, options = {}) {
+    const { graphName = 'functions' } = options;
+    const ids = new Map(graph.functions.map((fn, i) => [fn.name, `f${i}`]));
+
+    const lines = graph.functions.map(fn => {
+        const style = fn.defined ? NODE_STYLES.function : NODE_STYLES.warning;
+        return `${ids.get(fn.name)}${formatAttributes({ label: fn.name, ...style })};`;
+    });
+    for (const edge of graph.edges) {
+        const async = edge.kind !== 'sync';
+        lines.push(`${ids.get(edge.from)} -> ${ids.get(edge.to)}${formatAttributes({
+            style: async ? 'dashed' : undefined,
+            label: async ? edge.kind : undefined
+        })};`);
+    }
+    return renderGraph(graphName, options, lines);
+}
+
+export { treeToDot, functionGraphToDot, NODE_STYLES };
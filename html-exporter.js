@@ -0,0 +1,230 @@
+/**
+ * HTML Viewer Exporter
+ *
+ * Writes a built tree (output of TreeBuilder.build()) into a single
+ * self-contained HTML page: the tree JSON, styles and viewer script are all
+ * inlined, so the file opens from disk in any browser without network access.
+ *
+ * The viewer offers collapsible nodes with type icons, a search box that
+ * highlights matches and opens their ancestors, highlighting of warning,
+ * error and dupe-stopper nodes, and clickable metadata_lines that show
+ * their `data` payload in a side panel.
+ */
+
+import { writeFile } from 'node:fs/promises';
+
+const TYPE_ICONS = {
+    'app': '🗂',
+    'ui-services': '🖥',
+    'ui-service-method': '▶',
+    'function': 'ƒ',
+    'timer': '⏱',
+    'queue': '📨',
+    'topic': '📣',
+    'smart': '🌐',
+    'warning': '⚠',
+    'error': '⛔',
+    'dupe-stopper': '🔁'
+};
+
+const STYLES = `
+body { margin: 0; font: 14px/1.4 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #222; }
+header { position: sticky; top: 0; display: flex; gap: 8px; align-items: center; padding: 8px 12px; background: #f4f6f8; border-bottom: 1px solid #d0d7de; }
+header h1 { font-size: 16px; margin: 0 12px 0 0; }
+header input { flex: 1; max-width: 360px; padding: 4px 8px; }
+header .count { color: #666; }
+main { display: flex; }
+#tree { flex: 1; padding: 8px 12px; overflow: auto; }
+#details { width: 360px; padding: 8px 12px; border-left: 1px solid #d0d7de; background: #fafbfc; white-space: pre-wrap; font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 12px; }
+#details:empty { display: none; }
+ul { list-style: none; margin: 0; padding-left: 20px; }
+#tree > ul { padding-left: 0; }
+.row { display: inline-flex; gap: 6px; align-items: baseline; padding: 1px 4px; border-radius: 3px; }
+.toggle { display: inline-block; width: 12px; cursor: pointer; color: #666; user-select: none; }
+.icon { width: 18px; text-align: center; }
+.type { color: #888; font-size: 11px; }
+.collapsed > ul { display: none; }
+.node-warning > .row { background: #fff3cd; }
+.node-error > .row { background: #f8d7da; }
+.node-dupe-stopper > .row { color: #888; font-style: italic; border: 1px dashed #aaa; }
+.match > .row { outline: 2px solid #f0b400; }
+.metadata { display: block; margin-left: 42px; color: #555; font-size: 12px; }
+.metadata.clickable { color: #0969da; cursor: pointer; text-decoration: underline; }
+.empty { color: #666; font-style: italic; }
+`;
+
+/**
+ * Viewer script. Serialized with Function.prototype.toString() and run in the browser,
+ * so it must not reference anything from this module.
+ */
+function viewerMain(icons) {
+    const tree = JSON.parse(document.getElementById('tree-data').textContent);
+    const container = document.getElementById('tree');
+    const details = document.getElementById('details');
+    const search = document.getElementById('search');
+    const count = document.getElementById('count');
+    const items = [];
+    const itemsByLi = new Map(); // li -> item, to find the items of a match's ancestors
+
+    function element(tag, className, text) {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text !== undefined) el.textContent = text;
+        return el;
+    }
+
+    function showDetails(node, line) {
+        const lines = [`${node.type}: ${node.name}`];
+        if (node._path) lines.push(`Path: ${node._path.join(' > ')}`);
+        if (line) lines.push('', `${line.text}:`, JSON.stringify(line.data, null, 2));
+        details.textContent = lines.join('\n');
+    }
+
+    function renderNode(node, depth) {
+        const li = element('li', `node-${node.type}`);
+        const row = element('span', 'row');
+        const children = node.children || [];
+        const toggle = element('span', 'toggle', children.length > 0 ? '▾' : '');
+        row.append(toggle, element('span', 'icon', icons[node.type] || '•'), element('span', 'name', node.name), element('span', 'type', node.type));
+        row.addEventListener('click', () => showDetails(node));
+        li.append(row);
+
+        for (const line of node.metadata_lines || []) {
+            const clickable = line.clickable && line.data !== undefined;
+            const meta = element('span', clickable ? 'metadata clickable' : 'metadata', line.text);
+            if (clickable) meta.addEventListener('click', () => showDetails(node, line));
+            li.append(meta);
+        }
+
+        if (children.length > 0) {
+            const ul = element('ul');
+            children.forEach(child => ul.append(renderNode(child, depth + 1)));
+            li.append(ul);
+            if (depth >= 2) li.classList.add('collapsed');
+            toggle.addEventListener('click', (event) => {
+                event.stopPropagation();
+                li.classList.toggle('collapsed');
+                toggle.textContent = li.classList.contains('collapsed') ? '▸' : '▾';
+            });
+            toggle.textContent = li.classList.contains('collapsed') ? '▸' : '▾';
+        }
+        const item = { li, toggle, name: node.name.toLowerCase() };
+        items.push(item);
+        itemsByLi.set(li, item);
+        return li;
+    }
+
+    function setCollapsed(item, collapsed) {
+        if (!item.toggle.textContent) return;
+        item.li.classList.toggle('collapsed', collapsed);
+        item.toggle.textContent = collapsed ? '▸' : '▾';
+    }
+
+    if (!tree) {
+        container.append(element('p', 'empty', 'No tree to show'));
+        return;
+    }
+
+    const root = element('ul');
+    root.append(renderNode(tree, 0));
+    container.append(root);
+
+    search.addEventListener('input', () => {
+        const query = search.value.trim().toLowerCase();
+        let matches = 0;
+        for (const item of items) {
+            const isMatch = query !== '' && item.name.includes(query);
+            item.li.classList.toggle('match', isMatch);
+            if (!isMatch) continue;
+            matches++;
+            // Open every ancestor so the match is visible
+            for (let parent = item.li.parentElement.closest('li'); parent; parent = parent.parentElement.closest('li')) {
+                const parentItem = itemsByLi.get(parent);
+                if (parentItem) setCollapsed(parentItem, false);
+            }
+        }
+        count.textContent = query ? `${matches} match${matches === 1 ? '' : 'es'}` : '';
+        const first = container.querySelector('.match');
+        if (first) first.scrollIntoView({ block: 'center' });
+    });
+
+    document.getElementById('expand-all').addEventListener('click', () => items.forEach(item => setCollapsed(item, false)));
+    document.getElementById('collapse-all').addEventListener('click', () => items.forEach(item => setCollapsed(item, true)));
+}
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Serialize JSON for embedding in a <script> element. Escaping "<" keeps
+ * names like "</script>" from ending the element early.
+ * @param {*} value
+ * @returns {string}
+ */
+function toScriptJson(value) {
+    return JSON.stringify(value)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Export a built tree as a self-contained HTML page
+ * @param {object|null} tree - Tree from TreeBuilder.build(); null renders an empty page
+ * @param {object} options
+ * @param {string} options.title - Page title (default: root node name)
+ * @returns {string} HTML document
+ */
+function treeToHtml(tree, options = {}) {
+    const { title = tree?.name || 'Tree' } = options;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<input id="search" type="search" placeholder="Search functions, queues, services…" autocomplete="off">
+<span id="count" class="count"></span>
+<button id="expand-all" type="button">Expand all</button>
+<button id="collapse-all" type="button">Collapse all</button>
+</header>
+<main>
+<div id="tree"></div>
+<div id="details"></div>
+</main>
+<script type="application/json" id="tree-data">${toScriptJson(tree ?? null)}</script>
+<script>
+(${viewerMain.toString()})(${toScriptJson(TYPE_ICONS)});
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write a built tree to an HTML file
+ * @param {object} tree - Tree from TreeBuilder.build()
+ * @param {string} filePath - Destination file
+ * @param {object} options - See treeToHtml()
+ * @returns {Promise<void>}
+ */
+async function writeTreeHtml(tree, filePath, options = {}) {
+    await writeFile(filePath, treeToHtml(tree, options), 'utf8');
+}
+
+export { treeToHtml, writeTreeHtml, TYPE_ICONS };
@@ -8,6 +8,9 @@
  * - Sync reference:       { "ref": "functionName" }
  * - Async reference:      { "ref": "functionName", "async": true, "queueName": "QUEUE.NAME" }
  * - Topic publish:        { "topicName": "eventName", "topicPublish": true }
+ *
+ * Topic subscribers are declared on a function with "subscribesTo": ["eventName"],
+ * or in a separate subscriptions file: { "eventName": ["subscriberFunction"] }
  */
 
 import { readFile, readdir } from 'fs/promises';
@@ -138,6 +141,28 @@ async function loadFunctionPoolFromDirectory(configDir) {
     return loadFromFile(join(configDir, 'functionPool.json'));
 }
 
+/**
+ * Load topic subscriptions
+ * @param {string} source - File path or URL to a subscriptions JSON file
+ * @param {object} options - Fetch options for URL sources
+ * @returns {Promise<object>} Map of topic name to subscriber function names,
+ *                            ready for builder.defineTopicSubscriptions()
+ */
+async function loadTopicSubscriptions(source, options = {}) {
+    const subscriptions = await loadJson(source, options);
+
+    if (!subscriptions || typeof subscriptions !== 'object' || Array.isArray(subscriptions)) {
+        throw new Error('Invalid topic subscriptions: must be an object');
+    }
+    for (const [topicName, subscribers] of Object.entries(subscriptions)) {
+        if (!Array.isArray(subscribers)) {
+            throw new Error(`Invalid topic subscriptions: subscribers for "${topicName}" must be an array`);
+        }
+    }
+
+    return subscriptions;
+}
+
 /**
  * List all available app names in a directory
  * @param {string} appsDir - Directory containing app JSON files
@@ -151,20 +176,263 @@ async function listAvailableApps(appsDir) {
 }
 
 /**
- * Validate that an app configuration has the expected structure
- * @param {object} app - App configuration to validate
- * @returns {boolean} True if valid
- * @throws {Error} If validation fails
+ * Load every application configuration in a directory
+ * @param {string} appsDir - Directory containing app JSON files
+ * @returns {Promise<object[]>} Application configuration objects, in listAvailableApps order
  */
-function validateApp(app) {
-    if (!app || typeof app !== 'object') {
-        throw new Error('Invalid app config: must be an object');
+async function loadAllApps(appsDir) {
+    const appNames = await listAvailableApps(appsDir);
+    return Promise.all(appNames.map(appName => loadApp(appName, appsDir)));
+}
+
+/**
+ * Run cross-app impact analysis for one or more functions over every app in a directory
+ * @param {TreeBuilder} builder - Builder with the function pool already defined
+ * @param {string|string[]} functionNames - Function(s) to analyze
+ * @param {string} appsDir - Directory containing app JSON files (default: config/apps)
+ * @returns {Promise<object>} Result of builder.analyzeImpact()
+ */
+async function analyzeImpactFromDirectory(builder, functionNames, appsDir = getDefaultAppsDir()) {
+    const apps = await loadAllApps(appsDir);
+    return builder.analyzeImpact(functionNames, apps);
+}
+
+const REF_KEYS = ['ref', 'async', 'queueName', 'metadata_lines'];
+const TOPIC_PUBLISH_KEYS = ['topicName', 'topicPublish', 'queueName', 'async', 'metadata_lines'];
+const NODE_KEYS = ['name', 'type', 'children', 'metadata_lines', 'usesLegacyGatewayHttpClient'];
+const FUNCTION_DEF_KEYS = [
+    'children',
+    'app',
+    'queueName',
+    'displayName',
+    'metadata_lines',
+    'usesLegacyGatewayHttpClient',
+    'subscribesTo'
+];
+const METADATA_LINE_KEYS = ['text', 'clickable', 'data'];
+const QUEUE_NODE_TYPES = ['queue', 'timer', 'topic'];
+const APP_NODE_TYPES = ['ui-services', 'ui-service-method', 'function', ...QUEUE_NODE_TYPES];
+
+/**
+ * Escape a key for use in a JSON Pointer (RFC 6901)
+ * @param {string|number} key
+ * @returns {string}
+ */
+function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Collects schema errors as { pointer, message } while walking a config
+ */
+function createErrorCollector() {
+    const errors = [];
+    return {
+        errors,
+        add(pointer, message) {
+            errors.push({ pointer, message });
+        },
+        checkKeys(value, allowedKeys, pointer, kind) {
+            for (const [key, keyValue] of Object.entries(value)) {
+                // Keys left undefined (e.g. topicPublishRef's "ref") never reach JSON
+                if (keyValue !== undefined && !allowedKeys.includes(key)) {
+                    errors.push({ pointer: `${pointer}/${escapePointer(key)}`, message: `unknown property "${key}" for ${kind}` });
+                }
+            }
+        },
+        checkType(value, key, expected, pointer) {
+            if (value[key] !== undefined && typeof value[key] !== expected) {
+                errors.push({ pointer: `${pointer}/${escapePointer(key)}`, message: `"${key}" must be a ${expected}` });
+            }
+        }
+    };
+}
+
+function checkMetadataLines(lines, pointer, collector) {
+    if (lines === undefined) return;
+    if (!Array.isArray(lines)) {
+        collector.add(pointer, '"metadata_lines" must be an array');
+        return;
+    }
+    lines.forEach((line, i) => {
+        const linePointer = `${pointer}/${i}`;
+        if (!isPlainObject(line)) {
+            collector.add(linePointer, 'metadata line must be an object');
+            return;
+        }
+        collector.checkKeys(line, METADATA_LINE_KEYS, linePointer, 'metadata line');
+        if (line.text === undefined) {
+            collector.add(linePointer, 'metadata line is missing required "text" property');
+        }
+        collector.checkType(line, 'text', 'string', linePointer);
+        collector.checkType(line, 'clickable', 'boolean', linePointer);
+        if (line.data !== undefined && !isPlainObject(line.data)) {
+            collector.add(`${linePointer}/data`, '"data" must be an object');
+        }
+    });
+}
+
+/**
+ * Check a child entry: a sync/async ref, a topic publish, or an inline node.
+ * In the function pool only refs and inline queue nodes are allowed.
+ */
+function checkChild(child, pointer, collector, allowedTypes) {
+    if (!isPlainObject(child)) {
+        collector.add(pointer, 'child must be an object');
+        return;
     }
+
+    if (child.topicPublish !== undefined) {
+        collector.checkKeys(child, TOPIC_PUBLISH_KEYS, pointer, 'topic publish reference');
+        if (child.topicPublish !== true) {
+            collector.add(`${pointer}/topicPublish`, '"topicPublish" must be true');
+        }
+        if (child.async !== undefined && child.async !== false) {
+            collector.add(`${pointer}/async`, '"async" must be false for a topic publish reference');
+        }
+        collector.checkType(child, 'topicName', 'string', pointer);
+        collector.checkType(child, 'queueName', 'string', pointer);
+        checkMetadataLines(child.metadata_lines, `${pointer}/metadata_lines`, collector);
+        return;
+    }
+
+    if (child.ref !== undefined) {
+        collector.checkKeys(child, REF_KEYS, pointer, 'function reference');
+        collector.checkType(child, 'ref', 'string', pointer);
+        collector.checkType(child, 'async', 'boolean', pointer);
+        collector.checkType(child, 'queueName', 'string', pointer);
+        if (child.queueName !== undefined && child.async !== true) {
+            collector.add(`${pointer}/queueName`, '"queueName" is only allowed on async references');
+        }
+        checkMetadataLines(child.metadata_lines, `${pointer}/metadata_lines`, collector);
+        return;
+    }
+
+    checkNode(child, pointer, collector, allowedTypes);
+}
+
+/**
+ * Check an inline node (ui-services, ui-service-method, queue, ...) and its children
+ */
+function checkNode(node, pointer, collector, allowedTypes) {
+    collector.checkKeys(node, NODE_KEYS, pointer, 'node');
+    if (node.name === undefined) {
+        collector.add(pointer, 'missing required "name" property');
+    }
+    collector.checkType(node, 'name', 'string', pointer);
+    if (node.type === undefined) {
+        collector.add(pointer, 'missing required "type" property');
+    } else if (!allowedTypes.includes(node.type)) {
+        collector.add(`${pointer}/type`, `"type" must be one of: ${allowedTypes.join(', ')}`);
+    }
+    collector.checkType(node, 'usesLegacyGatewayHttpClient', 'boolean', pointer);
+    checkMetadataLines(node.metadata_lines, `${pointer}/metadata_lines`, collector);
+    checkChildren(node.children, `${pointer}/children`, collector, allowedTypes);
+}
+
+function checkChildren(children, pointer, collector, allowedTypes) {
+    if (children === undefined) return;
+    if (!Array.isArray(children)) {
+        collector.add(pointer, '"children" must be an array');
+        return;
+    }
+    children.forEach((child, i) => checkChild(child, `${pointer}/${i}`, collector, allowedTypes));
+}
+
+/**
+ * Collect every schema error in an app configuration
+ * @param {object} app - App configuration to check
+ * @returns {Array<{ pointer: string, message: string }>} Errors, with JSON Pointers into the config
+ */
+function getAppValidationErrors(app) {
+    const collector = createErrorCollector();
+    if (!isPlainObject(app)) {
+        collector.add('', 'must be an object');
+        return collector.errors;
+    }
+
+    collector.checkKeys(app, NODE_KEYS, '', 'app');
     if (!app.name) {
-        throw new Error('Invalid app config: missing required "name" property');
+        collector.add('', 'missing required "name" property');
     }
+    collector.checkType(app, 'name', 'string', '');
     if (!app.type) {
-        throw new Error(`Invalid app "${app.name}": missing required "type" property`);
+        collector.add('', 'missing required "type" property');
+    } else if (app.type !== 'app') {
+        collector.add('/type', '"type" must be "app"');
+    }
+    collector.checkType(app, 'usesLegacyGatewayHttpClient', 'boolean', '');
+    checkMetadataLines(app.metadata_lines, '/metadata_lines', collector);
+    checkChildren(app.children, '/children', collector, APP_NODE_TYPES);
+    return collector.errors;
+}
+
+/**
+ * Collect every schema error in a function pool
+ * @param {object} pool - Function pool configuration to check
+ * @returns {Array<{ pointer: string, message: string }>} Errors, with JSON Pointers into the pool
+ */
+function getFunctionPoolValidationErrors(pool) {
+    const collector = createErrorCollector();
+    if (!isPlainObject(pool)) {
+        collector.add('', 'must be an object');
+        return collector.errors;
+    }
+
+    for (const [name, def] of Object.entries(pool)) {
+        const pointer = `/${escapePointer(name)}`;
+        if (!isPlainObject(def)) {
+            collector.add(pointer, 'function definition must be an object');
+            continue;
+        }
+        collector.checkKeys(def, FUNCTION_DEF_KEYS, pointer, 'function definition');
+        collector.checkType(def, 'app', 'string', pointer);
+        collector.checkType(def, 'queueName', 'string', pointer);
+        collector.checkType(def, 'displayName', 'string', pointer);
+        collector.checkType(def, 'usesLegacyGatewayHttpClient', 'boolean', pointer);
+        if (def.subscribesTo !== undefined
+            && (!Array.isArray(def.subscribesTo) || def.subscribesTo.some(topic => typeof topic !== 'string'))) {
+            collector.add(`${pointer}/subscribesTo`, '"subscribesTo" must be an array of strings');
+        }
+        checkMetadataLines(def.metadata_lines, `${pointer}/metadata_lines`, collector);
+        checkChildren(def.children, `${pointer}/children`, collector, QUEUE_NODE_TYPES);
+    }
+    return collector.errors;
+}
+
+/**
+ * Format schema errors into a single error
+ * @param {string} prefix - e.g. 'Invalid app "my-app"'
+ * @param {Array<{ pointer: string, message: string }>} errors
+ * @returns {Error} Error with an `errors` property holding the individual errors
+ */
+function createValidationError(prefix, errors) {
+    const lines = errors.map(({ pointer, message }) => (pointer ? `${pointer}: ${message}` : message));
+    const message = errors.length === 1
+        ? `${prefix}: ${lines[0]}`
+        : `${prefix}: ${errors.length} errors\n${lines.map(line => `  - ${line}`).join('\n')}`;
+    const error = new Error(message);
+    error.errors = errors;
+    return error;
+}
+
+/**
+ * Validate that an app configuration has the expected structure
+ * @param {object} app - App configuration to validate
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails; `error.errors` lists every { pointer, message }
+ */
+function validateApp(app) {
+    const errors = getAppValidationErrors(app);
+    if (errors.length > 0) {
+        const prefix = isPlainObject(app) && typeof app.name === 'string' && app.name
+            ? `Invalid app "${app.name}"`
+            : 'Invalid app config';
+        throw createValidationError(prefix, errors);
     }
     return true;
 }
@@ -173,11 +441,12 @@ function validateApp(app) {
  * Validate that a function pool configuration has the expected structure
  * @param {object} pool - Function pool configuration to validate
  * @returns {boolean} True if valid
- * @throws {Error} If validation fails
+ * @throws {Error} If validation fails; `error.errors` lists every { pointer, message }
  */
 function validateFunctionPool(pool) {
-    if (!pool || typeof pool !== 'object') {
-        throw new Error('Invalid function pool: must be an object');
+    const errors = getFunctionPoolValidationErrors(pool);
+    if (errors.length > 0) {
+        throw createValidationError('Invalid function pool', errors);
     }
     return true;
 }
@@ -206,9 +475,14 @@ export {
     loadAppFromUrl,
     loadFunctionPool,
     loadFunctionPoolFromDirectory,
+    loadTopicSubscriptions,
     listAvailableApps,
+    loadAllApps,
+    analyzeImpactFromDirectory,
     validateApp,
     validateFunctionPool,
+    getAppValidationErrors,
+    getFunctionPoolValidationErrors,
     getDefaultConfigDir,
     getDefaultAppsDir
 };
@@ -0,0 +1,223 @@
+/**
+ * Mermaid Exporter
+ *
+ * Serializes built trees (output of TreeBuilder.build()) as Mermaid diagrams
+ * that can be embedded in Markdown wikis and PR descriptions.
+ *
+ * Flowcharts draw timer/queue nodes as cylinders and topic nodes as hexagons,
+ * labelled with their resolved queue names. Edges leaving them are dotted.
+ * Labels are always quoted and escaped with Mermaid entity codes, so any
+ * function name is safe to render.
+ *
+ * Sequence diagrams are drawn per ui-service-method. Children are taken in
+ * config order as call order: sync calls are solid arrows with a return,
+ * hand-offs to timer/queue/topic nodes are async messages to a queue
+ * participant, which then delivers to the consuming functions.
+ */
+
+const FLOWCHART_SHAPES = {
+    'app': ['[["', '"]]'],
+    'ui-services': ['[/"', '"/]'],
+    'ui-service-method': ['(["', '"])'],
+    'function': ['["', '"]'],
+    'timer': ['[("', '")]'],
+    'queue': ['[("', '")]'],
+    'topic': ['{{"', '"}}'],
+    'smart': ['>"', '"]'],
+    'warning': ['>"', '"]'],
+    'error': ['>"', '"]'],
+    'dupe-stopper': ['("', '")']
+};
+
+const FLOWCHART_CLASSES = {
+    'app': 'fill:#dbe9f6,stroke:#4a76a8',
+    'uiServices': 'fill:#e8f4e8,stroke:#4a8a4a',
+    'uiServiceMethod': 'fill:#f2f9f2,stroke:#4a8a4a',
+    'function': 'fill:#ffffff,stroke:#555555',
+    'timer': 'fill:#fff4d6,stroke:#b8860b',
+    'queue': 'fill:#fff4d6,stroke:#b8860b',
+    'topic': 'fill:#fde8d7,stroke:#c0622b',
+    'smart': 'fill:#eeeeee,stroke:#777777',
+    'warning': 'fill:#fff3cd,stroke:#b8860b',
+    'error': 'fill:#f8d7da,stroke:#b22222',
+    'dupeStopper': 'fill:#ffffff,stroke:#888888,stroke-dasharray:4 3,color:#888888',
+    'truncated': 'fill:#ffffff,stroke:#bbbbbb,stroke-dasharray:2 2,color:#777777'
+};
+
+const ASYNC_NODE_TYPES = ['timer', 'topic', 'queue'];
+
+const LABEL_ENTITIES = { '#': '#35;', '"': '#quot;', ';': '#59;', '<': '#lt;', '>': '#gt;' };
+
+/**
+ * Escape text for use inside a quoted Mermaid label
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeLabel(text) {
+    return String(text)
+        .replace(/[#";<>]/g, char => LABEL_ENTITIES[char])
+        .replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Convert a node type into a Mermaid class name ('ui-service-method' -> 'uiServiceMethod')
+ * @param {string} type
+ * @returns {string}
+ */
+function toClassName(type) {
+    return String(type).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Export a built tree as a Mermaid flowchart
+ * @param {object} tree - Tree from TreeBuilder.build()
+ * @param {object} options
+ * @param {string} options.direction - Flowchart direction: 'LR' (default), 'TD', 'RL' or 'BT'
+ * @param {number} options.maxDepth - Deepest level to draw (root is 0); hidden children are
+ *                                    summarized in a "… N more" node (default: unlimited)
+ * @returns {string} Mermaid source
+ */
+function treeToMermaid(tree, options = {}) {
+    const { direction = 'LR', maxDepth = Infinity } = options;
+    const lines = [`flowchart ${direction}`];
+    const usedClasses = new Set();
+    let nextId = 0;
+
+    const addNode = (node) => {
+        const id = `n${nextId++}`;
+        const [open, close] = FLOWCHART_SHAPES[node.type] || FLOWCHART_SHAPES.function;
+        const className = toClassName(node.type);
+        const classSuffix = FLOWCHART_CLASSES[className] ? `:::${className}` : '';
+        if (classSuffix) usedClasses.add(className);
+        lines.push(`    ${id}${open}${escapeLabel(node.name)}${close}${classSuffix}`);
+        return id;
+    };
+
+    const walk = (node, id, depth) => {
+        const children = node.children || [];
+        if (children.length === 0) return;
+        const arrow = ASYNC_NODE_TYPES.includes(node.type) ? '-.->' : '-->';
+
+        if (depth >= maxDepth) {
+            const moreId = `n${nextId++}`;
+            lines.push(`    ${moreId}["… ${children.length} more"]:::truncated`);
+            lines.push(`    ${id} ${arrow} ${moreId}`);
+            usedClasses.add('truncated');
+            return;
+        }
+        for (const child of children) {
+            const childId = addNode(child);
+            lines.push(`    ${id} ${arrow} ${childId}`);
+            walk(child, childId, depth + 1);
+        }
+    };
+
+    if (tree) {
+        walk(tree, addNode(tree), 0);
+    }
+
+    for (const className of usedClasses) {
+        lines.push(`    classDef ${className} ${FLOWCHART_CLASSES[className]}`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Export one ui-service-method node as a Mermaid sequence diagram
+ * @param {object} methodNode - ui-service-method node from a built tree
+ * @param {object} options
+ * @param {string} options.uiServicesName - Name of the owning ui-services node, used to label
+ *                                          the entry participant (e.g. 'WT9000J.resolvePend')
+ * @param {number} options.maxDepth - Deepest call level drawn (direct calls are 1); deeper
+ *                                    calls are summarized in a note (default: unlimited)
+ * @returns {string} Mermaid source
+ */
+function methodToSequenceDiagram(methodNode, options = {}) {
+    const { uiServicesName, maxDepth = Infinity } = options;
+    const participants = new Map();
+    const body = [];
+
+    const getParticipant = (key, label) => {
+        if (!participants.has(key)) {
+            participants.set(key, { id: `p${participants.size}`, label });
+        }
+        return participants.get(key).id;
+    };
+
+    const emitChildren = (node, from, depth, delivered) => {
+        const children = node.children || [];
+        if (children.length === 0) return;
+        if (depth >= maxDepth) {
+            body.push(`Note over ${from}: … ${children.length} more`);
+            return;
+        }
+        for (const child of children) {
+            emitNode(child, from, depth + 1, delivered);
+        }
+    };
+
+    const emitNode = (node, from, depth, delivered) => {
+        const label = escapeLabel(node.name);
+        if (ASYNC_NODE_TYPES.includes(node.type)) {
+            const queue = getParticipant(`${node.type}:${node.name}`, `${node.name} (${node.type})`);
+            body.push(`${from}-)${queue}: ${node.type === 'topic' ? 'publish' : 'enqueue'}`);
+            emitChildren(node, queue, depth - 1, true);
+        } else if (node.type === 'function' || node.type === 'smart') {
+            const to = getParticipant(`function:${node.name}`, node.name);
+            if (delivered) {
+                body.push(`${from}-)+${to}: consume`);
+                emitChildren(node, to, depth, false);
+                body.push(`deactivate ${to}`);
+            } else {
+                body.push(`${from}->>+${to}: ${label}`);
+                emitChildren(node, to, depth, false);
+                body.push(`${to}-->>-${from}: return`);
+            }
+        } else {
+            // warning, error and dupe-stopper nodes annotate the caller
+            body.push(`Note over ${from}: ${label}`);
+        }
+    };
+
+    const entryName = uiServicesName ? `${uiServicesName}.${methodNode.name}` : methodNode.name;
+    const entry = getParticipant('entry', entryName);
+    emitChildren(methodNode, entry, 0, false);
+
+    const lines = [
+        'sequenceDiagram',
+        ...[...participants.values()].map(({ id, label }) => `participant ${id} as ${escapeLabel(label)}`),
+        ...body
+    ];
+    return `${lines.join('\n    ')}\n`;
+}
+
+/**
+ * Export a sequence diagram for every ui-service-method in a built tree
+ * @param {object} tree - Tree from TreeBuilder.build()
+ * @param {object} options - Passed to methodToSequenceDiagram (maxDepth)
+ * @returns {{ uiServices: string|null, method: string, name: string, diagram: string }[]}
+ *          One entry per method, in tree order
+ */
+function treeToSequenceDiagrams(tree, options = {}) {
+    const diagrams = [];
+    const walk = (node, parent) => {
+        if (node.type === 'ui-service-method') {
+            const uiServices = parent?.type === 'ui-services' ? parent.name : null;
+            diagrams.push({
+                uiServices,
+                method: node.name,
+                name: uiServices ? `${uiServices}.${node.name}` : node.name,
+                diagram: methodToSequenceDiagram(node, { ...options, uiServicesName: uiServices })
+            });
+            return;
+        }
+        for (const child of node.children || []) {
+            walk(child, node);
+        }
+    };
+
+    if (tree) walk(tree, null);
+    return diagrams;
+}
+
+export { treeToMermaid, methodToSequenceDiagram, treeToSequenceDiagrams, escapeLabel };
@@ -0,0 +1,279 @@
+/**
+ * Tree HTTP Server
+ *
+ * Small JSON API over json-loader and TreeBuilder, built on node:http:
+ *
+ *   GET /apps                       { apps: [name, ...] }
+ *   GET /apps/:name/tree            Built tree of one app
+ *   GET /functions/:name            { name, definition } from the function pool
+ *   GET /functions/:name/callers    Caller tree of a function across all apps
+ *
+ * Tree routes accept the builder options as query parameters:
+ *   ?filterEmptyUiServiceMethods=true&filterEmptyUiServices=true&nodeIds=true
+ *   &logNodeTypes=function,timer&unresolvedSeverity=error
+ * and ?format=dag for the compact form of tree-dag.js.
+ *
+ * The function pool is loaded once, on the first request. App configs are read
+ * from disk on every request, so edits to an app show up without a restart.
+ */
+
+import { createServer } from 'node:http';
+import { join } from 'node:path';
+import { TreeBuilder } from './tree-builder.js';
+import { treeToDag } from './tree-dag.js';
+import {
+    loadApp,
+    loadAllApps,
+    loadFunctionPoolFromDirectory,
+    listAvailableApps,
+    validateApp,
+    validateFunctionPool,
+    getDefaultConfigDir
+} from './json-loader.js';
+
+const BOOLEAN_PARAMS = ['filterEmptyUiServiceMethods', 'filterEmptyUiServices', 'nodeIds'];
+const SEVERITIES = ['warning', 'error'];
+const TREE_FORMATS = ['tree', 'dag'];
+const NODE_TYPES = [
+    'app', 'ui-services', 'ui-service-method', 'function', 'timer', 'topic', 'queue',
+    'smart', 'dupe-stopper', ...SEVERITIES
+];
+const DEFAULT_MAX_BUILDERS = 16;
+
+/**
+ * Error with an HTTP status, turned into a JSON error response
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Parse a comma-separated list of node types, as taken by ?logNodeTypes and the CLI's --log-node-types
+ * @param {string} value
+ * @param {string} source - Where the list came from, for the error message
+ * @returns {string[]} The types, sorted and deduplicated so equivalent lists compare equal
+ * @throws {Error} For the first type that is not a node type
+ */
+function parseNodeTypes(value, source) {
+    const types = value.split(',').map(type => type.trim()).filter(Boolean);
+    const unknown = types.find(type => !NODE_TYPES.includes(type));
+    if (unknown) {
+        throw new Error(`Unknown node type "${unknown}" in ${source}, expected: ${NODE_TYPES.join(', ')}`);
+    }
+    return [...new Set(types)].sort();
+}
+
+/**
+ * Read builder options from query parameters
+ * @param {URLSearchParams} params
+ * @returns {object} Options for the TreeBuilder constructor (only those present)
+ */
+function parseBuilderOptions(params) {
+    const options = {};
+    for (const name of BOOLEAN_PARAMS) {
+        if (!params.has(name)) continue;
+        const value = params.get(name);
+        if (!['true', 'false', '1', '0', ''].includes(value)) {
+            throw new HttpError(400, `Query parameter "${name}" must be true or false`);
+        }
+        options[name] = value === 'true' || value === '1' || value === '';
+    }
+    if (params.has('logNodeTypes')) {
+        try {
+            // Sorted and deduplicated, so equivalent lists share one builder
+            options.logNodeTypes = parseNodeTypes(params.get('logNodeTypes'), '"logNodeTypes"');
+        } catch (error) {
+            throw new HttpError(400, error.message);
+        }
+    }
+    if (params.has('unresolvedSeverity')) {
+        const severity = params.get('unresolvedSeverity');
+        if (!SEVERITIES.includes(severity)) {
+            throw new HttpError(400, `Query parameter "unresolvedSeverity" must be one of: ${SEVERITIES.join(', ')}`);
+        }
+        options.unresolvedSeverity = severity;
+    }
+    return options;
+}
+
+/**
+ * Read the ?format query parameter of the tree and caller routes
+ * @param {URLSearchParams} params
+ * @param {TreeBuilder} builder - Builder that will produce the tree
+ * @returns {string} 'tree' (the default) or 'dag'
+ */
+function parseTreeFormat(params, builder) {
+    const format = params.get('format') ?? 'tree';
+    if (!TREE_FORMATS.includes(format)) {
+        throw new HttpError(400, `Query parameter "format" must be one of: ${TREE_FORMATS.join(', ')}`);
+    }
+    // Every node of a tree with node ids is unique, so its DAG form would share nothing
+    if (format === 'dag' && builder.config.nodeIds) {
+        throw new HttpError(400, 'Query parameter "format=dag" cannot be combined with nodeIds');
+    }
+    return format;
+}
+
+/**
+ * Apply the tree format to a built tree
+ * @param {object} tree - Tree from TreeBuilder.build() or buildCallers()
+ * @param {string} format - From parseTreeFormat()
+ * @returns {object} The tree itself (format=tree) or its DAG form (format=dag)
+ */
+function formatTree(tree, format) {
+    return format === 'dag' ? treeToDag(tree) : tree;
+}
+
+function sendJson(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+}
+
+/**
+ * Create the HTTP server. Call .listen() on the result to start it.
+ * @param {object} options
+ * @param {string} options.configDir - Directory with functionPool.json (default: bundled config)
+ * @param {string} options.appsDir - Directory with app JSON files (default: <configDir>/apps)
+ * @param {object} options.builderOptions - TreeBuilder config applied to every request
+ *                                          before the query parameters
+ * @param {function} options.configureBuilder - Called with each TreeBuilder the server creates,
+ *                                              e.g. to set resolvers or topic subscriptions
+ * @param {number} options.maxBuilders - Builders kept for distinct option sets, least recently
+ *                                       used dropped first (default: 16)
+ * @returns {import('node:http').Server}
+ */
+function createTreeServer(options = {}) {
+    const {
+        configDir = getDefaultConfigDir(),
+        appsDir = join(configDir, 'apps'),
+        builderOptions = {},
+        configureBuilder = () => {},
+        maxBuilders = DEFAULT_MAX_BUILDERS
+    } = options;
+
+    let functionPoolPromise = null;
+    // option set (JSON) -> Promise<TreeBuilder>, shared across concurrent requests.
+    // Kept in least recently used order and capped at maxBuilders.
+    const builders = new Map();
+
+    const loadPool = () => {
+        if (!functionPoolPromise) {
+            functionPoolPromise = loadFunctionPoolFromDirectory(configDir).then(pool => {
+                validateFunctionPool(pool);
+                return pool;
+            });
+            // Let a later request retry after a failed load
+            functionPoolPromise.catch(() => { functionPoolPromise = null; });
+        }
+        return functionPoolPromise;
+    };
+
+    const getBuilder = (params) => {
+        const config = { ...builderOptions, ...parseBuilderOptions(params) };
+        const key = JSON.stringify(config);
+        let builderPromise = builders.get(key);
+        if (builderPromise) {
+            builders.delete(key);
+        } else {
+            builderPromise = loadPool().then(async pool => {
+                const builder = new TreeBuilder(config);
+                builder.defineFunctions(pool);
+                await configureBuilder(builder);
+                return builder;
+            });
+            builderPromise.catch(() => {
+                if (builders.get(key) === builderPromise) builders.delete(key);
+            });
+        }
+        builders.set(key, builderPromise);
+        if (builders.size > maxBuilders) {
+            builders.delete(builders.keys().next().value);
+        }
+        return builderPromise;
+    };
+
+    const loadAppOr404 = async (name) => {
+        const available = await listAvailableApps(appsDir);
+        if (!available.includes(name)) {
+            throw new HttpError(404, `App "${name}" not found`);
+        }
+        const app = await loadApp(name, appsDir);
+        try {
+            validateApp(app);
+        } catch (error) {
+            throw new HttpError(422, error.message);
+        }
+        return app;
+    };
+
+    const routes = [
+        {
+            pattern: /^\/apps\/?$/,
+            handler: async () => ({ apps: await listAvailableApps(appsDir) })
+        },
+        {
+            pattern: /^\/apps\/([^/]+)\/tree\/?$/,
+            handler: async ([name], params) => {
+                const builder = await getBuilder(params);
+                const format = parseTreeFormat(params, builder);
+                return formatTree(await builder.build(await loadAppOr404(name)), format);
+            }
+        },
+        {
+            pattern: /^\/functions\/([^/]+)\/?$/,
+            handler: async ([name], params) => {
+                const builder = await getBuilder(params);
+                const definition = builder.getFunction(name);
+                if (!definition) {
+                    throw new HttpError(404, `Function "${name}" not found`);
+                }
+                return { name: definition.displayName, definition };
+            }
+        },
+        {
+            pattern: /^\/functions\/([^/]+)\/callers\/?$/,
+            handler: async ([name], params) => {
+                const builder = await getBuilder(params);
+                const format = parseTreeFormat(params, builder);
+                if (!builder.getFunction(name)) {
+                    throw new HttpError(404, `Function "${name}" not found`);
+                }
+                return formatTree(await builder.buildCallers(name, await loadAllApps(appsDir)), format);
+            }
+        }
+    ];
+
+    return createServer(async (req, res) => {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const route = routes.find(candidate => candidate.pattern.test(url.pathname));
+            if (!route) {
+                throw new HttpError(404, `No route for ${url.pathname}`);
+            }
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                res.setHeader('Allow', 'GET, HEAD');
+                throw new HttpError(405, `Method ${req.method} not allowed`);
+            }
+
+            const segments = url.pathname.match(route.pattern).slice(1).map(segment => {
+                try {
+                    return decodeURIComponent(segment);
+                } catch {
+                    throw new HttpError(400, `Malformed path segment "${segment}"`);
+                }
+            });
+            sendJson(res, 200, await route.handler(segments, url.searchParams));
+        } catch (error) {
+            sendJson(res, error.status || 500, { error: error.message });
+        }
+    });
+}
+
+export { createTreeServer, parseBuilderOptions, parseNodeTypes };
@@ -0,0 +1,188 @@
+/**
+ * Unit tests for CLI
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { run, parseCliArgs } from '../cli.js';
+
+function createIo({ isTTY = false, env = {} } = {}) {
+    const output = { stdout: '', stderr: '' };
+    return {
+        output,
+        io: {
+            stdout: { isTTY, write: chunk => { output.stdout += chunk; } },
+            stderr: { write: chunk => { output.stderr += chunk; } },
+            env
+        }
+    };
+}
+
+describe('CLI', () => {
+    let configDir;
+
+    before(async () => {
+        configDir = await mkdtemp(join(tmpdir(), 'treebuilder-cli-'));
+        await mkdir(join(configDir, 'apps'));
+        await writeFile(join(configDir, 'functionPool.json'), JSON.stringify({
+            funcA: { children: [{ ref: 'funcB', async: true, queueName: 'FUNCB.Q' }] },
+            funcB: { metadata_lines: [{ text: 'DB: TABLE_B' }] }
+        }));
+        await writeFile(join(configDir, 'apps', 'my-app.json'), JSON.stringify({
+            name: 'my-app',
+            type: 'app',
+            children: [
+                { ref: 'funcA' },
+                { ref: 'missingFunc' },
+                {
+                    name: 'SVC',
+                    type: 'ui-services',
+                    children: [{ name: 'emptyMethod', type: 'ui-service-method', children: [] }]
+                }
+            ]
+        }));
+    });
+
+    after(async () => {
+        await rm(configDir, { recursive: true, force: true });
+    });
+
+    describe('parseCliArgs', () => {
+        it('should parse the build command and options', () => {
+            const { command, appName, options } = parseCliArgs(['build', 'my-app', '--format', 'json']);
+            assert.equal(command, 'build');
+            assert.equal(appName, 'my-app');
+            assert.equal(options.format, 'json');
+        });
+
+        it('should parse the serve command without an app name', () => {
+            const { command, appName, options } = parseCliArgs(['serve', '--port', '8080']);
+            assert.equal(command, 'serve');
+            assert.equal(appName, undefined);
+            assert.equal(options.port, '8080');
+            assert.throws(() => parseCliArgs(['serve', 'my-app']), /Unexpected argument "my-app"/);
+            assert.throws(() => parseCliArgs(['serve', '--port', 'http']), /Invalid port "http"/);
+        });
+
+        it('should reject unknown commands, formats and severities', () => {
+            assert.throws(() => parseCliArgs(['render', 'my-app']), /Unknown command "render"/);
+            assert.throws(() => parseCliArgs(['build']), /Missing app name/);
+            assert.throws(() => parseCliArgs(['build', 'my-app', '--format', 'svg']), /Unknown format "svg"/);
+            assert.throws(() => parseCliArgs(['build', 'my-app', '--unresolved-severity', 'info']), /Unknown unresolved severity/);
+        });
+    });
+
+    describe('run', () => {
+        it('should print an ascii tree by default', async () => {
+            const { io, output } = createIo();
+            const code = await run(['build', 'my-app', '--config-dir', configDir], io);
+
+            assert.equal(code, 0);
+            assert.match(output.stdout, /^my-app \[app\]\n/);
+            assert.match(output.stdout, /FUNCB\.Q \[timer\]/);
+            assert.match(output.stdout, /· DB: TABLE_B/);
+            assert.doesNotMatch(output.stdout, /\x1b\[/);
+        });
+
+        it('should print json, dag, dot and html formats', async () => {
+            const json = createIo();
+            await run(['build', 'my-app', '--config-dir', configDir, '--format', 'json'], json.io);
+            assert.equal(JSON.parse(json.output.stdout).name, 'my-app');
+
+            const dag = createIo();
+            await run(['build', 'my-app', '--config-dir', configDir, '--format', 'dag'], dag.io);
+            const { root, nodes } = JSON.parse(dag.output.stdout);
+            assert.deepEqual(root, JSON.parse(json.output.stdout));
+            assert.deepEqual(nodes, {});
+
+            const dot = createIo();
+            await run(['build', 'my-app', '--config-dir', configDir, '--format', 'dot'], dot.io);
+            assert.match(dot.output.stdout, /^digraph "my-app" \{/);
+
+            const html = createIo();
+            await run(['build', 'my-app', '--config-dir', configDir, '--format', 'html'], html.io);
+            assert.match(html.output.stdout, /^<!DOCTYPE html>/);
+        });
+
+        it('should map flags to builder options', async () => {
+            const { io, output } = createIo();
+            await run([
+                'build', 'my-app',
+                '--config-dir', configDir,
+                '--format', 'json',
+                '--filter-empty-methods',
+                '--filter-empty-services',
+                '--node-ids',
+                '--log-node-types', 'timer, function',
+                '--unresolved-severity', 'error'
+            ], io);
+
+            const tree = JSON.parse(output.stdout);
+            assert.equal(tree.children.some(child => child.type === 'ui-services'), false);
+            assert.equal(tree.children.find(child => child.name.includes('missingFunc')).type, 'error');
+            assert.equal(tree.children[0].metadata_lines[0].text, 'Logs');
+            assert.equal(tree.children[0].children[0].metadata_lines[0].text, 'Logs');
+            assert.equal(tree.children[0].id, '/my-app/funcA');
+        });
+
+        it('should colour terminals unless NO_COLOR or --no-color is set', async () => {
+            const tty = createIo({ isTTY: true });
+            await run(['build', 'my-app', '--config-dir', configDir], tty.io);
+            assert.match(tty.output.stdout, /\x1b\[/);
+
+            const noColorEnv = createIo({ isTTY: true, env: { NO_COLOR: '1' } });
+            await run(['build', 'my-app', '--config-dir', configDir], noColorEnv.io);
+            assert.doesNotMatch(noColorEnv.output.stdout, /\x1b\[/);
+
+            const noColorFlag = createIo({ isTTY: true });
+            await run(['build', 'my-app', '--config-dir', configDir, '--no-color'], noColorFlag.io);
+            assert.doesNotMatch(noColorFlag.output.stdout, /\x1b\[/);
+
+            const forced = createIo();
+            await run(['build', 'my-app', '--config-dir', configDir, '--color'], forced.io);
+            assert.match(forced.output.stdout, /\x1b\[/);
+        });
+
+        it('should exit with 2 and usage on bad arguments', async () => {
+            const { io, output } = createIo();
+            const code = await run(['build'], io);
+
+            assert.equal(code, 2);
+            assert.match(output.stderr, /Missing app name/);
+            assert.match(output.stderr, /Usage: treebuilder build/);
+        });
+
+        it('should reject unknown node types in --log-node-types', async () => {
+            const { io, output } = createIo();
+            const code = await run(['build', 'my-app', '--config-dir', configDir, '--log-node-types', 'function,fn'], io);
+
+            assert.equal(code, 2);
+            assert.match(output.stderr, /Unknown node type "fn" in --log-node-types, expected: app, ui-services/);
+        });
+
+        it('should reject --node-ids with --format dag', async () => {
+            const { io, output } = createIo();
+            const code = await run(['build', 'my-app', '--config-dir', configDir, '--format', 'dag', '--node-ids'], io);
+
+            assert.equal(code, 2);
+            assert.match(output.stderr, /--node-ids cannot be combined with --format dag/);
+        });
+
+        it('should exit with 1 when the app cannot be loaded', async () => {
+            const { io, output } = createIo();
+            const code = await run(['build', 'no-such-app', '--config-dir', configDir], io);
+
+            assert.equal(code, 1);
+            assert.match(output.stderr, /^treebuilder: .*no-such-app\.json/);
+        });
+
+        it('should print help', async () => {
+            const { io, output } = createIo();
+            assert.equal(await run(['--help'], io), 0);
+            assert.match(output.stdout, /--unresolved-severity/);
+        });
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for DOT Exporter
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { treeToDot, functionGraphToDot } from '../dot-exporter.js';
+import { TreeBuilder, ref, asyncRef } from '../tree-builder.js';
+
+const vertexLines = (dot) => dot.split('\n').filter(line => /^\s+n\d+ \[/.test(line));
+const edgeLines = (dot) => dot.split('\n').filter(line => line.includes('->'));
+
+describe('DOT Exporter', () => {
+    describe('treeToDot', () => {
+        it('should emit a digraph named after the root', () => {
+            const dot = treeToDot({ name: 'my-app', type: 'app', children: [] });
+            assert.match(dot, /^digraph "my-app" \{\n/);
+            assert.match(dot, /n0 \[label="my-app", shape="box3d"/);
+            assert.match(dot, /\}\n$/);
+        });
+
+        it('should use a distinct shape or style per node type', () => {
+            const types = ['ui-services', 'ui-service-method', 'function', 'timer', 'topic', 'smart', 'warning', 'dupe-stopper'];
+            const dot = treeToDot({
+                name: 'my-app',
+                type: 'app',
+                children: types.map(type => ({ name: `${type}-node`, type }))
+            });
+
+            const styles = vertexLines(dot).map(line => line.replace(/^.*label="[^"]+", /, ''));
+            assert.equal(new Set(styles).size, types.length + 1);
+            assert.match(dot, /label="dupe-stopper-node", shape="box", style="dashed"/);
+        });
+
+        it('should dash edges that leave async nodes', () => {
+            const dot = treeToDot({
+                name: 'my-app',
+                type: 'app',
+                children: [{
+                    name: 'Q.NAME',
+                    type: 'timer',
+                    children: [{ name: 'worker', type: 'function', children: [{ name: 'helper', type: 'function' }] }]
+                }]
+            });
+
+            assert.deepEqual(edgeLines(dot).map(line => line.trim()), [
+                'n0 -> n1;',
+                'n1 -> n2 [style="dashed"];',
+                'n2 -> n3;'
+            ]);
+        });
+
+        it('should escape quotes, backslashes and newlines in labels', () => {
+            const dot = treeToDot({ name: 'say "hi"\\now\nthen', type: 'function' });
+            assert.match(dot, /label="say \\"hi\\"\\\\now\\nthen"/);
+        });
+
+        it('should draw repeated functions once per occurrence by default', async () => {
+            const builder = new TreeBuilder();
+            builder.defineFunctions({
+                shared: { children: [ref('leaf')] },
+                leaf: {},
+                callerA: { children: [ref('shared')] },
+                callerB: { children: [ref('shared')] }
+            });
+            const tree = await builder.build({
+                name: 'my-app',
+                type: 'app',
+                children: [ref('callerA'), ref('callerB')]
+            });
+
+            const labels = vertexLines(treeToDot(tree)).map(line => line.match(/label="([^"]+)"/)[1]);
+            assert.equal(labels.filter(label => label === 'shared').length, 2);
+            assert.equal(labels.filter(label => label === 'leaf').length, 2);
+        });
+
+        it('should merge repeated functions into a single vertex when requested', async () => {
+            const builder = new TreeBuilder();
+            builder.defineFunctions({
+                shared: { children: [ref('leaf')] },
+                leaf: {},
+                callerA: { children: [ref('shared')] },
+                callerB: { children: [asyncRef('shared', 'SHARED.QUEUE')] }
+            });
+            const tree = await builder.build({
+                name: 'my-app',
+                type: 'app',
+                children: [ref('callerA'), ref('callerB'), ref('callerA')]
+            });
+
+            const dot = treeToDot(tree, { mergeFunctions: true });
+            const labels = vertexLines(dot).map(line => line.match(/label="([^"]+)"/)[1]);
+            assert.deepEqual(labels, ['my-app', 'callerA', 'shared', 'leaf', 'callerB', 'SHARED.QUEUE']);
+
+            const edges = edgeLines(dot).map(line => line.trim());
+            assert.equal(edges.length, new Set(edges).size);
+            assert.ok(edges.includes('n5 -> n2 [style="dashed"];'));
+        });
+    });
+
+    describe('functionGraphToDot', () => {
+        it('should export every function once with labelled dashed async edges', () => {
+            const builder = new TreeBuilder();
+            builder.defineFunctions({
+                caller: { children: [ref('helper'), asyncRef('worker'), ref('missing')] },
+                helper: {},
+                worker: {}
+            });
+
+            const dot = functionGraphToDot(builder.getFunctionGraph());
+            assert.match(dot, /^digraph "functions" \{/);
+            assert.match(dot, /f3 \[label="missing", shape="note"/);
+            assert.deepEqual(dot.split('\n').filter(line => line.includes('->')).map(line => line.trim()), [
+                'f0 -> f1;',
+                'f0 -> f2 [style="dashed", label="async"];',
+                'f0 -> f3;'
+            ]);
+        });
+    });
+});
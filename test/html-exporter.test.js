@@ -0,0 +1,190 @@
+/**
+ * Unit tests for HTML Viewer Exporter
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { treeToHtml, writeTreeHtml, TYPE_ICONS } from '../html-exporter.js';
+
+const tree = {
+    name: 'my-app',
+    type: 'app',
+    children: [
+        {
+            name: 'funcA',
+            type: 'function',
+            metadata_lines: [{ text: 'Logs', clickable: true, data: { name: 'funcA', type: 'function' } }]
+        },
+        { name: 'dependency missing could not be resolved', type: 'warning' },
+        { name: 'loop detected stopping (funcA)', type: 'dupe-stopper', _cycleAt: 'funcA', _path: ['funcA', 'funcA'] }
+    ]
+};
+
+const getEmbeddedTree = (html) => JSON.parse(
+    html.match(/<script type="application\/json" id="tree-data">([\s\S]*?)<\/script>/)[1]
+);
+
+/**
+ * Minimal DOM element, enough for the viewer script
+ */
+class FakeElement {
+    constructor(tagName, id) {
+        this.tagName = tagName;
+        this.id = id;
+        this.children = [];
+        this.parentElement = null;
+        this.classes = new Set();
+        this.textContent = '';
+        this.value = '';
+        this.listeners = {};
+        this.classList = {
+            add: name => this.classes.add(name),
+            contains: name => this.classes.has(name),
+            toggle: (name, force = !this.classes.has(name)) => {
+                if (force) this.classes.add(name); else this.classes.delete(name);
+                return force;
+            }
+        };
+    }
+
+    set className(value) { this.classes = new Set(value.split(' ').filter(Boolean)); }
+    get className() { return [...this.classes].join(' '); }
+
+    append(...children) {
+        for (const child of children) {
+            child.parentElement = this;
+            this.children.push(child);
+        }
+    }
+
+    addEventListener(type, listener) { this.listeners[type] = listener; }
+
+    closest(tagName) {
+        for (let el = this; el; el = el.parentElement) {
+            if (el.tagName === tagName) return el;
+        }
+        return null;
+    }
+
+    querySelector(selector) {
+        for (const child of this.children) {
+            if (child.classes.has(selector.slice(1))) return child;
+            const found = child.querySelector(selector);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    scrollIntoView() {}
+}
+
+/**
+ * Run the page's viewer script against FakeElements
+ * @returns {{ container: FakeElement, search: FakeElement, count: FakeElement }}
+ */
+const runViewer = (html) => {
+    const elements = Object.fromEntries(['tree', 'details', 'search', 'count', 'expand-all', 'collapse-all']
+        .map(id => [id, new FakeElement('div', id)]));
+    elements['tree-data'] = { textContent: html.match(/<script type="application\/json" id="tree-data">([\s\S]*?)<\/script>/)[1] };
+    const document = {
+        getElementById: id => elements[id],
+        createElement: tagName => new FakeElement(tagName)
+    };
+    const script = html.match(/<script>\n([\s\S]*?)<\/script>/)[1];
+    new Function('document', script)(document);
+    return { container: elements.tree, search: elements.search, count: elements.count };
+};
+
+describe('HTML Viewer Exporter', () => {
+    describe('treeToHtml', () => {
+        it('should embed the full tree, including metadata data payloads and _path', () => {
+            const html = treeToHtml(tree);
+
+            assert.match(html, /^<!DOCTYPE html>/);
+            assert.match(html, /<title>my-app<\/title>/);
+            assert.deepEqual(getEmbeddedTree(html), tree);
+        });
+
+        it('should not reference any external resource', () => {
+            const html = treeToHtml(tree);
+
+            assert.doesNotMatch(html, /<script[^>]+src=/);
+            assert.doesNotMatch(html, /<link/);
+            assert.doesNotMatch(html, /https?:\/\//);
+        });
+
+        it('should include the viewer controls, type icons and node highlighting', () => {
+            const html = treeToHtml(tree);
+
+            assert.match(html, /<input id="search" type="search"/);
+            assert.match(html, /id="expand-all"/);
+            assert.match(html, /\.node-warning > \.row/);
+            assert.match(html, /\.node-error > \.row/);
+            assert.match(html, /\.node-dupe-stopper > \.row/);
+            assert.ok(html.includes(JSON.stringify(TYPE_ICONS)));
+        });
+
+        it('should keep names that look like markup from breaking out of the page', () => {
+            const html = treeToHtml({ name: '</script><b>x</b>', type: 'function' }, { title: '<Audit & Review>' });
+
+            assert.equal(html.match(/<\/script>/g).length, 2);
+            assert.match(html, /<title>&lt;Audit &amp; Review&gt;<\/title>/);
+            assert.equal(getEmbeddedTree(html).name, '</script><b>x</b>');
+        });
+
+        it('should produce a syntactically valid viewer script', () => {
+            const html = treeToHtml(tree);
+            const script = html.match(/<script>\n([\s\S]*?)<\/script>/)[1];
+
+            assert.doesNotThrow(() => new Function(script));
+        });
+
+        it('should expand the collapsed ancestors of search matches', () => {
+            const leaf = { name: 'deepLeaf', type: 'function' };
+            const deep = ['level3', 'level2', 'level1'].reduce((child, name) => ({ name, type: 'function', children: [child] }), leaf);
+            const { container, search, count } = runViewer(treeToHtml({ name: 'my-app', type: 'app', children: [deep] }));
+            const findLi = (el, name) => el.tagName === 'li' && el.children[0].children[2].textContent === name
+                ? el
+                : el.children.map(child => findLi(child, name)).find(Boolean);
+            const level2 = findLi(container, 'level2');
+            assert.equal(level2.classList.contains('collapsed'), true);
+
+            search.value = 'DEEPLEAF';
+            search.listeners.input();
+
+            assert.equal(count.textContent, '1 match');
+            assert.equal(level2.classList.contains('collapsed'), false);
+            assert.equal(container.querySelector('.match'), findLi(container, 'deepLeaf'));
+        });
+
+        it('should render an empty state for a missing tree', () => {
+            const html = treeToHtml(null);
+            assert.match(html, /<title>Tree<\/title>/);
+            assert.equal(getEmbeddedTree(html), null);
+
+            const { container } = runViewer(html);
+            assert.equal(container.children.length, 1);
+            assert.equal(container.children[0].className, 'empty');
+            assert.equal(container.children[0].textContent, 'No tree to show');
+        });
+    });
+
+    describe('writeTreeHtml', () => {
+        it('should write the page to a file', async () => {
+            const dir = await mkdtemp(join(tmpdir(), 'treebuilder-html-'));
+            try {
+                const filePath = join(dir, 'my-app.html');
+                await writeTreeHtml(tree, filePath, { title: 'Audit copy' });
+
+                const html = await readFile(filePath, 'utf8');
+                assert.match(html, /<title>Audit copy<\/title>/);
+                assert.deepEqual(getEmbeddedTree(html), tree);
+            } finally {
+                await rm(dir, { recursive: true, force: true });
+            }
+        });
+    });
+});
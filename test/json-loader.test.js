@@ -13,9 +13,14 @@ import {
     loadApp,
     loadAppFromUrl,
     loadFunctionPoolFromDirectory,
+    loadTopicSubscriptions,
     listAvailableApps,
+    loadAllApps,
+    analyzeImpactFromDirectory,
     validateApp,
     validateFunctionPool,
+    getAppValidationErrors,
+    getFunctionPoolValidationErrors,
     getDefaultConfigDir,
     getDefaultAppsDir
 } from '../json-loader.js';
@@ -208,6 +213,42 @@ describe('JSON Loader', () => {
         });
     });
 
+    describe('loadTopicSubscriptions', () => {
+        it('should load subscriptions from URL', async () => {
+            const originalFetch = globalThis.fetch;
+            globalThis.fetch = async () => ({
+                ok: true,
+                json: async () => ({
+                    exceptionsExpireEvent: ['onExceptionsExpired']
+                })
+            });
+
+            try {
+                const subscriptions = await loadTopicSubscriptions('https://api.example.com/config/subscriptions');
+                assert.deepEqual(subscriptions, { exceptionsExpireEvent: ['onExceptionsExpired'] });
+            } finally {
+                globalThis.fetch = originalFetch;
+            }
+        });
+
+        it('should reject subscribers that are not an array', async () => {
+            const originalFetch = globalThis.fetch;
+            globalThis.fetch = async () => ({
+                ok: true,
+                json: async () => ({ exceptionsExpireEvent: 'onExceptionsExpired' })
+            });
+
+            try {
+                await assert.rejects(
+                    loadTopicSubscriptions('https://api.example.com/config/subscriptions'),
+                    /subscribers for "exceptionsExpireEvent" must be an array/
+                );
+            } finally {
+                globalThis.fetch = originalFetch;
+            }
+        });
+    });
+
     describe('listAvailableApps', () => {
         it('should list all available app names', async () => {
             const appsDir = getDefaultAppsDir();
@@ -237,6 +278,39 @@ describe('JSON Loader', () => {
         });
     });
 
+    describe('loadAllApps', () => {
+        it('should load every app in the directory', async () => {
+            const appsDir = getDefaultAppsDir();
+            const names = await listAvailableApps(appsDir);
+            const apps = await loadAllApps(appsDir);
+
+            assert.equal(apps.length, names.length);
+            assert.deepEqual(apps.map(app => app.name), names);
+        });
+    });
+
+    describe('analyzeImpactFromDirectory', () => {
+        it('should report impact for every app in the directory', async () => {
+            const { TreeBuilder } = await import('../tree-builder.js');
+
+            const builder = new TreeBuilder();
+            builder.defineFunctions(await loadFunctionPoolFromDirectory(getDefaultConfigDir()));
+
+            const result = await analyzeImpactFromDirectory(builder, 'validateProfile');
+            const appNames = await listAvailableApps(getDefaultAppsDir());
+            assert.deepEqual(result.apps.map(app => app.app), appNames);
+
+            const pendApp = result.apps.find(app => app.app === 'nims-wt-pend-process-app');
+            assert.deepEqual(pendApp.uiServiceMethods, [{
+                name: 'resolvePend',
+                uiServices: 'WT9000J',
+                target: 'validateProfile',
+                path: ['processWTPayments', 'validateWTTaxpayerInformation', 'validateProfile'],
+                crossesAsync: true
+            }]);
+        });
+    });
+
     describe('validateApp', () => {
         it('should validate a correct app config', () => {
             const app = {
@@ -295,6 +369,183 @@ describe('JSON Loader', () => {
         it('should accept empty object', () => {
             assert.ok(validateFunctionPool({}));
         });
+
+        it('should list every error with JSON pointers in the thrown error', () => {
+            assert.throws(
+                () => validateFunctionPool({
+                    funcA: { app: 42 },
+                    funcB: { children: [{ ref: 'funcA', queueName: 'Q' }] }
+                }),
+                (error) => {
+                    assert.match(error.message, /Invalid function pool: 2 errors/);
+                    assert.match(error.message, /\/funcA\/app: "app" must be a string/);
+                    assert.deepEqual(error.errors.map(e => e.pointer), ['/funcA/app', '/funcB/children/0/queueName']);
+                    return true;
+                }
+            );
+        });
+    });
+
+    describe('getAppValidationErrors', () => {
+        it('should accept every bundled app config', async () => {
+            for (const app of await loadAllApps(getDefaultAppsDir())) {
+                assert.deepEqual(getAppValidationErrors(app), [], app.name);
+            }
+        });
+
+        it('should accept refs, async refs, topic publishes and inline nodes', () => {
+            assert.deepEqual(getAppValidationErrors({
+                name: 'test-app',
+                type: 'app',
+                metadata_lines: [{ text: 'App', clickable: false }],
+                children: [
+                    { ref: 'func' },
+                    { ref: 'func', async: true, queueName: 'Q.NAME' },
+                    { topicName: 'event', topicPublish: true, async: false, queueName: 'T.NAME' },
+                    { name: 'INLINE', type: 'timer', children: [{ ref: 'func' }] },
+                    {
+                        name: 'Service',
+                        type: 'ui-services',
+                        children: [{
+                            name: 'method',
+                            type: 'ui-service-method',
+                            usesLegacyGatewayHttpClient: true,
+                            children: [{ ref: 'func' }]
+                        }]
+                    }
+                ]
+            }), []);
+        });
+
+        it('should ignore properties left undefined by the JS ref helpers', async () => {
+            const { topicPublishRef } = await import('../tree-builder.js');
+            assert.deepEqual(getAppValidationErrors({
+                name: 'test-app',
+                type: 'app',
+                children: [topicPublishRef('event')]
+            }), []);
+        });
+
+        it('should require the root type to be app', () => {
+            assert.deepEqual(getAppValidationErrors({ name: 'test-app', type: 'function' }), [
+                { pointer: '/type', message: '"type" must be "app"' }
+            ]);
+        });
+
+        it('should report unknown keys per ref kind', () => {
+            const errors = getAppValidationErrors({
+                name: 'test-app',
+                type: 'app',
+                children: [
+                    { ref: 'func', topicName: 'event' },
+                    { topicName: 'event', topicPublish: true, ref: 'func' }
+                ]
+            });
+
+            assert.deepEqual(errors, [
+                { pointer: '/children/0/topicName', message: 'unknown property "topicName" for function reference' },
+                { pointer: '/children/1/ref', message: 'unknown property "ref" for topic publish reference' }
+            ]);
+        });
+
+        it('should report invalid node types and missing names', () => {
+            const errors = getAppValidationErrors({
+                name: 'test-app',
+                type: 'app',
+                children: [{
+                    name: 'Service',
+                    type: 'ui-services',
+                    children: [{ type: 'ui-method' }]
+                }]
+            });
+
+            assert.deepEqual(errors.map(e => e.pointer), ['/children/0/children/0', '/children/0/children/0/type']);
+            assert.match(errors[1].message, /"type" must be one of: ui-services, ui-service-method/);
+        });
+
+        it('should check value types', () => {
+            const errors = getAppValidationErrors({
+                name: 'test-app',
+                type: 'app',
+                children: [
+                    { ref: 'func', async: 'yes', queueName: 7 },
+                    { name: 'method', type: 'ui-service-method', usesLegacyGatewayHttpClient: 'true' }
+                ]
+            });
+
+            assert.deepEqual(errors, [
+                { pointer: '/children/0/async', message: '"async" must be a boolean' },
+                { pointer: '/children/0/queueName', message: '"queueName" must be a string' },
+                { pointer: '/children/0/queueName', message: '"queueName" is only allowed on async references' },
+                { pointer: '/children/1/usesLegacyGatewayHttpClient', message: '"usesLegacyGatewayHttpClient" must be a boolean' }
+            ]);
+        });
+
+        it('should check the metadata_lines shape', () => {
+            const errors = getAppValidationErrors({
+                name: 'test-app',
+                type: 'app',
+                metadata_lines: [
+                    { clickable: 'no', data: [], extra: true },
+                    'text'
+                ]
+            });
+
+            assert.deepEqual(errors, [
+                { pointer: '/metadata_lines/0/extra', message: 'unknown property "extra" for metadata line' },
+                { pointer: '/metadata_lines/0', message: 'metadata line is missing required "text" property' },
+                { pointer: '/metadata_lines/0/clickable', message: '"clickable" must be a boolean' },
+                { pointer: '/metadata_lines/0/data', message: '"data" must be an object' },
+                { pointer: '/metadata_lines/1', message: 'metadata line must be an object' }
+            ]);
+        });
+    });
+
+    describe('getFunctionPoolValidationErrors', () => {
+        it('should accept the bundled function pool', async () => {
+            const pool = await loadFunctionPoolFromDirectory(getDefaultConfigDir());
+            assert.deepEqual(getFunctionPoolValidationErrors(pool), []);
+        });
+
+        it('should check function definition properties', () => {
+            const errors = getFunctionPoolValidationErrors({
+                'a/b': {
+                    app: 1,
+                    queueName: false,
+                    displayName: {},
+                    usesLegacyGatewayHttpClient: 'yes',
+                    subscribesTo: 'event',
+                    unknown: true
+                },
+                notAnObject: []
+            });
+
+            assert.deepEqual(errors.map(e => e.pointer), [
+                '/a~1b/unknown',
+                '/a~1b/app',
+                '/a~1b/queueName',
+                '/a~1b/displayName',
+                '/a~1b/usesLegacyGatewayHttpClient',
+                '/a~1b/subscribesTo',
+                '/notAnObject'
+            ]);
+        });
+
+        it('should only allow inline queue nodes in function children', () => {
+            const errors = getFunctionPoolValidationErrors({
+                func: {
+                    children: [
+                        { name: 'Q', type: 'queue', children: [{ ref: 'other' }] },
+                        { name: 'method', type: 'ui-service-method' }
+                    ]
+                }
+            });
+
+            assert.deepEqual(errors, [{
+                pointer: '/func/children/1/type',
+                message: '"type" must be one of: queue, timer, topic'
+            }]);
+        });
     });
 
     describe('getDefaultConfigDir', () => {
@@ -0,0 +1,208 @@
+/**
+ * Unit tests for Mermaid Exporter
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { treeToMermaid, methodToSequenceDiagram, treeToSequenceDiagrams, escapeLabel } from '../mermaid-exporter.js';
+import { TreeBuilder, asyncRef } from '../tree-builder.js';
+
+describe('Mermaid Exporter', () => {
+    describe('escapeLabel', () => {
+        it('should replace characters that break Mermaid labels with entity codes', () => {
+            assert.equal(escapeLabel('say "hi" <now> #1;'), 'say #quot;hi#quot; #lt;now#gt; #35;1#59;');
+        });
+    });
+
+    describe('treeToMermaid', () => {
+        it('should emit a flowchart with one quoted node per tree node', () => {
+            const mermaid = treeToMermaid({
+                name: 'my-app',
+                type: 'app',
+                children: [{ name: 'funcA', type: 'function' }]
+            });
+
+            assert.match(mermaid, /^flowchart LR\n/);
+            assert.match(mermaid, /n0\[\["my-app"\]\]:::app/);
+            assert.match(mermaid, /n1\["funcA"\]:::function/);
+            assert.match(mermaid, /n0 --> n1/);
+            assert.match(mermaid, /classDef app /);
+        });
+
+        it('should honor the direction option', () => {
+            const mermaid = treeToMermaid({ name: 'my-app', type: 'app' }, { direction: 'TD' });
+            assert.match(mermaid, /^flowchart TD\n/);
+        });
+
+        it('should draw timer and topic nodes as queue shapes with dotted outgoing edges', () => {
+            const mermaid = treeToMermaid({
+                name: 'funcA',
+                type: 'function',
+                children: [
+                    { name: 'RPWTWR.PFQ', type: 'timer', children: [{ name: 'funcB', type: 'function' }] },
+                    { name: 'WT.EVENTS', type: 'topic', children: [{ name: 'funcC', type: 'function' }] }
+                ]
+            });
+
+            assert.match(mermaid, /n1\[\("RPWTWR\.PFQ"\)\]:::timer/);
+            assert.match(mermaid, /n1 -\.-> n2/);
+            assert.match(mermaid, /n3\{\{"WT\.EVENTS"\}\}:::topic/);
+            assert.match(mermaid, /n3 -\.-> n4/);
+            assert.match(mermaid, /n0 --> n1/);
+        });
+
+        it('should escape awkward names', () => {
+            const mermaid = treeToMermaid({ name: 'get"Data"[v2]', type: 'function' });
+            assert.match(mermaid, /n0\["get#quot;Data#quot;\[v2\]"\]/);
+        });
+
+        it('should summarize children beyond maxDepth', () => {
+            const tree = {
+                name: 'my-app',
+                type: 'app',
+                children: [{
+                    name: 'funcA',
+                    type: 'function',
+                    children: [{ name: 'funcB', type: 'function' }, { name: 'funcC', type: 'function' }]
+                }]
+            };
+
+            const mermaid = treeToMermaid(tree, { maxDepth: 1 });
+
+            assert.doesNotMatch(mermaid, /funcB/);
+            assert.match(mermaid, /n2\["… 2 more"\]:::truncated/);
+            assert.match(mermaid, /n1 --> n2/);
+            assert.match(mermaid, /classDef truncated /);
+        });
+
+        it('should render a built tree with displayNames and resolved queue names', async () => {
+            const builder = new TreeBuilder();
+            builder.setAsyncResolver(async () => ({ queueName: 'RESOLVED.Q' }));
+            builder.defineFunctions({
+                'funca': { displayName: 'FuncA', children: [asyncRef('funcB')] },
+                'funcb': { displayName: 'FuncB' }
+            });
+
+            const tree = await builder.build({ name: 'my-app', type: 'app', children: [{ ref: 'funcA' }] });
+            const mermaid = treeToMermaid(tree);
+
+            assert.match(mermaid, /\["FuncA"\]:::function/);
+            assert.match(mermaid, /\[\("RESOLVED\.Q"\)\]:::timer/);
+            assert.match(mermaid, /\["FuncB"\]:::function/);
+        });
+    });
+
+    describe('methodToSequenceDiagram', () => {
+        const method = {
+            name: 'resolvePend',
+            type: 'ui-service-method',
+            children: [
+                {
+                    name: 'retrieveWTPendFiling',
+                    type: 'function',
+                    children: [{ name: 'validateProfile', type: 'function' }]
+                },
+                {
+                    name: 'RPWTWR.PFQ',
+                    type: 'timer',
+                    children: [{ name: 'processWTPayments', type: 'function' }]
+                }
+            ]
+        };
+
+        it('should draw sync calls in child order with nested calls and returns', () => {
+            const diagram = methodToSequenceDiagram(method, { uiServicesName: 'WT9000J' });
+            const lines = diagram.trim().split('\n').map(line => line.trim());
+
+            assert.equal(lines[0], 'sequenceDiagram');
+            assert.ok(lines.includes('participant p0 as WT9000J.resolvePend'));
+            assert.deepEqual(lines.slice(lines.indexOf('p0->>+p1: retrieveWTPendFiling'), lines.indexOf('p0->>+p1: retrieveWTPendFiling') + 4), [
+                'p0->>+p1: retrieveWTPendFiling',
+                'p1->>+p2: validateProfile',
+                'p2-->>-p1: return',
+                'p1-->>-p0: return'
+            ]);
+        });
+
+        it('should draw queue hand-offs as async messages through a queue participant', () => {
+            const diagram = methodToSequenceDiagram(method, { uiServicesName: 'WT9000J' });
+
+            assert.match(diagram, /participant p3 as RPWTWR\.PFQ \(timer\)/);
+            assert.match(diagram, /p0-\)p3: enqueue\n\s+p3-\)\+p4: consume\n\s+deactivate p4/);
+        });
+
+        it('should draw topic publishes and annotate warnings and loops as notes', () => {
+            const diagram = methodToSequenceDiagram({
+                name: 'publish',
+                type: 'ui-service-method',
+                children: [
+                    { name: 'WT.EVENTS', type: 'topic', children: [{ name: 'onEvent', type: 'function' }] },
+                    { name: 'dependency missing could not be resolved', type: 'warning' },
+                    { name: 'loop detected stopping (funcA)', type: 'dupe-stopper' }
+                ]
+            });
+
+            assert.match(diagram, /participant p0 as publish\n/);
+            assert.match(diagram, /p0-\)p1: publish/);
+            assert.match(diagram, /Note over p0: dependency missing could not be resolved/);
+            assert.match(diagram, /Note over p0: loop detected stopping \(funcA\)/);
+        });
+
+        it('should reuse one participant per function', () => {
+            const diagram = methodToSequenceDiagram({
+                name: 'twice',
+                type: 'ui-service-method',
+                children: [{ name: 'funcA', type: 'function' }, { name: 'funcA', type: 'function' }]
+            });
+
+            assert.equal(diagram.match(/participant .* as funcA/g).length, 1);
+            assert.equal(diagram.match(/p0->>\+p1: funcA/g).length, 2);
+        });
+
+        it('should summarize calls beyond maxDepth', () => {
+            const diagram = methodToSequenceDiagram(method, { maxDepth: 1 });
+
+            assert.doesNotMatch(diagram, /validateProfile/);
+            assert.match(diagram, /Note over p1: … 1 more/);
+        });
+    });
+
+    describe('treeToSequenceDiagrams', () => {
+        it('should produce one diagram per ui-service-method from a built tree', async () => {
+            const builder = new TreeBuilder();
+            builder.defineFunctions({
+                'retrievewtpendfiling': { displayName: 'retrieveWTPendFiling' },
+                'processwtpayments': { displayName: 'processWTPayments' }
+            });
+
+            const tree = await builder.build({
+                name: 'nims-wt-pend-process-app',
+                type: 'app',
+                children: [{
+                    name: 'WT9000J',
+                    type: 'ui-services',
+                    children: [
+                        {
+                            name: 'resolvePend',
+                            type: 'ui-service-method',
+                            children: [
+                                { ref: 'retrieveWTPendFiling' },
+                                asyncRef('processWTPayments', 'RPWTWR.PFQ')
+                            ]
+                        },
+                        { name: 'getWtPendFilingData', type: 'ui-service-method', children: [] }
+                    ]
+                }]
+            });
+
+            const diagrams = treeToSequenceDiagrams(tree);
+
+            assert.deepEqual(diagrams.map(d => d.name), ['WT9000J.resolvePend', 'WT9000J.getWtPendFilingData']);
+            assert.equal(diagrams[0].uiServices, 'WT9000J');
+            assert.equal(diagrams[0].method, 'resolvePend');
+            assert.match(diagrams[0].diagram, /participant p2 as RPWTWR\.PFQ \(timer\)/);
+            assert.match(diagrams[0].diagram, /p2-\)\+p3: consume/);
+            assert.equal(diagrams[1].diagram, 'sequenceDiagram\n    participant p0 as WT9000J.getWtPendFilingData\n');
+        });
+    });
+});
@@ -0,0 +1,251 @@
+/**
+ * Unit tests for Tree HTTP Server
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createTreeServer, parseBuilderOptions } from '../server.js';
+import { expandDag } from '../tree-dag.js';
+
+describe('Tree HTTP Server', () => {
+    let configDir;
+    let server;
+    let baseUrl;
+
+    const get = async (path, init) => {
+        const response = await fetch(`${baseUrl}${path}`, init);
+        return { status: response.status, body: await response.json() };
+    };
+
+    before(async () => {
+        configDir = await mkdtemp(join(tmpdir(), 'treebuilder-server-'));
+        await mkdir(join(configDir, 'apps'));
+        await writeFile(join(configDir, 'functionPool.json'), JSON.stringify({
+            funcA: { children: [{ ref: 'funcB', async: true, queueName: 'FUNCB.Q' }] },
+            funcB: { displayName: 'FuncB' }
+        }));
+        await writeFile(join(configDir, 'apps', 'app-one.json'), JSON.stringify({
+            name: 'app-one',
+            type: 'app',
+            children: [
+                { ref: 'funcA' },
+                { ref: 'missingFunc' },
+                {
+                    name: 'SVC',
+                    type: 'ui-services',
+                    children: [{ name: 'emptyMethod', type: 'ui-service-method', children: [] }]
+                }
+            ]
+        }));
+        await writeFile(join(configDir, 'apps', 'app-two.json'), JSON.stringify({
+            name: 'app-two',
+            type: 'app',
+            children: [{ ref: 'funcB' }]
+        }));
+        await writeFile(join(configDir, 'apps', 'broken-app.json'), JSON.stringify({ name: 'broken-app' }));
+
+        server = createTreeServer({ configDir, builderOptions: { logger: { error() {}, warn() {}, debug() {} } } });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await rm(configDir, { recursive: true, force: true });
+    });
+
+    describe('parseBuilderOptions', () => {
+        it('should read filter, log and severity options from query parameters', () => {
+            const options = parseBuilderOptions(new URLSearchParams(
+                'filterEmptyUiServiceMethods=true&filterEmptyUiServices=0&logNodeTypes=function, timer&unresolvedSeverity=error'
+            ));
+            assert.deepEqual(options, {
+                filterEmptyUiServiceMethods: true,
+                filterEmptyUiServices: false,
+                logNodeTypes: ['function', 'timer'],
+                unresolvedSeverity: 'error'
+            });
+        });
+
+        it('should sort and deduplicate logNodeTypes', () => {
+            const options = parseBuilderOptions(new URLSearchParams('logNodeTypes=timer,function,timer'));
+            assert.deepEqual(options.logNodeTypes, ['function', 'timer']);
+        });
+
+        it('should reject unknown node types', () => {
+            assert.throws(
+                () => parseBuilderOptions(new URLSearchParams('logNodeTypes=function,nonsense')),
+                { status: 400, message: /Unknown node type "nonsense" in "logNodeTypes"/ }
+            );
+        });
+
+        it('should only return options that are present', () => {
+            assert.deepEqual(parseBuilderOptions(new URLSearchParams('')), {});
+        });
+    });
+
+    describe('GET /apps', () => {
+        it('should list the available apps', async () => {
+            const { status, body } = await get('/apps');
+            assert.equal(status, 200);
+            assert.deepEqual(body, { apps: ['app-one', 'app-two', 'broken-app'] });
+        });
+    });
+
+    describe('GET /apps/:name/tree', () => {
+        it('should return the built tree', async () => {
+            const { status, body } = await get('/apps/app-one/tree');
+
+            assert.equal(status, 200);
+            assert.equal(body.name, 'app-one');
+            assert.equal(body.children[0].children[0].name, 'FUNCB.Q');
+            assert.equal(body.children[0].children[0].children[0].name, 'FuncB');
+        });
+
+        it('should apply builder options from the query string', async () => {
+            const { body } = await get(
+                '/apps/app-one/tree?filterEmptyUiServiceMethods=true&filterEmptyUiServices=true&logNodeTypes=timer&unresolvedSeverity=error'
+            );
+
+            assert.equal(body.children.some(child => child.type === 'ui-services'), false);
+            assert.equal(body.children[1].type, 'error');
+            assert.equal(body.children[0].children[0].metadata_lines[0].text, 'Logs');
+        });
+
+        it('should stamp node ids with nodeIds=true', async () => {
+            const { body } = await get('/apps/app-one/tree?nodeIds=true');
+
+            assert.equal(body.id, '/app-one');
+            assert.equal(body.children[0].children[0].id, '/app-one/funcA/timer:FuncB@FUNCB.Q');
+        });
+
+        it('should serve concurrent requests', async () => {
+            const responses = await Promise.all([
+                get('/apps/app-one/tree'),
+                get('/apps/app-two/tree'),
+                get('/apps/app-one/tree')
+            ]);
+            assert.deepEqual(responses.map(response => response.body.name), ['app-one', 'app-two', 'app-one']);
+            assert.deepEqual(responses[0].body, responses[2].body);
+        });
+
+        it('should respond with 404 for unknown apps and 422 for invalid ones', async () => {
+            const missing = await get('/apps/no-such-app/tree');
+            assert.equal(missing.status, 404);
+            assert.match(missing.body.error, /App "no-such-app" not found/);
+
+            const broken = await get('/apps/broken-app/tree');
+            assert.equal(broken.status, 422);
+        });
+
+        it('should respond with 400 for invalid options', async () => {
+            const { status, body } = await get('/apps/app-one/tree?unresolvedSeverity=info');
+            assert.equal(status, 400);
+            assert.match(body.error, /unresolvedSeverity/);
+        });
+
+        it('should return the DAG form with format=dag', async () => {
+            const tree = await get('/apps/app-one/tree');
+            const { status, body } = await get('/apps/app-one/tree?format=dag');
+
+            // Nothing repeats in app-one, so the whole tree stays inline
+            assert.equal(status, 200);
+            assert.deepEqual(body, { root: tree.body, nodes: {} });
+            assert.deepEqual(expandDag(body), tree.body);
+        });
+
+        it('should respond with 400 for unknown formats', async () => {
+            const { status, body } = await get('/apps/app-one/tree?format=xml');
+            assert.equal(status, 400);
+            assert.match(body.error, /format/);
+        });
+
+        it('should respond with 400 for format=dag with nodeIds', async () => {
+            const { status, body } = await get('/apps/app-one/tree?format=dag&nodeIds=true');
+            assert.equal(status, 400);
+            assert.match(body.error, /nodeIds/);
+
+            const callers = await get('/functions/funcB/callers?format=dag&nodeIds=true');
+            assert.equal(callers.status, 400);
+        });
+    });
+
+    describe('builder cache', () => {
+        it('should share builders between equivalent options and drop the least recently used', async () => {
+            const created = [];
+            const cachedServer = createTreeServer({
+                configDir,
+                builderOptions: { logger: { error() {}, warn() {}, debug() {} } },
+                configureBuilder: builder => created.push(builder.config.logNodeTypes?.join(',') ?? null),
+                maxBuilders: 2
+            });
+            await new Promise(resolve => cachedServer.listen(0, '127.0.0.1', resolve));
+            const fetchTree = query => fetch(`http://127.0.0.1:${cachedServer.address().port}/apps/app-two/tree${query}`)
+                .then(response => response.json());
+
+            try {
+                await fetchTree('?logNodeTypes=function,timer');
+                await fetchTree('?logNodeTypes=timer,function');
+                await fetchTree('');
+                await fetchTree('?logNodeTypes=function,timer');
+                await fetchTree('?logNodeTypes=app');
+                await fetchTree('?logNodeTypes=function,timer');
+                await fetchTree('');
+
+                assert.deepEqual(created, ['function,timer', null, 'app', null]);
+            } finally {
+                cachedServer.closeAllConnections();
+                await new Promise(resolve => cachedServer.close(resolve));
+            }
+        });
+    });
+
+    describe('GET /functions/:name', () => {
+        it('should return the definition, case-insensitively', async () => {
+            const { status, body } = await get('/functions/FUNCB');
+
+            assert.equal(status, 200);
+            assert.equal(body.name, 'FuncB');
+            assert.deepEqual(body.definition, { children: [], displayName: 'FuncB' });
+        });
+
+        it('should respond with 404 for unknown functions', async () => {
+            const { status } = await get('/functions/nope');
+            assert.equal(status, 404);
+        });
+    });
+
+    describe('GET /functions/:name/callers', () => {
+        it('should return the caller tree across all apps', async () => {
+            const { status, body } = await get('/functions/funcB/callers');
+
+            assert.equal(status, 200);
+            assert.equal(body.name, 'FuncB');
+            const callerNames = body.children.map(child => child.name);
+            assert.ok(callerNames.includes('FUNCB.Q'));
+            assert.ok(callerNames.includes('app-two'));
+        });
+
+        it('should return the DAG form with format=dag', async () => {
+            const tree = await get('/functions/funcB/callers');
+            const { body } = await get('/functions/funcB/callers?format=dag');
+
+            assert.deepEqual(body, { root: tree.body, nodes: {} });
+            assert.deepEqual(expandDag(body), tree.body);
+        });
+    });
+
+    describe('errors', () => {
+        it('should respond with 404 for unknown routes and 405 for other methods', async () => {
+            assert.equal((await get('/nope')).status, 404);
+
+            const response = await fetch(`${baseUrl}/apps`, { method: 'POST' });
+            assert.equal(response.status, 405);
+            assert.equal(response.headers.get('allow'), 'GET, HEAD');
+        });
+    });
+});
@@ -96,6 +96,22 @@ describe('TreeBuilder', () => {
     });
 
 
+    describe('getFunction', () => {
+        it('should return the stored definition case-insensitively', () => {
+            builder.defineFunctions({ 'FuncA': { children: [ref('funcB')], app: 'other-app' } });
+
+            assert.deepEqual(builder.getFunction('funca'), {
+                children: [ref('funcB')],
+                displayName: 'FuncA',
+                app: 'other-app'
+            });
+        });
+
+        it('should return null for undefined functions', () => {
+            assert.equal(builder.getFunction('missing'), null);
+        });
+    });
+
     describe('static helper functions', () => {
         it('ref() should create a sync reference object', () => {
             const result = ref('funcName');
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for TreeBuilder
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreeBuilder, ref, asyncRef } from '../tree-builder.js';
+
+describe('TreeBuilder', () => {
+    describe('subtree cache keys', () => {
+        it('should resolve an acyclic function once for all of its ancestors', async () => {
+            const builder = new TreeBuilder();
+            builder.defineFunctions({
+                a: { children: [ref('shared')] },
+                b: { children: [ref('shared')] },
+                shared: { children: [ref('leaf')] },
+                leaf: {}
+            });
+
+            const tree = await builder.build({ name: 'app', type: 'app', children: [ref('a'), ref('b')] });
+
+            assert.equal(tree.children[0].children[0], tree.children[1].children[0]);
+        });
+
+        it('should cache a layered shared graph linearly in its size', async () => {
+            const layers = 12;
+            const width = 4;
+            const pool = {};
+            for (let layer = 0; layer < layers; layer++) {
+                for (let index = 0; index < width; index++) {
+                    pool[`f${layer}_${index}`] = {
+                        children: layer < layers - 1
+                            ? Array.from({ length: width }, (_, next) => ref(`f${layer + 1}_${next}`))
+                            : []
+                    };
+                }
+            }
+            const builder = new TreeBuilder({ incremental: true });
+            builder.defineFunctions(pool);
+
+            await builder.build({ name: 'app', type: 'app', children: [ref('f0_0')] });
+
+            assert.equal(builder.resolvedFunctions.size, (layers - 1) * width + 1);
+        });
+
+        it('should call the asyncResolver once per async edge of a shared function', async () => {
+            const calls = [];
+            const builder = new TreeBuilder();
+            builder.defineFunctions({
+                a: { children: [ref('shared')] },
+                b: { children: [ref('shared')] },
+                c: { children: [ref('a'), ref('b')] },
+                shared: { children: [asyncRef('worker')] },
+                worker: {}
+            });
+            builder.setAsyncResolver(async (funcName) => {
+                calls.push(funcName);
+                return { queueName: 'WORKER.Q' };
+            });
+
+            await builder.build({ name: 'app', type: 'app', children: [ref('c'), ref('a')] });
+
+            assert.deepEqual(calls, ['worker']);
+        });
+
+        it('should share the subtree of a cycle between ancestors outside of it', async () => {
+            const builder = new TreeBuilder();
+            builder.defineFunctions({
+                entryA: { children: [ref('loop')] },
+                entryB: { children: [ref('loop')] },
+                loop: { children: [ref('back')] },
+                back: { children: [ref('loop')] }
+            });
+
+            const tree = await builder.build({ name: 'app', type: 'app', children: [ref('entryA'), ref('entryB')] });
+
+            assert.equal(tree.children[0].children[0], tree.children[1].children[0]);
+            const stopper = tree.children[1].children[0].children[0].children[0];
+            assert.equal(stopper.type, 'dupe-stopper');
+            assert.deepEqual(stopper._path, ['entryA', 'loop', 'back', 'loop']);
+        });
+
+        it('should key cycle members on the ancestors within their cycle', async () => {
+            const builder = new TreeBuilder();
+            builder.defineFunctions({
+                loop: { children: [ref('back')] },
+                back: { children: [ref('loop')] }
+            });
+
+            const tree = await builder.build({ name: 'app', type: 'app', children: [ref('loop'), ref('back')] });
+
+            assert.deepEqual(tree.children[0].children[0].children[0]._path, ['loop', 'back', 'loop']);
+            assert.deepEqual(tree.children[1].children[0].children[0]._path, ['back', 'loop', 'back']);
+        });
+
+        it('should cache a layered graph over a recursive helper linearly in its size', async () => {
+            const layers = 12;
+            const width = 4;
+            const pool = { helper: { children: [ref('helper')] } };
+            for (let layer = 0; layer < layers; layer++) {
+                for (let index = 0; index < width; index++) {
+                    pool[`f${layer}_${index}`] = {
+                        children: layer < layers - 1
+                            ? Array.from({ length: width }, (_, next) => ref(`f${layer + 1}_${next}`))
+                            : [ref('helper')]
+                    };
+                }
+            }
+            const builder = new TreeBuilder({ incremental: true });
+            builder.defineFunctions(pool);
+
+            await builder.build({ name: 'app', type: 'app', children: [ref('f0_0')] });
+
+            assert.equal(builder.resolvedFunctions.size, (layers - 1) * width + 2);
+        });
+
+        it('should stop at inline function nodes of the app structure', async () => {
+            const builder = new TreeBuilder();
+            builder.defineFunctions({
+                helper: { children: [ref('wrapper')] },
+                wrapper: {}
+            });
+
+            const tree = await builder.build({
+                name: 'app',
+                type: 'app',
+                children: [
+                    ref('helper'),
+                    { name: 'wrapper', type: 'function', children: [ref('helper')] }
+                ]
+            });
+
+            assert.deepEqual(tree.children[0].children, [{ name: 'wrapper', type: 'function' }]);
+            const inlineHelper = tree.children[1].children[0];
+            assert.equal(inlineHelper.children[0].type, 'dupe-stopper');
+            assert.deepEqual(inlineHelper.children[0]._path, ['wrapper', 'helper', 'wrapper']);
+        });
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * Unit tests for TreeBuilder
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreeBuilder, ref, asyncRef } from '../tree-builder.js';
+
+describe('TreeBuilder', () => {
+    let builder;
+
+    beforeEach(() => {
+        builder = new TreeBuilder();
+    });
+
+    describe('buildCallers', () => {
+        it('should return the target function as the root node', async () => {
+            builder.defineFunctions({
+                target: { app: 'TargetApp' }
+            });
+
+            const tree = await builder.buildCallers('target');
+            assert.equal(tree.name, 'target');
+            assert.equal(tree.type, 'function');
+            assert.equal(tree.metadata_lines[0].text, 'TargetApp');
+            assert.equal(tree.children, undefined);
+        });
+
+        it('should list sync callers as children', async () => {
+            builder.defineFunctions({
+                target: {},
+                callerA: { children: [ref('target')] },
+                callerB: { children: [ref('callerA')] },
+                unrelated: {}
+            });
+
+            const tree = await builder.buildCallers('target');
+            assert.equal(tree.children.length, 1);
+            assert.equal(tree.children[0].name, 'callerA');
+            assert.equal(tree.children[0].children[0].name, 'callerB');
+            assert.equal(tree.children[0].children[0].children, undefined);
+        });
+
+        it('should wrap async callers in a timer node', async () => {
+            builder.defineFunctions({
+                target: { queueName: 'TARGET.QUEUE' },
+                caller: { children: [asyncRef('target')] }
+            });
+
+            const tree = await builder.buildCallers('target');
+            const timer = tree.children[0];
+            assert.equal(timer.type, 'timer');
+            assert.equal(timer.name, 'TARGET.QUEUE');
+            assert.equal(timer.children[0].name, 'caller');
+        });
+
+        it('should use the asyncResolver for timer node names', async () => {
+            builder.defineFunctions({
+                target: {},
+                caller: { children: [asyncRef('target', 'INLINE.QUEUE')] }
+            });
+            const calls = [];
+            builder.setAsyncResolver((funcName, queueName) => {
+                calls.push([funcName, queueName]);
+                return { queueName: 'RESOLVED.QUEUE' };
+            });
+
+            const tree = await builder.buildCallers('target');
+            assert.deepEqual(calls, [['target', 'INLINE.QUEUE']]);
+            assert.equal(tree.children[0].name, 'RESOLVED.QUEUE');
+        });
+
+        it('should wrap callers through inline queue nodes', async () => {
+            builder.defineFunctions({
+                target: {},
+                caller: {
+                    children: [{
+                        name: 'INLINE.QUEUE',
+                        type: 'queue',
+                        children: [ref('target')]
+                    }]
+                }
+            });
+
+            const tree = await builder.buildCallers('target');
+            const queue = tree.children[0];
+            assert.equal(queue.name, 'INLINE.QUEUE');
+            assert.equal(queue.type, 'queue');
+            assert.equal(queue.children.length, 1);
+            assert.equal(queue.children[0].name, 'caller');
+        });
+
+        it('should continue through ui-service-method, ui-services and app nodes', async () => {
+            builder.defineFunctions({
+                target: {},
+                caller: { children: [ref('target')] }
+            });
+            const app = {
+                name: 'test-app',
+                type: 'app',
+                children: [
+                    ref('target'),
+                    {
+                        name: 'Service',
+                        type: 'ui-services',
+                        children: [{
+                            name: 'method',
+                            type: 'ui-service-method',
+                            children: [ref('caller')]
+                        }]
+                    }
+                ]
+            };
+
+            const tree = await builder.buildCallers('target', [app]);
+            assert.equal(tree.children.length, 2);
+
+            const [viaCaller, viaApp] = tree.children;
+            assert.equal(viaCaller.name, 'caller');
+            const method = viaCaller.children[0];
+            assert.equal(method.name, 'method');
+            assert.equal(method.type, 'ui-service-method');
+            assert.equal(method.children[0].name, 'Service');
+            assert.equal(method.children[0].type, 'ui-services');
+            assert.deepEqual(method.children[0].children, [{ name: 'test-app', type: 'app' }]);
+
+            assert.deepEqual(viaApp, { name: 'test-app', type: 'app' });
+        });
+
+        it('should include callers from every app config', async () => {
+            builder.defineFunctions({ target: {} });
+            const apps = [
+                { name: 'app-one', type: 'app', children: [ref('target')] },
+                { name: 'app-two', type: 'app', children: [asyncRef('target', 'Q.TWO')] }
+            ];
+
+            const tree = await builder.buildCallers('target', apps);
+            assert.equal(tree.children[0].name, 'app-one');
+            assert.equal(tree.children[1].name, 'Q.TWO');
+            assert.equal(tree.children[1].children[0].name, 'app-two');
+        });
+
+        it('should look up the target and callers case-insensitively', async () => {
+            builder.defineFunctions({
+                targetfunc: { displayName: 'TargetFunc' },
+                caller: { children: [ref('TARGETFUNC')] }
+            });
+
+            const tree = await builder.buildCallers('targetfunc');
+            assert.equal(tree.name, 'TargetFunc');
+            assert.equal(tree.children.length, 1);
+            assert.equal(tree.children[0].name, 'caller');
+        });
+
+        it('should stop cycles with dupe-stopper nodes', async () => {
+            builder.defineFunctions({
+                funcA: { children: [ref('funcB')] },
+                funcB: { children: [ref('funcA')] }
+            });
+
+            const tree = await builder.buildCallers('funcA');
+            const stopper = tree.children[0].children[0];
+            assert.equal(tree.children[0].name, 'funcB');
+            assert.equal(stopper.type, 'dupe-stopper');
+            assert.equal(stopper._cycleAt, 'funcA');
+            assert.deepEqual(stopper._path, ['funcA', 'funcB', 'funcA']);
+        });
+
+        it('should return an unresolved node for an undefined target', async () => {
+            const tree = await builder.buildCallers('missing', [
+                { name: 'test-app', type: 'app', children: [ref('missing')] }
+            ]);
+            assert.equal(tree.type, 'warning');
+            assert.equal(tree._unresolvedRef, 'missing');
+            assert.equal(tree.children[0].name, 'test-app');
+        });
+
+        it('should ignore topic publish refs', async () => {
+            builder.defineFunctions({
+                target: {},
+                publisher: { children: [{ topicName: 'event', topicPublish: true }] }
+            });
+
+            const tree = await builder.buildCallers('target');
+            assert.equal(tree.children, undefined);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for TreeBuilder
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreeBuilder, ref, asyncRef } from '../tree-builder.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('TreeBuilder', () => {
+    describe('concurrent builds', () => {
+        let builder;
+
+        const appA = {
+            name: 'app-a',
+            type: 'app',
+            children: [{ ref: 'funcA' }, asyncRef('shared', 'SHARED.Q')]
+        };
+        const appB = {
+            name: 'app-b',
+            type: 'app',
+            children: [
+                { ref: 'funcB' },
+                {
+                    name: 'SVC',
+                    type: 'ui-services',
+                    children: [{ name: 'empty', type: 'ui-service-method', children: [] }]
+                }
+            ]
+        };
+
+        beforeEach(() => {
+            builder = new TreeBuilder({ filterEmptyUiServiceMethods: true });
+            builder.defineFunctions({
+                funcA: { children: [ref('shared'), asyncRef('leafA')] },
+                funcB: { children: [ref('shared'), asyncRef('leafB')] },
+                shared: { children: [ref('leafA'), ref('leafB')] },
+                leafA: {},
+                leafB: {}
+            });
+            // Resolve queues slowly so the builds interleave
+            builder.setAsyncResolver(async (funcName) => {
+                await delay(funcName === 'leafA' ? 15 : 5);
+                return { queueName: `${funcName.toUpperCase()}.Q` };
+            });
+        });
+
+        it('should produce the same trees as sequential builds', async () => {
+            const sequentialA = await builder.build(appA);
+            const sequentialB = await builder.build(appB);
+
+            const [concurrentA, concurrentB] = await Promise.all([builder.build(appA), builder.build(appB)]);
+
+            assert.deepEqual(concurrentA, sequentialA);
+            assert.deepEqual(concurrentB, sequentialB);
+        });
+
+        it('should not share resolved subtrees between overlapping builds', async () => {
+            const [first, second] = await Promise.all([builder.build(appA), builder.build(appA)]);
+
+            assert.deepEqual(first, second);
+            assert.notEqual(first.children[0], second.children[0]);
+        });
+
+        it('should not keep per-build state on the builder', async () => {
+            await Promise.all([builder.build(appA), builder.build(appB)]);
+            assert.equal(builder.resolvedFunctions.size, 0);
+        });
+
+        it('should keep diagnostics of overlapping builds apart', async () => {
+            const [a, b] = await Promise.all([
+                builder.buildWithDiagnostics(appA),
+                builder.buildWithDiagnostics(appB)
+            ]);
+
+            assert.deepEqual(a.diagnostics.filtered, []);
+            assert.deepEqual(b.diagnostics.filtered, [{ type: 'ui-service-method', name: 'empty', parent: 'SVC' }]);
+        });
+
+        it('should let an overlapping build see a definition change made before it started', async () => {
+            const before = builder.build(appA);
+            builder.updateFunction('leafA', { metadata_lines: [{ text: 'changed' }] });
+            const after = builder.build(appA);
+
+            const [, afterTree] = await Promise.all([before, after]);
+            assert.equal(afterTree.children[0].children[0].children[0].metadata_lines[0].text, 'changed');
+        });
+
+        describe('in incremental mode', () => {
+            beforeEach(() => {
+                builder.config.incremental = true;
+            });
+
+            it('should produce the same trees as sequential builds', async () => {
+                const fresh = new TreeBuilder({ filterEmptyUiServiceMethods: true });
+                fresh.defineFunctions(Object.fromEntries([...builder.functionDefs].map(([, def]) => [def.displayName, def])));
+                fresh.setAsyncResolver(builder.asyncResolver);
+                const expectedA = await fresh.build(appA);
+                const expectedB = await fresh.build(appB);
+
+                const [a, b] = await Promise.all([builder.build(appA), builder.build(appB)]);
+
+                assert.deepEqual(a, expectedA);
+                assert.deepEqual(b, expectedB);
+            });
+
+            it('should not cache subtrees resolved from definitions changed mid-build', async () => {
+                const inFlight = builder.build(appA);
+                await delay(1);
+                builder.updateFunction('leafA', { metadata_lines: [{ text: 'changed' }] });
+                await inFlight;
+
+                const tree = await builder.build(appA);
+                assert.equal(tree.children[0].children[0].children[0].metadata_lines[0].text, 'changed');
+            });
+        });
+    });
+});
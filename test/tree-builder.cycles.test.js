@@ -0,0 +1,145 @@
+/**
+ * Unit tests for TreeBuilder
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreeBuilder, ref, asyncRef, topicPublishRef } from '../tree-builder.js';
+
+describe('TreeBuilder', () => {
+    let builder;
+
+    beforeEach(() => {
+        builder = new TreeBuilder();
+    });
+
+    describe('analyzeCycles', () => {
+        it('should return no cycles for an acyclic pool', () => {
+            builder.defineFunctions({
+                leaf: {},
+                parent: { children: [ref('leaf'), ref('leaf')] }
+            });
+
+            assert.deepEqual(builder.analyzeCycles(), []);
+        });
+
+        it('should report a two-function cycle once', () => {
+            builder.defineFunctions({
+                funcA: { children: [ref('funcB')] },
+                funcB: { children: [ref('funcA')] },
+                caller: { children: [ref('funcA')] }
+            });
+
+            assert.deepEqual(builder.analyzeCycles(), [{
+                functions: ['funcA', 'funcB'],
+                edges: [
+                    { from: 'funcA', to: 'funcB', kind: 'sync' },
+                    { from: 'funcB', to: 'funcA', kind: 'sync' }
+                ],
+                edgeKinds: ['sync'],
+                apps: []
+            }]);
+        });
+
+        it('should report self-references as cycles', () => {
+            builder.defineFunctions({
+                recursive: { children: [ref('recursive')] }
+            });
+
+            const cycles = builder.analyzeCycles();
+            assert.equal(cycles.length, 1);
+            assert.deepEqual(cycles[0].functions, ['recursive']);
+        });
+
+        it('should merge overlapping loops into one component', () => {
+            builder.defineFunctions({
+                funcA: { children: [ref('funcB')] },
+                funcB: { children: [ref('funcC'), ref('funcA')] },
+                funcC: { children: [ref('funcB')] }
+            });
+
+            const cycles = builder.analyzeCycles();
+            assert.equal(cycles.length, 1);
+            assert.deepEqual(cycles[0].functions, ['funcA', 'funcB', 'funcC']);
+            assert.equal(cycles[0].edges.length, 4);
+        });
+
+        it('should report separate components separately', () => {
+            builder.defineFunctions({
+                funcA: { children: [ref('funcB')] },
+                funcB: { children: [ref('funcA'), ref('funcC')] },
+                funcC: { children: [ref('funcD')] },
+                funcD: { children: [ref('funcC')] }
+            });
+
+            const cycles = builder.analyzeCycles();
+            assert.deepEqual(cycles.map(c => c.functions).sort(), [['funcA', 'funcB'], ['funcC', 'funcD']]);
+        });
+
+        it('should include async, inline queue and topic edges with their kinds', () => {
+            builder.defineFunctions({
+                funcA: { children: [asyncRef('funcB', 'B.QUEUE')] },
+                funcB: { children: [{ name: 'INLINE', type: 'queue', children: [ref('funcC')] }] },
+                funcC: { children: [topicPublishRef('event')] },
+                subscriber: { subscribesTo: ['event'], children: [ref('funcA')] }
+            });
+
+            const cycles = builder.analyzeCycles();
+            assert.equal(cycles.length, 1);
+            assert.deepEqual(cycles[0].functions, ['funcA', 'funcB', 'funcC', 'subscriber']);
+            assert.deepEqual(cycles[0].edgeKinds.sort(), ['async', 'queue', 'sync', 'topic']);
+        });
+
+        it('should match refs case-insensitively and use display names', () => {
+            builder.defineFunctions({
+                FuncA: { children: [ref('FUNCB')] },
+                FuncB: { children: [ref('funca')] }
+            });
+
+            assert.deepEqual(builder.analyzeCycles()[0].functions, ['FuncA', 'FuncB']);
+        });
+
+        it('should ignore refs to undefined functions', () => {
+            builder.defineFunctions({
+                funcA: { children: [ref('missing')] }
+            });
+
+            assert.deepEqual(builder.analyzeCycles(), []);
+        });
+
+        it('should list the apps that can reach each cycle', () => {
+            builder.defineFunctions({
+                funcA: { children: [ref('funcB')] },
+                funcB: { children: [ref('funcA')] },
+                entry: { children: [asyncRef('funcA')] },
+                other: {}
+            });
+            const apps = [
+                {
+                    name: 'reaching-app',
+                    type: 'app',
+                    children: [{
+                        name: 'Service',
+                        type: 'ui-services',
+                        children: [{ name: 'method', type: 'ui-service-method', children: [ref('entry')] }]
+                    }]
+                },
+                { name: 'other-app', type: 'app', children: [ref('other')] }
+            ];
+
+            assert.deepEqual(builder.analyzeCycles(apps)[0].apps, ['reaching-app']);
+        });
+
+        it('should handle long chains without overflowing the stack', () => {
+            const defs = {};
+            for (let i = 0; i < 20000; i++) {
+                defs[`func${i}`] = { children: [ref(`func${(i + 1) % 20000}`)] };
+            }
+            builder.defineFunctions(defs);
+
+            const cycles = builder.analyzeCycles();
+            assert.equal(cycles.length, 1);
+            assert.equal(cycles[0].functions.length, 20000);
+        });
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for TreeBuilder
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreeBuilder, ref, asyncRef, topicPublishRef } from '../tree-builder.js';
+
+describe('TreeBuilder', () => {
+    let builder;
+
+    beforeEach(() => {
+        builder = new TreeBuilder({ logger: { error() {}, warn() {}, debug() {} } });
+    });
+
+    describe('buildWithDiagnostics', () => {
+        it('should return the same tree as build with empty diagnostics', async () => {
+            builder.defineFunctions({
+                child: {},
+                parent: { children: [ref('child')] }
+            });
+            const app = { name: 'test-app', type: 'app', children: [ref('parent')] };
+
+            const { tree, diagnostics } = await builder.buildWithDiagnostics(app);
+            assert.deepEqual(tree, await builder.build(app));
+            assert.deepEqual(diagnostics, { unresolved: [], cycles: [], resolverErrors: [], filtered: [] });
+        });
+
+        it('should report unresolved refs with the referencing function and path', async () => {
+            builder.defineFunctions({
+                parent: { children: [asyncRef('missing', 'MISSING.QUEUE')] }
+            });
+
+            const { diagnostics } = await builder.buildWithDiagnostics({
+                name: 'test-app',
+                type: 'app',
+                children: [ref('parent'), ref('alsoMissing')]
+            });
+
+            assert.deepEqual(diagnostics.unresolved, [
+                {
+                    ref: 'missing',
+                    referencedBy: 'parent',
+                    path: [
+                        'test-app',
+                        'parent',
+                        'MISSING.QUEUE',
+                        'dependency to missing could not be resolved so the tree may be incomplete'
+                    ]
+                },
+                {
+                    ref: 'alsoMissing',
+                    referencedBy: 'test-app',
+                    path: ['test-app', 'dependency to alsoMissing could not be resolved so the tree may be incomplete']
+                }
+            ]);
+        });
+
+        it('should report every occurrence of a shared unresolved subtree', async () => {
+            builder.defineFunctions({
+                shared: { children: [ref('missing')] }
+            });
+
+            const { diagnostics } = await builder.buildWithDiagnostics({
+                name: 'test-app',
+                type: 'app',
+                children: [ref('shared'), ref('shared')]
+            });
+
+            assert.equal(diagnostics.unresolved.length, 2);
+        });
+
+        it('should report cycle stoppers', async () => {
+            builder.defineFunctions({
+                funcA: { children: [ref('funcB')] },
+                funcB: { children: [ref('funcA')] }
+            });
+
+            const { diagnostics } = await builder.buildWithDiagnostics({
+                name: 'test-app',
+                type: 'app',
+                children: [ref('funcA')]
+            });
+
+            assert.deepEqual(diagnostics.cycles, [{
+                cycleAt: 'funcA',
+                cyclePath: ['funcA', 'funcB', 'funcA'],
+                path: ['test-app', 'funcA', 'funcB', 'loop detected stopping (funcA)']
+            }]);
+        });
+
+        it('should report resolver failures', async () => {
+            builder.defineFunctions({
+                worker: {},
+                publisher: { children: [topicPublishRef('event', 'EVENT.QUEUE')] }
+            });
+            builder.setAsyncResolver(() => {
+                throw new Error('queue stats down');
+            });
+            builder.setTopicPublishResolver(() => {
+                throw new Error('topic stats down');
+            });
+
+            const { diagnostics } = await builder.buildWithDiagnostics({
+                name: 'test-app',
+                type: 'app',
+                children: [asyncRef('worker', 'WORK.QUEUE'), ref('publisher')]
+            });
+
+            assert.deepEqual(diagnostics.resolverErrors, [
+                {
+                    resolverName: 'asyncResolver',
+                    args: ['worker', 'WORK.QUEUE'],
+                    message: 'queue stats down',
+                    path: ['test-app', 'WORK.QUEUE']
+                },
+                {
+                    resolverName: 'topicPublishResolver',
+                    args: ['event', 'EVENT.QUEUE'],
+                    message: 'topic stats down',
+                    path: ['test-app', 'publisher', 'EVENT.QUEUE']
+                }
+            ]);
+        });
+
+        it('should not report resolver failures of functions outside the tree', async () => {
+            builder.defineFunctions({
+                unreachable: { children: [asyncRef('worker')] },
+                worker: {}
+            });
+            builder.setAsyncResolver(() => {
+                throw new Error('queue stats down');
+            });
+
+            const { diagnostics } = await builder.buildWithDiagnostics({
+                name: 'test-app',
+                type: 'app',
+                children: [ref('worker')]
+            });
+
+            assert.deepEqual(diagnostics.resolverErrors, []);
+        });
+
+        it('should report filtered ui-service-methods and ui-services', async () => {
+            builder = new TreeBuilder({ filterEmptyUiServiceMethods: true, filterEmptyUiServices: true });
+            builder.defineFunctions({ func: {} });
+
+            const { tree, diagnostics } = await builder.buildWithDiagnostics({
+                name: 'test-app',
+                type: 'app',
+                children: [
+                    {
+                        name: 'KeptService',
+                        type: 'ui-services',
+                        children: [
+                            { name: 'emptyMethod', type: 'ui-service-method', children: [] },
+                            { name: 'usedMethod', type: 'ui-service-method', children: [ref('func')] }
+                        ]
+                    },
+                    {
+                        name: 'EmptyService',
+                        type: 'ui-services',
+                        children: [{ name: 'otherEmptyMethod', type: 'ui-service-method', children: [] }]
+                    }
+                ]
+            });
+
+            assert.equal(tree.children.length, 1);
+            assert.deepEqual(diagnostics.filtered, [
+                { type: 'ui-service-method', name: 'emptyMethod', parent: 'KeptService' },
+                { type: 'ui-service-method', name: 'otherEmptyMethod', parent: 'EmptyService' },
+                { type: 'ui-services', name: 'EmptyService', parent: null }
+            ]);
+        });
+    });
+});
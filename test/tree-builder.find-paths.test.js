@@ -0,0 +1,139 @@
+/**
+ * Unit tests for TreeBuilder
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreeBuilder, ref, asyncRef, topicPublishRef } from '../tree-builder.js';
+
+describe('TreeBuilder', () => {
+    let builder;
+
+    beforeEach(() => {
+        builder = new TreeBuilder();
+    });
+
+    describe('findPaths', () => {
+        const app = {
+            name: 'my-app',
+            type: 'app',
+            children: [
+                ref('handler'),
+                {
+                    name: 'WT9000J',
+                    type: 'ui-services',
+                    children: [
+                        { name: 'resolvePend', type: 'ui-service-method', children: [ref('handler')] },
+                        { name: 'submit', type: 'ui-service-method', children: [asyncRef('worker', 'WORK.Q')] },
+                        { name: 'other', type: 'ui-service-method', children: [ref('unrelated')] }
+                    ]
+                }
+            ]
+        };
+
+        beforeEach(() => {
+            builder.defineFunctions({
+                handler: { children: [ref('validate'), ref('worker'), topicPublishRef('events')] },
+                worker: { children: [ref('validate')] },
+                listener: { subscribesTo: ['events'] },
+                validate: { displayName: 'validateProfile', children: [ref('audit')] },
+                audit: {},
+                unrelated: {}
+            });
+        });
+
+        const describePaths = (result) => result.paths.map(path => path.steps
+            .map(step => [...(step.boundaries || []).map(b => `[${b.type}:${b.name}]`), step.name].join(' '))
+            .join(' > '));
+
+        it('should enumerate every path from the app root in structure order', () => {
+            const result = builder.findPaths(app, 'validate');
+
+            assert.equal(result.app, 'my-app');
+            assert.equal(result.target, 'validateProfile');
+            assert.equal(result.truncated, false);
+            assert.deepEqual(describePaths(result), [
+                'my-app > handler > validateProfile',
+                'my-app > handler > worker > validateProfile',
+                'my-app > WT9000J > resolvePend > handler > validateProfile',
+                'my-app > WT9000J > resolvePend > handler > worker > validateProfile',
+                'my-app > WT9000J > submit > [timer:WORK.Q] worker > validateProfile'
+            ]);
+        });
+
+        it('should describe structure and function steps', () => {
+            const [, , , , viaQueue] = builder.findPaths(app, 'validate').paths;
+
+            assert.deepEqual(viaQueue.steps, [
+                { name: 'my-app', type: 'app' },
+                { name: 'WT9000J', type: 'ui-services' },
+                { name: 'submit', type: 'ui-service-method' },
+                { name: 'worker', type: 'function', via: 'async', boundaries: [{ type: 'timer', name: 'WORK.Q' }] },
+                { name: 'validateProfile', type: 'function', via: 'sync', boundaries: [] }
+            ]);
+            assert.equal(viaQueue.crossesAsync, true);
+        });
+
+        it('should mark topic and inline queue boundaries', () => {
+            builder.defineFunctions({
+                listener: { subscribesTo: ['events'], children: [{ name: 'AUDIT.Q', type: 'queue', children: [ref('audit')] }] }
+            });
+
+            const result = builder.findPaths(app, 'audit');
+
+            const viaTopic = result.paths.find(path => path.steps.some(step => step.name === 'listener'));
+            assert.deepEqual(viaTopic.steps.slice(-2), [
+                { name: 'listener', type: 'function', via: 'topic', boundaries: [{ type: 'topic', name: 'events_queue' }] },
+                { name: 'audit', type: 'function', via: 'queue', boundaries: [{ type: 'queue', name: 'AUDIT.Q' }] }
+            ]);
+            assert.equal(viaTopic.crossesAsync, true);
+        });
+
+        it('should only follow sync calls when crossAsync is false', () => {
+            const result = builder.findPaths(app, 'validate', { crossAsync: false });
+
+            assert.deepEqual(describePaths(result), [
+                'my-app > handler > validateProfile',
+                'my-app > handler > worker > validateProfile',
+                'my-app > WT9000J > resolvePend > handler > validateProfile',
+                'my-app > WT9000J > resolvePend > handler > worker > validateProfile'
+            ]);
+            assert.ok(result.paths.every(path => !path.crossesAsync));
+        });
+
+        it('should stop at maxPaths and report truncation', () => {
+            const result = builder.findPaths(app, 'validate', { maxPaths: 2 });
+
+            assert.equal(result.paths.length, 2);
+            assert.equal(result.truncated, true);
+            assert.equal(builder.findPaths(app, 'validate', { maxPaths: 5 }).truncated, false);
+        });
+
+        it('should not repeat a function within a path', () => {
+            builder.defineFunctions({
+                ping: { children: [ref('pong'), ref('validate')] },
+                pong: { children: [ref('ping')] }
+            });
+
+            const result = builder.findPaths({ name: 'app', type: 'app', children: [ref('ping')] }, 'validate');
+
+            assert.deepEqual(describePaths(result), ['app > ping > validateProfile']);
+        });
+
+        it('should find paths to undefined functions, case-insensitively', () => {
+            builder.defineFunctions({ caller: { children: [ref('Missing')] } });
+
+            const result = builder.findPaths({ name: 'app', type: 'app', children: [ref('caller')] }, 'MISSING');
+
+            assert.equal(result.target, 'MISSING');
+            assert.deepEqual(describePaths(result), ['app > caller > MISSING']);
+        });
+
+        it('should return no paths when the target is unreachable', () => {
+            const result = builder.findPaths(app, 'nothingCallsThis');
+
+            assert.deepEqual(result.paths, []);
+            assert.equal(result.truncated, false);
+        });
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Unit tests for TreeBuilder
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreeBuilder, ref, asyncRef, topicPublishRef } from '../tree-builder.js';
+
+describe('TreeBuilder', () => {
+    let builder;
+
+    beforeEach(() => {
+        builder = new TreeBuilder();
+    });
+
+    describe('getFunctionGraph', () => {
+        it('should list every function and edge with display names and kinds', () => {
+            builder.defineFunctions({
+                Caller: {
+                    children: [
+                        ref('HELPER'),
+                        asyncRef('worker'),
+                        { name: 'INLINE', type: 'queue', children: [ref('helper')] },
+                        topicPublishRef('event')
+                    ]
+                },
+                Helper: {},
+                worker: {},
+                subscriber: { subscribesTo: ['event'] }
+            });
+
+            assert.deepEqual(builder.getFunctionGraph(), {
+                functions: [
+                    { name: 'Caller', defined: true },
+                    { name: 'Helper', defined: true },
+                    { name: 'worker', defined: true },
+                    { name: 'subscriber', defined: true }
+                ],
+                edges: [
+                    { from: 'Caller', to: 'Helper', kind: 'sync' },
+                    { from: 'Caller', to: 'worker', kind: 'async' },
+                    { from: 'Caller', to: 'Helper', kind: 'queue' },
+                    { from: 'Caller', to: 'subscriber', kind: 'topic' }
+                ]
+            });
+        });
+
+        it('should include undefined functions once', () => {
+            builder.defineFunctions({
+                callerA: { children: [ref('Missing')] },
+                callerB: { children: [ref('missing')] }
+            });
+
+            const graph = builder.getFunctionGraph();
+            assert.deepEqual(graph.functions.filter(fn => !fn.defined), [{ name: 'Missing', defined: false }]);
+            assert.deepEqual(graph.edges.map(edge => edge.to), ['Missing', 'Missing']);
+        });
+    });
+});
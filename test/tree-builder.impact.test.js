@@ -0,0 +1,133 @@
+/**
+ * Unit tests for TreeBuilder
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreeBuilder, ref, asyncRef } from '../tree-builder.js';
+
+describe('TreeBuilder', () => {
+    let builder;
+
+    beforeEach(() => {
+        builder = new TreeBuilder();
+    });
+
+    describe('analyzeImpact', () => {
+        const app = {
+            name: 'test-app',
+            type: 'app',
+            children: [
+                ref('entry'),
+                ref('unrelated'),
+                {
+                    name: 'Service',
+                    type: 'ui-services',
+                    children: [
+                        {
+                            name: 'syncMethod',
+                            type: 'ui-service-method',
+                            children: [ref('middle')]
+                        },
+                        {
+                            name: 'asyncMethod',
+                            type: 'ui-service-method',
+                            children: [asyncRef('entry', 'ENTRY.QUEUE')]
+                        },
+                        {
+                            name: 'otherMethod',
+                            type: 'ui-service-method',
+                            children: [ref('unrelated')]
+                        }
+                    ]
+                }
+            ]
+        };
+
+        beforeEach(() => {
+            builder.defineFunctions({
+                target: {},
+                middle: { children: [ref('target')] },
+                entry: { children: [ref('middle')] },
+                unrelated: {}
+            });
+        });
+
+        it('should report top-level refs that reach the target', () => {
+            const result = builder.analyzeImpact('target', [app]);
+            assert.deepEqual(result.targets, ['target']);
+            assert.deepEqual(result.apps[0].refs, [{
+                name: 'entry',
+                target: 'target',
+                path: ['entry', 'middle', 'target'],
+                crossesAsync: false
+            }]);
+        });
+
+        it('should report ui-service-methods that reach the target', () => {
+            const result = builder.analyzeImpact('target', [app]);
+            const methods = result.apps[0].uiServiceMethods;
+            assert.deepEqual(methods.map(m => m.name), ['syncMethod', 'asyncMethod']);
+            assert.equal(methods[0].uiServices, 'Service');
+            assert.deepEqual(methods[0].path, ['middle', 'target']);
+            assert.equal(methods[0].crossesAsync, false);
+            assert.equal(methods[1].crossesAsync, true);
+        });
+
+        it('should pick the shortest call path', () => {
+            builder.defineFunctions({
+                entry: { children: [ref('middle'), ref('target')] }
+            });
+
+            const result = builder.analyzeImpact('target', [app]);
+            assert.deepEqual(result.apps[0].refs[0].path, ['entry', 'target']);
+        });
+
+        it('should flag paths that cross async queues inside the function pool', () => {
+            builder.defineFunctions({
+                middle: {
+                    children: [{ name: 'INLINE.QUEUE', type: 'queue', children: [ref('target')] }]
+                }
+            });
+
+            const result = builder.analyzeImpact('target', [app]);
+            assert.equal(result.apps[0].refs[0].crossesAsync, true);
+        });
+
+        it('should report a direct reference to the target', () => {
+            const result = builder.analyzeImpact('middle', [app]);
+            const method = result.apps[0].uiServiceMethods.find(m => m.name === 'syncMethod');
+            assert.deepEqual(method.path, ['middle']);
+        });
+
+        it('should analyze several targets at once', () => {
+            const result = builder.analyzeImpact(['target', 'unrelated'], [app]);
+            const refs = result.apps[0].refs;
+            assert.deepEqual(refs.map(r => [r.name, r.target]), [
+                ['entry', 'target'],
+                ['unrelated', 'unrelated']
+            ]);
+            assert.ok(result.apps[0].uiServiceMethods.some(m => m.name === 'otherMethod'));
+        });
+
+        it('should list apps that do not reach the target', () => {
+            const other = { name: 'other-app', type: 'app', children: [ref('unrelated')] };
+            const result = builder.analyzeImpact('target', [app, other]);
+            assert.deepEqual(result.apps[1], { app: 'other-app', uiServiceMethods: [], refs: [] });
+        });
+
+        it('should match function names case-insensitively', () => {
+            const result = builder.analyzeImpact('TARGET', [app]);
+            assert.deepEqual(result.apps[0].refs[0].path, ['entry', 'middle', 'target']);
+        });
+
+        it('should terminate on cyclic function graphs', () => {
+            builder.defineFunctions({
+                middle: { children: [ref('entry'), ref('target')] }
+            });
+
+            const result = builder.analyzeImpact('target', [app]);
+            assert.deepEqual(result.apps[0].refs[0].path, ['entry', 'middle', 'target']);
+        });
+    });
+});
@@ -0,0 +1,234 @@
+/**
+ * Unit tests for TreeBuilder
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreeBuilder, ref, asyncRef, topicPublishRef } from '../tree-builder.js';
+
+describe('TreeBuilder', () => {
+    let builder;
+
+    const app = {
+        name: 'test-app',
+        type: 'app',
+        children: [ref('parent'), ref('unrelated')]
+    };
+
+    beforeEach(() => {
+        builder = new TreeBuilder({ incremental: true });
+        builder.defineFunctions({
+            leaf: {},
+            middle: { children: [ref('leaf')] },
+            parent: { children: [ref('middle')] },
+            unrelated: { children: [ref('other')] },
+            other: {}
+        });
+    });
+
+    describe('incremental rebuilds', () => {
+        it('should reuse cached subtrees when nothing changed', async () => {
+            const first = await builder.build(app);
+            const second = await builder.build(app);
+
+            assert.equal(second.children[0], first.children[0]);
+            assert.equal(second.children[1], first.children[1]);
+        });
+
+        it('should clear the cache on every build when not incremental', async () => {
+            builder = new TreeBuilder();
+            builder.defineFunctions({ parent: {}, unrelated: {} });
+
+            const first = await builder.build(app);
+            const second = await builder.build(app);
+
+            assert.notEqual(second.children[0], first.children[0]);
+            assert.deepEqual(second, first);
+        });
+
+        it('should re-resolve only the updated function and its ancestors', async () => {
+            const first = await builder.build(app);
+            builder.updateFunction('leaf', { metadata_lines: [{ text: 'changed' }] });
+            const second = await builder.build(app);
+
+            assert.notEqual(second.children[0], first.children[0]);
+            assert.equal(second.children[0].children[0].children[0].metadata_lines[0].text, 'changed');
+            assert.equal(second.children[1], first.children[1]);
+        });
+
+        it('should only invalidate cache entries of affected functions', async () => {
+            await builder.build(app);
+            const cachedKeys = [...builder.resolvedFunctions.keys()];
+            builder.updateFunction('middle', { children: [] });
+
+            const remaining = [...builder.resolvedFunctions.keys()].map(key => key.split('::')[0]);
+            assert.ok(remaining.includes('leaf'));
+            assert.ok(remaining.includes('unrelated'));
+            assert.ok(remaining.includes('other'));
+            assert.ok(!remaining.includes('middle'));
+            assert.ok(!remaining.includes('parent'));
+            assert.ok(remaining.length < cachedKeys.length);
+        });
+
+        it('should invalidate callers across async and topic edges', async () => {
+            builder.defineFunctions({
+                asyncCaller: { children: [asyncRef('leaf', 'LEAF.QUEUE')] },
+                publisher: { children: [topicPublishRef('leafTopic')] },
+                subscriber: { subscribesTo: ['leafTopic'], children: [ref('leaf')] }
+            });
+            await builder.build(app);
+            builder.updateFunction('leaf', {});
+
+            const remaining = new Set([...builder.resolvedFunctions.keys()].map(key => key.split('::')[0]));
+            assert.ok(!remaining.has('asynccaller'));
+            assert.ok(!remaining.has('publisher'));
+            assert.ok(!remaining.has('subscriber'));
+        });
+
+        it('should replace refs to removed functions with unresolved nodes', async () => {
+            await builder.build(app);
+            builder.removeFunction('middle');
+            const tree = await builder.build(app);
+
+            assert.equal(builder.functionDefs.has('middle'), false);
+            assert.equal(tree.children[0].children[0].type, 'warning');
+            assert.equal(tree.children[0].children[0]._unresolvedRef, 'middle');
+        });
+
+        it('should resolve refs that become defined', async () => {
+            builder.defineFunctions({ middle: { children: [ref('missing')] } });
+            const first = await builder.build(app);
+            assert.equal(first.children[0].children[0].children[0].type, 'warning');
+
+            builder.defineFunction('missing');
+            const second = await builder.build(app);
+            assert.equal(second.children[0].children[0].children[0].type, 'function');
+            assert.equal(second.children[0].children[0].children[0].name, 'missing');
+        });
+
+        it('should pick up new topic subscribers', async () => {
+            builder.defineFunctions({ middle: { children: [topicPublishRef('event')] } });
+            await builder.build(app);
+
+            builder.defineTopicSubscribers('event', ['leaf']);
+            const tree = await builder.build(app);
+            const topicNode = tree.children[0].children[0].children[0];
+            assert.equal(topicNode.children[0].name, 'leaf');
+        });
+
+        it('should handle updates that introduce a cycle', async () => {
+            await builder.build(app);
+            builder.updateFunction('leaf', { children: [ref('parent')] });
+            const tree = await builder.build(app);
+
+            const stopper = tree.children[0].children[0].children[0].children[0];
+            assert.equal(stopper.type, 'dupe-stopper');
+            assert.deepEqual(stopper._path, ['parent', 'middle', 'leaf', 'parent']);
+        });
+
+        it('should produce the same tree as a fresh builder after edits', async () => {
+            await builder.build(app);
+            builder.updateFunction('middle', { children: [ref('leaf'), asyncRef('other')] });
+            builder.removeFunction('unrelated');
+            const incrementalTree = await builder.build(app);
+
+            const fresh = new TreeBuilder();
+            fresh.defineFunctions({
+                leaf: {},
+                middle: { children: [ref('leaf'), asyncRef('other')] },
+                parent: { children: [ref('middle')] },
+                other: {}
+            });
+            assert.deepEqual(incrementalTree, await fresh.build(app));
+        });
+
+        it('should clear the cache when a resolver is set', async () => {
+            await builder.build(app);
+            builder.setAsyncResolver(() => ({ queueName: 'RESOLVED' }));
+            assert.equal(builder.resolvedFunctions.size, 0);
+        });
+
+        it('should update dupe-stopper paths below a function whose displayName changed', async () => {
+            // Defined callers first, so the shared leaf subtree is resolved below middle
+            builder = new TreeBuilder({ incremental: true });
+            builder.defineFunctions({
+                parent: { children: [ref('middle')] },
+                middle: { children: [ref('leaf')] },
+                leaf: { children: [ref('leaf')] }
+            });
+            await builder.build(app);
+
+            builder.updateFunction('middle', { displayName: 'Middle Step', children: [ref('leaf')] });
+            const tree = await builder.build(app);
+
+            const stopper = tree.children[0].children[0].children[0].children[0];
+            assert.deepEqual(stopper._path, ['parent', 'Middle Step', 'leaf', 'leaf']);
+        });
+
+        describe('with resolvers', () => {
+            const resolverApp = {
+                name: 'test-app',
+                type: 'app',
+                children: [ref('parent'), ref('unrelated')]
+            };
+            let calls;
+
+            beforeEach(() => {
+                builder = new TreeBuilder({ incremental: true, resolverCacheTtl: 5, logger: { error: () => {} } });
+                builder.defineFunctions({
+                    worker: {},
+                    parent: { children: [asyncRef('worker', 'WORK.Q')] },
+                    unrelated: { children: [ref('other')] },
+                    other: {}
+                });
+                calls = 0;
+            });
+
+            it('should not keep a failed resolver call in later builds', async () => {
+                builder.setAsyncResolver(() => {
+                    calls++;
+                    if (calls === 1) throw new Error('queue stats down');
+                    return { depth: 2 };
+                });
+
+                const first = await builder.build(resolverApp);
+                await new Promise(resolve => setTimeout(resolve, 20));
+                const second = await builder.build(resolverApp);
+
+                assert.equal(calls, 2);
+                assert.equal(first.children[0].children[0].metadata_lines[0].text, 'asyncResolver errored out: queue stats down');
+                assert.equal(second.children[0].children[0].metadata_lines, undefined);
+                assert.equal(second.children[0].children[0].depth, 2);
+            });
+
+            it('should keep reusing subtrees without resolver output', async () => {
+                builder.setAsyncResolver(() => {
+                    calls++;
+                    return { depth: calls };
+                });
+
+                const first = await builder.build(resolverApp);
+                await new Promise(resolve => setTimeout(resolve, 20));
+                const second = await builder.build(resolverApp);
+
+                assert.equal(second.children[1], first.children[1]);
+                assert.notEqual(second.children[0], first.children[0]);
+                assert.equal(second.children[0].children[0].depth, 2);
+                assert.deepEqual([...builder.resolvedFunctions.keys()].map(key => key.split('::')[0]).sort(), ['other', 'unrelated', 'worker']);
+            });
+
+            it('should reuse resolver results within resolverCacheTtl', async () => {
+                builder.config.resolverCacheTtl = 60000;
+                builder.setAsyncResolver(() => {
+                    calls++;
+                    return { depth: 1 };
+                });
+
+                await builder.build(resolverApp);
+                await builder.build(resolverApp);
+
+                assert.equal(calls, 1);
+            });
+        });
+    });
+});
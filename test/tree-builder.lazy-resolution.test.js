@@ -0,0 +1,116 @@
+/**
+ * Unit tests for TreeBuilder
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreeBuilder, ref, asyncRef, topicPublishRef } from '../tree-builder.js';
+
+describe('TreeBuilder', () => {
+    describe('reachable-only resolution', () => {
+        let builder;
+        let asyncCalls;
+        let topicCalls;
+
+        const pool = {
+            entry: { children: [ref('helper'), asyncRef('worker'), topicPublishRef('events')] },
+            helper: { children: [ref('shared')] },
+            worker: { children: [ref('shared')] },
+            listener: { subscribesTo: ['events'], children: [asyncRef('listenerJob')] },
+            listenerJob: {},
+            inlineTarget: { children: [asyncRef('inlineJob')] },
+            inlineJob: {},
+            shared: {},
+            // Not reachable from the apps below
+            orphan: { children: [asyncRef('orphanJob'), topicPublishRef('orphanTopic')] },
+            orphanJob: { children: [ref('shared')] },
+            orphanListener: { subscribesTo: ['orphanTopic'], children: [asyncRef('shared')] }
+        };
+
+        const createBuilder = () => {
+            const instance = new TreeBuilder();
+            instance.defineFunctions(pool);
+            instance.setAsyncResolver(async (funcName) => {
+                asyncCalls.push(funcName);
+                return { queueName: `${funcName.toUpperCase()}.Q` };
+            });
+            instance.setTopicPublishResolver(async (topicName) => {
+                topicCalls.push(topicName);
+                return { metadata_lines: [{ text: `topic ${topicName}`, clickable: false }] };
+            });
+            return instance;
+        };
+
+        beforeEach(() => {
+            asyncCalls = [];
+            topicCalls = [];
+            builder = createBuilder();
+        });
+
+        it('should not call resolvers for edges of unreachable functions', async () => {
+            await builder.build({ name: 'app', type: 'app', children: [ref('entry')] });
+
+            assert.deepEqual([...new Set(asyncCalls)].sort(), ['listenerJob', 'worker']);
+            assert.deepEqual([...new Set(topicCalls)], ['events']);
+        });
+
+        it('should resolve functions reached through inline queues and nested structures', async () => {
+            await builder.build({
+                name: 'app',
+                type: 'app',
+                children: [{
+                    name: 'SVC',
+                    type: 'ui-services',
+                    children: [{
+                        name: 'method',
+                        type: 'ui-service-method',
+                        children: [{ name: 'INLINE.Q', type: 'queue', children: [ref('inlineTarget')] }]
+                    }]
+                }]
+            });
+
+            assert.deepEqual([...new Set(asyncCalls)], ['inlineJob']);
+            assert.deepEqual(topicCalls, []);
+        });
+
+        it('should not resolve anything for an app without refs', async () => {
+            const tree = await builder.build({ name: 'app', type: 'app', children: [] });
+
+            assert.equal(tree.name, 'app');
+            assert.deepEqual(asyncCalls, []);
+            assert.deepEqual(topicCalls, []);
+        });
+
+        it('should build the same tree whether or not other apps touched the rest of the pool', async () => {
+            const app = { name: 'app', type: 'app', children: [ref('entry'), ref('orphanJob')] };
+            const lazy = await builder.build(app);
+
+            const incremental = new TreeBuilder({ incremental: true });
+            incremental.defineFunctions(pool);
+            incremental.setAsyncResolver(async (funcName) => ({ queueName: `${funcName.toUpperCase()}.Q` }));
+            incremental.setTopicPublishResolver(async (topicName) => ({
+                metadata_lines: [{ text: `topic ${topicName}`, clickable: false }]
+            }));
+            // Warm the shared cache with every function in the pool first
+            await incremental.build({ name: 'all', type: 'app', children: Object.keys(pool).map(name => ref(name)) });
+
+            assert.deepEqual(await incremental.build(app), lazy);
+        });
+
+        it('should keep subtrees consistent across cycles entered from different functions', async () => {
+            const cyclic = new TreeBuilder();
+            cyclic.defineFunctions({
+                a: { children: [ref('b')] },
+                b: { children: [ref('c')] },
+                c: { children: [ref('a'), asyncRef('b')] },
+                unrelated: { children: [ref('a')] }
+            });
+            const app = { name: 'app', type: 'app', children: [ref('b'), ref('c'), ref('a')] };
+
+            const withUnrelated = await cyclic.build({ ...app, children: [...app.children, ref('unrelated')] });
+            const tree = await cyclic.build(app);
+
+            assert.deepEqual(tree.children, withUnrelated.children.slice(0, 3));
+        });
+    });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit tests for TreeBuilder
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreeBuilder, ref, asyncRef, topicPublishRef } from '../tree-builder.js';
+
+describe('TreeBuilder', () => {
+    describe('node ids', () => {
+        const pool = {
+            handler: { children: [ref('createWtException'), asyncRef('worker', 'WORK.Q'), topicPublishRef('events')] },
+            createWtException: { children: [ref('audit'), ref('audit')] },
+            worker: { children: [ref('createWtException')] },
+            listener: { subscribesTo: ['events'] },
+            audit: {}
+        };
+        const app = {
+            name: 'my-app',
+            type: 'app',
+            children: [{
+                name: 'WT9000J',
+                type: 'ui-services',
+                children: [{ name: 'resolvePend', type: 'ui-service-method', children: [ref('handler'), ref('missing')] }]
+            }]
+        };
+
+        const createBuilder = (config = {}) => {
+            const builder = new TreeBuilder({ nodeIds: true, ...config });
+            builder.defineFunctions(pool);
+            return builder;
+        };
+
+        const collectIds = (node, ids = []) => {
+            ids.push(node.id);
+            node.children?.forEach(child => collectIds(child, ids));
+            return ids;
+        };
+
+        it('should not add ids by default', async () => {
+            const builder = new TreeBuilder();
+            builder.defineFunctions(pool);
+
+            const tree = await builder.build(app);
+
+            assert.equal(tree.id, undefined);
+            assert.equal(tree.path, undefined);
+        });
+
+        it('should stamp every node with its path and a path-derived id', async () => {
+            const tree = await createBuilder().build(app);
+
+            const method = tree.children[0].children[0];
+            const handler = method.children[0];
+            assert.equal(tree.id, '/my-app');
+            assert.deepEqual(tree.path, ['my-app']);
+            assert.equal(method.id, '/my-app/WT9000J/resolvePend');
+            assert.deepEqual(handler.children[0].path, ['my-app', 'WT9000J', 'resolvePend', 'handler', 'createWtException']);
+            assert.equal(handler.children[0].id, '/my-app/WT9000J/resolvePend/handler/createWtException');
+        });
+
+        it('should mark async and topic hops with the queue type', async () => {
+            const tree = await createBuilder().build(app);
+
+            const handler = tree.children[0].children[0].children[0];
+            const [, timer, topic] = handler.children;
+            assert.equal(timer.id, '/my-app/WT9000J/resolvePend/handler/timer:worker@WORK.Q');
+            assert.equal(timer.children[0].id, '/my-app/WT9000J/resolvePend/handler/timer:worker@WORK.Q/worker');
+            assert.deepEqual(timer.children[0].path, ['my-app', 'WT9000J', 'resolvePend', 'handler', 'WORK.Q', 'worker']);
+            assert.equal(topic.id, '/my-app/WT9000J/resolvePend/handler/topic:events');
+            assert.equal(topic.children[0].id, '/my-app/WT9000J/resolvePend/handler/topic:events/listener');
+        });
+
+        it('should build timer and topic ids from the config, not the resolved queue name', async () => {
+            const builder = createBuilder({ logger: { error: () => {} }, resolverOptions: { timeout: 10 } });
+            const unresolved = collectIds(await builder.build(app));
+
+            builder.setAsyncResolver(() => ({ queueName: 'WORK.Q.RESOLVED' }));
+            builder.setTopicPublishResolver(() => ({ queueName: 'EVENTS.RESOLVED' }));
+            const resolved = await builder.build(app);
+            const [, timer, topic] = resolved.children[0].children[0].children[0].children;
+            assert.deepEqual([timer.name, topic.name], ['WORK.Q.RESOLVED', 'EVENTS.RESOLVED']);
+            assert.deepEqual(collectIds(resolved), unresolved);
+
+            builder.setAsyncResolver(() => new Promise(() => {}));
+            builder.setTopicPublishResolver(() => { throw new Error('down'); });
+            assert.deepEqual(collectIds(await builder.build(app)), unresolved);
+        });
+
+        it('should number repeated siblings and keep every id unique', async () => {
+            const tree = await createBuilder().build(app);
+
+            const createWtException = tree.children[0].children[0].children[0].children[0];
+            assert.deepEqual(createWtException.children.map(child => child.id.split('/').pop()), ['audit', 'audit#2']);
+
+            const ids = collectIds(tree);
+            assert.equal(new Set(ids).size, ids.length);
+        });
+
+        it('should give each occurrence of a shared function its own ids', async () => {
+            const tree = await createBuilder().build(app);
+
+            const handler = tree.children[0].children[0].children[0];
+            const direct = handler.children[0];
+            const viaQueue = handler.children[1].children[0].children[0];
+            assert.notEqual(direct.id, viaQueue.id);
+            assert.equal(viaQueue.id, '/my-app/WT9000J/resolvePend/handler/timer:worker@WORK.Q/worker/createWtException');
+            assert.equal(viaQueue.children[0].id, `${viaQueue.id}/audit`);
+        });
+
+        it('should escape "/" and "~" in names', async () => {
+            const builder = new TreeBuilder({ nodeIds: true });
+            builder.defineFunctions({ 'a/b~c': {} });
+
+            const tree = await builder.build({ name: 'app', type: 'app', children: [ref('a/b~c')] });
+
+            assert.equal(tree.children[0].id, '/app/a~1b~0c');
+            assert.deepEqual(tree.children[0].path, ['app', 'a/b~c']);
+        });
+
+        it('should produce the same ids across builds and builders', async () => {
+            const first = await createBuilder().build(app);
+            const second = await createBuilder({ incremental: true }).build(app);
+
+            assert.deepEqual(collectIds(second), collectIds(first));
+            assert.deepEqual(second, first);
+        });
+
+        it('should stamp caller trees', async () => {
+            const tree = await createBuilder().buildCallers('audit', [app]);
+
+            assert.equal(tree.id, '/audit');
+            assert.equal(tree.children[0].id, '/audit/createWtException');
+            assert.deepEqual(tree.children[0].path, ['audit', 'createWtException']);
+        });
+
+        it('should keep diagnostics working on stamped trees', async () => {
+            const { tree, diagnostics } = await createBuilder().buildWithDiagnostics(app);
+
+            assert.equal(tree.children[0].children[0].children[1].id, `/my-app/WT9000J/resolvePend/${tree.children[0].children[0].children[1].name}`);
+            assert.deepEqual(diagnostics.unresolved.map(entry => entry.ref), ['missing']);
+        });
+    });
+});
@@ -0,0 +1,273 @@
+/**
+ * Unit tests for TreeBuilder
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreeBuilder, ref, asyncRef, topicPublishRef } from '../tree-builder.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('TreeBuilder', () => {
+    const pool = {
+        handlerA: { children: [asyncRef('worker'), topicPublishRef('events'), ref('shared')] },
+        handlerB: { children: [asyncRef('worker'), topicPublishRef('events'), asyncRef('worker', 'OTHER.Q')] },
+        shared: { children: [asyncRef('worker')] },
+        worker: { queueName: 'WORK.Q', children: [asyncRef('sink')] },
+        listener: { subscribesTo: ['events'] },
+        sink: {}
+    };
+    const app = {
+        name: 'my-app',
+        type: 'app',
+        children: [
+            ref('handlerA'),
+            {
+                name: 'SVC',
+                type: 'ui-services',
+                children: [{ name: 'submit', type: 'ui-service-method', children: [ref('handlerB'), asyncRef('worker')] }]
+            }
+        ]
+    };
+
+    let builder;
+    let asyncCalls;
+    let topicCalls;
+
+    const createBuilder = (config = {}) => {
+        const created = new TreeBuilder({ logger: { error: () => {} }, ...config });
+        created.defineFunctions(pool);
+        created.setAsyncResolver(async (funcName, queueName) => {
+            asyncCalls.push([funcName, queueName]);
+            await delay(1);
+            return { queueName: `${queueName || funcName}.RESOLVED` };
+        });
+        created.setTopicPublishResolver((topicName, queueName) => {
+            topicCalls.push([topicName, queueName]);
+            return { depth: 3 };
+        });
+        return created;
+    };
+
+    beforeEach(() => {
+        asyncCalls = [];
+        topicCalls = [];
+        builder = createBuilder();
+    });
+
+    describe('resolver memoization', () => {
+        it('should call each resolver once per distinct arguments in a build', async () => {
+            const tree = await builder.build(app);
+
+            assert.deepEqual(asyncCalls.sort(), [['sink', undefined], ['worker', 'OTHER.Q'], ['worker', 'WORK.Q']]);
+            assert.deepEqual(topicCalls, [['events', undefined]]);
+            assert.equal(tree.children[0].children[0].name, 'WORK.Q.RESOLVED');
+            assert.equal(tree.children[0].children[1].depth, 3);
+        });
+
+        it('should call the resolvers again in the next build by default', async () => {
+            await builder.build(app);
+            await builder.build(app);
+
+            assert.equal(asyncCalls.length, 6);
+            assert.equal(topicCalls.length, 2);
+        });
+
+        it('should share one failed call between the nodes that need it', async () => {
+            let calls = 0;
+            builder.setAsyncResolver(() => {
+                calls++;
+                throw new Error('queue stats down');
+            });
+
+            const { diagnostics } = await builder.buildWithDiagnostics(app);
+
+            assert.equal(calls, 3);
+            assert.deepEqual(
+                diagnostics.resolverErrors.filter(entry => entry.args[1] === 'WORK.Q').map(entry => entry.path.join(' > ')),
+                [
+                    'my-app > handlerA > WORK.Q',
+                    'my-app > handlerA > shared > WORK.Q',
+                    'my-app > SVC > submit > handlerB > WORK.Q',
+                    'my-app > SVC > submit > WORK.Q'
+                ]
+            );
+        });
+
+        it('should memoize caller tree resolver calls', async () => {
+            await builder.buildCallers('sink', [app]);
+
+            assert.deepEqual(asyncCalls.sort(), [['sink', undefined], ['worker', 'OTHER.Q'], ['worker', 'WORK.Q']]);
+        });
+    });
+
+    describe('resolverCacheTtl', () => {
+        beforeEach(() => {
+            builder = createBuilder({ resolverCacheTtl: 60000 });
+        });
+
+        it('should reuse resolver results across builds until they expire', async () => {
+            const first = await builder.build(app);
+            const second = await builder.build(app);
+
+            assert.equal(asyncCalls.length, 3);
+            assert.equal(topicCalls.length, 1);
+            assert.deepEqual(second, first);
+
+            builder.config.resolverCacheTtl = 5;
+            builder.clearResolverCache();
+            await builder.build(app);
+            await delay(10);
+            await builder.build(app);
+            assert.equal(asyncCalls.length, 9);
+        });
+
+        it('should reject values that are not a non-negative finite number', () => {
+            for (const [resolverCacheTtl, message] of [
+                ['5000', 'resolverCacheTtl must be a non-negative finite number, got "5000"'],
+                [-1, 'resolverCacheTtl must be a non-negative finite number, got -1'],
+                [NaN, 'resolverCacheTtl must be a non-negative finite number, got NaN'],
+                [Infinity, 'resolverCacheTtl must be a non-negative finite number, got Infinity'],
+                [null, 'resolverCacheTtl must be a non-negative finite number, got null']
+            ]) {
+                assert.throws(() => new TreeBuilder({ resolverCacheTtl }), { message });
+            }
+            assert.equal(new TreeBuilder({ resolverCacheTtl: 0 }).config.resolverCacheTtl, 0);
+        });
+
+        it('should not keep failures across builds', async () => {
+            let calls = 0;
+            builder.setAsyncResolver(() => {
+                calls++;
+                throw new Error('queue stats down');
+            });
+
+            await builder.build(app);
+            await builder.build(app);
+
+            assert.equal(calls, 6);
+        });
+
+        it('should drop cached results when a resolver is replaced or the cache is cleared', async () => {
+            await builder.build(app);
+            builder.setTopicPublishResolver(builder.topicPublishResolver);
+            await builder.build(app);
+
+            assert.equal(asyncCalls.length, 3);
+            assert.equal(topicCalls.length, 2);
+
+            builder.clearResolverCache('asyncResolver');
+            await builder.build(app);
+            assert.equal(asyncCalls.length, 6);
+            assert.equal(topicCalls.length, 2);
+        });
+    });
+
+    describe('resolveMany', () => {
+        const createBatchResolver = (resolveItem) => {
+            const batches = [];
+            return {
+                batches,
+                resolveMany: async (argsList) => {
+                    batches.push(argsList);
+                    await delay(1);
+                    return argsList.map(args => resolveItem(...args));
+                }
+            };
+        };
+
+        it('should send every request of a build in one call', async () => {
+            const resolver = createBatchResolver((funcName, queueName) => ({ queueName: `${queueName || funcName}.BATCH` }));
+            builder.setAsyncResolver(resolver);
+
+            const tree = await builder.build(app);
+
+            assert.equal(resolver.batches.length, 1);
+            assert.deepEqual(resolver.batches[0], [['worker', 'WORK.Q'], ['worker', 'OTHER.Q'], ['sink', undefined]]);
+            const timer = tree.children[0].children[0];
+            assert.equal(timer.name, 'WORK.Q.BATCH');
+            assert.equal(timer.children[0].children[0].name, 'sink.BATCH');
+            assert.equal(topicCalls.length, 1);
+        });
+
+        it('should not request edges of unreachable functions', async () => {
+            const resolver = createBatchResolver(() => ({}));
+            builder.setAsyncResolver(resolver);
+
+            await builder.build({ name: 'app', type: 'app', children: [ref('shared')] });
+
+            assert.deepEqual(resolver.batches, [[['worker', 'WORK.Q'], ['sink', undefined]]]);
+        });
+
+        it('should batch topic resolvers and caller trees', async () => {
+            const topicResolver = createBatchResolver(() => ({ queueName: 'EVENTS.BATCH' }));
+            const asyncResolver = createBatchResolver(() => ({}));
+            builder.setTopicPublishResolver(topicResolver);
+            builder.setAsyncResolver(asyncResolver);
+
+            const tree = await builder.build(app);
+            await builder.buildCallers('sink', [app]);
+
+            assert.deepEqual(topicResolver.batches, [[['events', undefined]]]);
+            assert.equal(tree.children[0].children[1].name, 'EVENTS.BATCH');
+            assert.deepEqual(asyncResolver.batches[1], [['sink', undefined], ['worker', 'WORK.Q'], ['worker', 'OTHER.Q']]);
+        });
+
+        it('should annotate the nodes of failed items and failed batches', async () => {
+            builder.setAsyncResolver(createBatchResolver((funcName) => funcName === 'sink' ? new Error('no stats for sink') : {}));
+
+            const { diagnostics } = await builder.buildWithDiagnostics({ name: 'app', type: 'app', children: [ref('shared')] });
+
+            assert.deepEqual(diagnostics.resolverErrors.map(entry => entry.message), ['no stats for sink']);
+
+            builder.setAsyncResolver({ resolveMany: async () => { throw new Error('stats backend down'); } });
+            const failed = await builder.buildWithDiagnostics({ name: 'app', type: 'app', children: [ref('shared')] });
+
+            assert.deepEqual(failed.diagnostics.resolverErrors.map(entry => [entry.args[0], entry.message]), [
+                ['worker', 'stats backend down'],
+                ['sink', 'stats backend down']
+            ]);
+        });
+
+        it('should reject results that do not match the requests', async () => {
+            builder.setAsyncResolver({ resolveMany: async () => [{}] });
+
+            const { diagnostics } = await builder.buildWithDiagnostics({ name: 'app', type: 'app', children: [ref('shared')] });
+
+            assert.equal(diagnostics.resolverErrors[0].message, 'resolveMany returned 1 results for 2 requests');
+        });
+
+        it('should only request results missing from the TTL cache', async () => {
+            builder = createBuilder({ resolverCacheTtl: 60000 });
+            const resolver = createBatchResolver(() => ({}));
+            builder.setAsyncResolver(resolver);
+
+            await builder.build({ name: 'app', type: 'app', children: [ref('shared')] });
+            await builder.build(app);
+
+            assert.deepEqual(resolver.batches, [
+                [['worker', 'WORK.Q'], ['sink', undefined]],
+                [['worker', 'OTHER.Q']]
+            ]);
+        });
+
+        it('should prefer resolveMany on a resolver function', async () => {
+            const batches = [];
+            const resolver = (funcName) => {
+                asyncCalls.push(funcName);
+                return {};
+            };
+            resolver.resolveMany = (argsList) => {
+                batches.push(argsList);
+                return argsList.map(() => ({ depth: 1 }));
+            };
+            builder.setAsyncResolver(resolver);
+
+            const tree = await builder.build(app);
+
+            assert.equal(batches.length, 1);
+            assert.deepEqual(asyncCalls, []);
+            assert.equal(tree.children[0].children[0].depth, 1);
+        });
+    });
+});
@@ -0,0 +1,296 @@
+/**
+ * Unit tests for TreeBuilder
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreeBuilder, ref, asyncRef, topicPublishRef } from '../tree-builder.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const silentLogger = { error: () => {}, warn: () => {} };
+
+describe('TreeBuilder', () => {
+    describe('resolverOptions', () => {
+        const workers = ['w1', 'w2', 'w3', 'w4'];
+        const app = { name: 'app', type: 'app', children: workers.map(name => asyncRef(name, `${name.toUpperCase()}.Q`)) };
+
+        const createBuilder = (resolverOptions, logger = silentLogger) => {
+            const builder = new TreeBuilder({ resolverOptions, logger });
+            builder.defineFunctions(Object.fromEntries(workers.map(name => [name, {}])));
+            return builder;
+        };
+
+        const errorTexts = (tree) => tree.children.map(timer => timer.metadata_lines?.[0]?.text ?? null);
+
+        it('should apply shared options with per-resolver overrides', () => {
+            const builder = createBuilder({ timeout: 500, retries: 1, topicPublishResolver: { timeout: 50 } });
+
+            assert.equal(builder.config.resolverOptions.asyncResolver.timeout, 500);
+            assert.equal(builder.config.resolverOptions.topicPublishResolver.timeout, 50);
+            assert.equal(builder.config.resolverOptions.topicPublishResolver.retries, 1);
+            assert.equal(builder.config.resolverOptions.asyncResolver.maxConcurrency, Infinity);
+        });
+
+        it('should use the defaults for null options', () => {
+            const builder = new TreeBuilder({ resolverOptions: null });
+
+            assert.equal(builder.config.resolverOptions.asyncResolver.maxConcurrency, Infinity);
+            assert.equal(new TreeBuilder({ resolverOptions: { asyncResolver: null } }).config.resolverOptions.asyncResolver.timeout, 0);
+        });
+
+        it('should reject invalid option values', () => {
+            for (const [resolverOptions, message] of [
+                [{ maxConcurrency: 0 }, 'resolverOptions: asyncResolver.maxConcurrency must be a positive integer or Infinity, got 0'],
+                [{ maxConcurrency: -1 }, /maxConcurrency must be a positive integer or Infinity, got -1/],
+                [{ topicPublishResolver: { maxConcurrency: NaN } }, 'resolverOptions: topicPublishResolver.maxConcurrency must be a positive integer or Infinity, got NaN'],
+                [{ maxConcurrency: 1.5 }, /maxConcurrency must be/],
+                [{ timeout: -5 }, /timeout must be a non-negative number up to 2147483647, got -5/],
+                [{ timeout: '100' }, /timeout must be a non-negative number up to 2147483647, got 100/],
+                [{ timeout: 2 ** 31 }, /timeout must be a non-negative number up to 2147483647, got 2147483648/],
+                [{ retryDelay: 2 ** 32 }, /retryDelay must be a non-negative number up to 2147483647/],
+                [{ retries: 0.5 }, /retries must be a non-negative integer/],
+                [{ retryDelay: Infinity }, /retryDelay must be a non-negative number/],
+                [{ failureThreshold: -1 }, /failureThreshold must be a non-negative integer/],
+                [{ resetTimeout: null }, /resetTimeout must be a non-negative number, got null/],
+                [5, 'resolverOptions must be an object, got number'],
+                [{ asyncResolver: [] }, 'resolverOptions.asyncResolver must be an object, got an array']
+            ]) {
+                assert.throws(() => new TreeBuilder({ resolverOptions }), { message });
+            }
+        });
+
+        it('should annotate timed-out nodes instead of waiting for a hung resolver', async () => {
+            const builder = createBuilder({ asyncResolver: { timeout: 20 } });
+            builder.setAsyncResolver((funcName) => funcName === 'w2' ? new Promise(() => {}) : { depth: 1 });
+
+            const { tree, diagnostics } = await builder.buildWithDiagnostics(app);
+
+            assert.equal(tree.children[1].name, 'W2.Q');
+            assert.equal(tree.children[1].children[0].name, 'w2');
+            assert.deepEqual(errorTexts(tree), [null, 'asyncResolver errored out: timed out after 20 ms', null, null]);
+            assert.equal(tree.children[0].depth, 1);
+            assert.deepEqual(diagnostics.resolverErrors.map(entry => [entry.args[0], entry.message]), [['w2', 'timed out after 20 ms']]);
+        });
+
+        it('should time out topic resolvers separately', async () => {
+            const builder = createBuilder({ topicPublishResolver: { timeout: 20 } });
+            builder.defineFunctions({ publisher: { children: [topicPublishRef('events', 'EVENTS.Q')] } });
+            builder.setTopicPublishResolver(() => new Promise(() => {}));
+
+            const tree = await builder.build({ name: 'app', type: 'app', children: [ref('publisher')] });
+
+            assert.equal(tree.children[0].children[0].metadata_lines[0].text, 'topicPublishResolver errored out: timed out after 20 ms');
+        });
+
+        it('should retry failed calls with exponential backoff', async () => {
+            const warnings = [];
+            const builder = createBuilder({ retries: 2, retryDelay: 10 }, { ...silentLogger, warn: (message, meta) => warnings.push(meta) });
+            const attempts = [];
+            builder.setAsyncResolver((funcName) => {
+                if (funcName !== 'w1') return {};
+                attempts.push(Date.now());
+                if (attempts.length < 3) throw new Error('flaky');
+                return { depth: 7 };
+            });
+
+            const tree = await builder.build(app);
+
+            assert.equal(attempts.length, 3);
+            assert.equal(tree.children[0].depth, 7);
+            assert.deepEqual(errorTexts(tree), [null, null, null, null]);
+            assert.deepEqual(warnings.map(meta => [meta.attempt, meta.retryDelay]), [[1, 10], [2, 20]]);
+            assert.ok(attempts[2] - attempts[0] >= 25);
+        });
+
+        it('should retry timed-out attempts and annotate the node when every attempt fails', async () => {
+            const builder = createBuilder({ timeout: 10, retries: 1, retryDelay: 1 });
+            let calls = 0;
+            builder.setAsyncResolver((funcName) => {
+                if (funcName !== 'w1') return {};
+                calls++;
+                return new Promise(() => {});
+            });
+
+            const tree = await builder.build(app);
+
+            assert.equal(calls, 2);
+            assert.equal(errorTexts(tree)[0], 'asyncResolver errored out: timed out after 10 ms');
+        });
+
+        it('should limit the resolver calls in flight', async () => {
+            const builder = createBuilder({ maxConcurrency: 2 });
+            let active = 0;
+            let maxActive = 0;
+            builder.setAsyncResolver(async () => {
+                active++;
+                maxActive = Math.max(maxActive, active);
+                await delay(5);
+                active--;
+                return { depth: 1 };
+            });
+
+            const tree = await builder.build(app);
+
+            assert.equal(maxActive, 2);
+            assert.ok(tree.children.every(timer => timer.depth === 1));
+        });
+
+        it('should keep the slot of a timed-out call while the resolver is pending', async () => {
+            const builder = createBuilder({ maxConcurrency: 1, timeout: 30 });
+            const called = [];
+            builder.setAsyncResolver((funcName) => {
+                called.push(funcName);
+                return new Promise(() => {});
+            });
+
+            const start = Date.now();
+            const tree = await builder.build(app);
+
+            assert.deepEqual(called, ['w1']);
+            assert.deepEqual(errorTexts(tree), [
+                'asyncResolver errored out: timed out after 30 ms',
+                ...Array(3).fill('asyncResolver errored out: timed out after 30 ms waiting for a concurrency slot')
+            ]);
+            assert.ok(Date.now() - start < 1000);
+        });
+
+        it('should hand the slot on once a timed-out call settles', async () => {
+            const builder = createBuilder({ maxConcurrency: 1, timeout: 20 });
+            let slow = true;
+            builder.setAsyncResolver(async () => {
+                if (slow) {
+                    slow = false;
+                    await delay(40);
+                }
+                return { depth: 1 };
+            });
+
+            const first = await builder.build(app);
+            assert.deepEqual(first.children.map(timer => timer.depth), [undefined, undefined, undefined, undefined]);
+
+            await delay(40);
+            const second = await builder.build(app);
+            assert.deepEqual(second.children.map(timer => timer.depth), [1, 1, 1, 1]);
+        });
+
+        it('should open the circuit after consecutive failures and try again after the reset timeout', async () => {
+            const errors = [];
+            const builder = createBuilder(
+                { maxConcurrency: 1, failureThreshold: 2, resetTimeout: 30 },
+                { ...silentLogger, error: (message) => errors.push(message) }
+            );
+            let calls = 0;
+            let healthy = false;
+            builder.setAsyncResolver(() => {
+                calls++;
+                if (!healthy) throw new Error('stats backend down');
+                return { depth: 1 };
+            });
+
+            const tree = await builder.build(app);
+
+            assert.equal(calls, 2);
+            assert.deepEqual(errorTexts(tree), [
+                'asyncResolver errored out: stats backend down',
+                'asyncResolver errored out: stats backend down',
+                'asyncResolver errored out: circuit open, call skipped',
+                'asyncResolver errored out: circuit open, call skipped'
+            ]);
+            assert.ok(errors.includes('asyncResolver circuit opened'));
+
+            await delay(40);
+            healthy = true;
+            const recovered = await builder.build(app);
+
+            assert.equal(calls, 6);
+            assert.deepEqual(errorTexts(recovered), [null, null, null, null]);
+        });
+
+        it('should not count calls that timed out waiting for a slot towards the circuit', async () => {
+            const builder = createBuilder({ maxConcurrency: 1, timeout: 75, failureThreshold: 2 });
+            let calls = 0;
+            builder.setAsyncResolver(async () => {
+                calls++;
+                await delay(30);
+                return { depth: 1 };
+            });
+
+            const tree = await builder.build(app);
+
+            assert.equal(calls, 3);
+            assert.deepEqual(errorTexts(tree), [
+                null,
+                null,
+                'asyncResolver errored out: timed out after 75 ms',
+                'asyncResolver errored out: timed out after 75 ms waiting for a concurrency slot'
+            ]);
+
+            await delay(30);
+            const next = await builder.build(app);
+            assert.equal(calls, 6);
+            assert.ok(!errorTexts(next).some(text => text?.includes('circuit open')));
+        });
+
+        it('should skip calls at once while the circuit is open and every slot is held', async () => {
+            const builder = createBuilder({ maxConcurrency: 1, timeout: 30, failureThreshold: 1, resetTimeout: 60000 });
+            let calls = 0;
+            builder.setAsyncResolver(() => {
+                calls++;
+                return new Promise(() => {});
+            });
+
+            const first = await builder.build({ ...app, children: app.children.slice(0, 1) });
+            assert.equal(errorTexts(first)[0], 'asyncResolver errored out: timed out after 30 ms');
+            const openUntil = builder.resolverStates.get('asyncResolver').openUntil;
+
+            const start = Date.now();
+            const second = await builder.build(app);
+
+            assert.ok(Date.now() - start < 30);
+            assert.equal(calls, 1);
+            assert.ok(errorTexts(second).every(text => text === 'asyncResolver errored out: circuit open, call skipped'));
+            assert.equal(builder.resolverStates.get('asyncResolver').openUntil, openUntil);
+        });
+
+        it('should skip the calls queued for a slot when the circuit opens', async () => {
+            const builder = createBuilder({ maxConcurrency: 1, timeout: 30, failureThreshold: 1, resetTimeout: 60000 });
+            builder.setAsyncResolver(() => new Promise(() => {}));
+
+            const tree = await builder.build({ ...app, children: [...app.children, asyncRef('w1', 'LATE.Q')] });
+
+            assert.deepEqual(errorTexts(tree), [
+                'asyncResolver errored out: timed out after 30 ms',
+                ...Array(4).fill('asyncResolver errored out: circuit open, call skipped')
+            ]);
+        });
+
+        it('should close the circuit when the resolver is replaced', async () => {
+            const builder = createBuilder({ failureThreshold: 1, resetTimeout: 60000 });
+            builder.setAsyncResolver(() => {
+                throw new Error('down');
+            });
+            await builder.build(app);
+
+            builder.setAsyncResolver(() => ({ depth: 1 }));
+            const tree = await builder.build(app);
+
+            assert.ok(tree.children.every(timer => timer.depth === 1));
+        });
+
+        it('should apply the options to resolveMany batches', async () => {
+            const builder = createBuilder({ timeout: 10, retries: 1, retryDelay: 1 });
+            let batches = 0;
+            builder.setAsyncResolver({
+                resolveMany: () => {
+                    batches++;
+                    return new Promise(() => {});
+                }
+            });
+
+            const tree = await builder.build(app);
+
+            assert.equal(batches, 2);
+            assert.ok(errorTexts(tree).every(text => text === 'asyncResolver errored out: timed out after 10 ms'));
+        });
+    });
+});
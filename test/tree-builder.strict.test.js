@@ -0,0 +1,104 @@
+/**
+ * Unit tests for TreeBuilder
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreeBuilder, TreeBuildError, ref, asyncRef } from '../tree-builder.js';
+
+const silentLogger = { error() {}, warn() {}, debug() {} };
+
+function createBuilder(strict) {
+    const builder = new TreeBuilder({ strict, logger: silentLogger });
+    builder.defineFunctions({
+        funcA: { children: [ref('funcB'), ref('missingOne')] },
+        funcB: { children: [ref('funcA'), asyncRef('worker', 'WORK.QUEUE')] },
+        worker: {},
+        clean: {}
+    });
+    builder.setAsyncResolver(() => {
+        throw new Error('queue stats down');
+    });
+    return builder;
+}
+
+const app = {
+    name: 'test-app',
+    type: 'app',
+    children: [ref('funcA'), ref('missingTwo')]
+};
+
+describe('TreeBuilder', () => {
+    describe('strict mode', () => {
+        it('should not reject by default', async () => {
+            const tree = await createBuilder().build(app);
+            assert.equal(tree.children[1].type, 'warning');
+        });
+
+        it('should build normally when nothing is wrong', async () => {
+            const builder = createBuilder(true);
+            const tree = await builder.build({ name: 'test-app', type: 'app', children: [ref('clean')] });
+            assert.equal(tree.children[0].name, 'clean');
+        });
+
+        it('should reject with every violation in a single error', async () => {
+            await assert.rejects(createBuilder(true).build(app), (error) => {
+                assert.ok(error instanceof TreeBuildError);
+                assert.deepEqual(error.violations.map(v => v.category).sort(), [
+                    'cycle', 'resolverError', 'unresolved', 'unresolved'
+                ]);
+                assert.deepEqual(
+                    error.violations.filter(v => v.category === 'unresolved').map(v => v.ref),
+                    ['missingOne', 'missingTwo']
+                );
+                assert.ok(error.tree);
+                assert.ok(error.diagnostics);
+                return true;
+            });
+        });
+
+        it('should describe every offending location in the message', async () => {
+            await assert.rejects(createBuilder(true).build(app), (error) => {
+                assert.match(error.message, /Strict build of test-app failed with 4 violation\(s\)/);
+                assert.match(error.message, /unresolved reference to missingOne at test-app > funcA > /);
+                assert.match(error.message, /unresolved reference to missingTwo at test-app > /);
+                assert.match(error.message, /loop detected \(funcA -> funcB -> funcA\)/);
+                assert.match(error.message, /asyncResolver failed \(queue stats down\) at test-app > funcA > funcB > WORK\.QUEUE/);
+                return true;
+            });
+        });
+
+        it('should only check enabled categories', async () => {
+            await assert.rejects(
+                createBuilder({ unresolved: false, resolverErrors: false }).build(app),
+                (error) => {
+                    assert.deepEqual(error.violations.map(v => v.category), ['cycle']);
+                    return true;
+                }
+            );
+        });
+
+        it('should build when every violated category is disabled', async () => {
+            const builder = createBuilder({ unresolved: false, cycles: false, resolverErrors: false });
+            const tree = await builder.build(app);
+            assert.equal(tree.name, 'test-app');
+        });
+
+        it('should not reject buildWithDiagnostics', async () => {
+            const { diagnostics } = await createBuilder(true).buildWithDiagnostics(app);
+            assert.equal(diagnostics.unresolved.length, 2);
+        });
+
+        it('should expose normalized per-category toggles on config', () => {
+            assert.deepEqual(new TreeBuilder({ strict: true }).config.strict, {
+                unresolved: true, cycles: true, resolverErrors: true
+            });
+            assert.deepEqual(new TreeBuilder({ strict: { cycles: false } }).config.strict, {
+                unresolved: true, cycles: false, resolverErrors: true
+            });
+            assert.deepEqual(new TreeBuilder().config.strict, {
+                unresolved: false, cycles: false, resolverErrors: false
+            });
+        });
+    });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit tests for TreeBuilder
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreeBuilder, ref, topicPublishRef } from '../tree-builder.js';
+
+describe('TreeBuilder', () => {
+    let builder;
+
+    beforeEach(() => {
+        builder = new TreeBuilder();
+    });
+
+    describe('topic subscribers', () => {
+        it('should expand topic nodes into subscribers declared with subscribesTo', async () => {
+            builder.defineFunctions({
+                publisher: { children: [topicPublishRef('myTopic')] },
+                subscriber: { subscribesTo: ['myTopic'], children: [ref('helper')] },
+                helper: {}
+            });
+
+            const tree = await builder.build({
+                name: 'test-app',
+                type: 'app',
+                children: [ref('publisher')]
+            });
+
+            const topicNode = tree.children[0].children[0];
+            assert.equal(topicNode.type, 'topic');
+            assert.equal(topicNode.children.length, 1);
+            assert.equal(topicNode.children[0].name, 'subscriber');
+            assert.equal(topicNode.children[0].children[0].name, 'helper');
+        });
+
+        it('should not include subscribesTo in function output', async () => {
+            builder.defineFunctions({
+                subscriber: { subscribesTo: ['myTopic'] }
+            });
+
+            const tree = await builder.build({
+                name: 'test-app',
+                type: 'app',
+                children: [ref('subscriber')]
+            });
+
+            assert.equal(tree.children[0].subscribesTo, undefined);
+        });
+
+        it('should expand topic nodes into registered subscribers', async () => {
+            builder.defineFunctions({
+                publisher: { children: [topicPublishRef('myTopic')] },
+                subscriberA: {},
+                subscriberB: {}
+            });
+            builder.defineTopicSubscriptions({ myTopic: ['subscriberA', 'subscriberB'] });
+
+            const tree = await builder.build({
+                name: 'test-app',
+                type: 'app',
+                children: [ref('publisher')]
+            });
+
+            const topicNode = tree.children[0].children[0];
+            assert.deepEqual(topicNode.children.map(c => c.name), ['subscriberA', 'subscriberB']);
+        });
+
+        it('should match topics and subscribers case-insensitively without duplicates', async () => {
+            builder.defineFunctions({
+                publisher: { children: [topicPublishRef('MyTopic')] },
+                subscriber: { displayName: 'Subscriber', subscribesTo: ['mytopic'] }
+            });
+            builder.defineTopicSubscribers('MYTOPIC', ['SUBSCRIBER']);
+
+            const tree = await builder.build({
+                name: 'test-app',
+                type: 'app',
+                children: [ref('publisher')]
+            });
+
+            const topicNode = tree.children[0].children[0];
+            assert.equal(topicNode.children.length, 1);
+            assert.equal(topicNode.children[0].name, 'Subscriber');
+        });
+
+        it('should expand app-level topic publish refs', async () => {
+            builder.defineFunctions({
+                subscriber: { subscribesTo: ['myTopic'] }
+            });
+
+            const tree = await builder.build({
+                name: 'test-app',
+                type: 'app',
+                children: [topicPublishRef('myTopic', 'MY.TOPIC.QUEUE')]
+            });
+
+            assert.equal(tree.children[0].name, 'MY.TOPIC.QUEUE');
+            assert.equal(tree.children[0].children[0].name, 'subscriber');
+        });
+
+        it('should show unregistered subscribers as unresolved', async () => {
+            builder.defineFunctions({
+                publisher: { children: [topicPublishRef('myTopic')] }
+            });
+            builder.defineTopicSubscribers('myTopic', ['missingSubscriber']);
+
+            const tree = await builder.build({
+                name: 'test-app',
+                type: 'app',
+                children: [ref('publisher')]
+            });
+
+            const topicNode = tree.children[0].children[0];
+            assert.equal(topicNode.children[0].type, 'warning');
+            assert.equal(topicNode.children[0]._unresolvedRef, 'missingSubscriber');
+        });
+
+        it('should keep topic nodes without subscribers as leaves', async () => {
+            builder.defineFunctions({
+                publisher: { children: [topicPublishRef('myTopic')] }
+            });
+
+            const tree = await builder.build({
+                name: 'test-app',
+                type: 'app',
+                children: [ref('publisher')]
+            });
+
+            assert.equal(tree.children[0].children[0].children, undefined);
+        });
+
+        it('should stop cycles across the publish/subscribe boundary', async () => {
+            builder.defineFunctions({
+                publisher: { children: [topicPublishRef('myTopic')] },
+                subscriber: { subscribesTo: ['myTopic'], children: [ref('publisher')] }
+            });
+
+            const tree = await builder.build({
+                name: 'test-app',
+                type: 'app',
+                children: [ref('publisher')]
+            });
+
+            const subscriber = tree.children[0].children[0].children[0];
+            assert.equal(subscriber.name, 'subscriber');
+            const stopper = subscriber.children[0];
+            assert.equal(stopper.type, 'dupe-stopper');
+            assert.deepEqual(stopper._path, ['publisher', 'subscriber', 'publisher']);
+        });
+
+        it('should stop a subscriber that publishes to its own topic', async () => {
+            builder.defineFunctions({
+                subscriber: { subscribesTo: ['myTopic'], children: [topicPublishRef('myTopic')] }
+            });
+
+            const tree = await builder.build({
+                name: 'test-app',
+                type: 'app',
+                children: [ref('subscriber')]
+            });
+
+            const stopper = tree.children[0].children[0].children[0];
+            assert.equal(stopper.type, 'dupe-stopper');
+            assert.equal(stopper._cycleAt, 'subscriber');
+        });
+
+        it('should include publishers through topic nodes in caller trees', async () => {
+            builder.defineFunctions({
+                publisher: { children: [topicPublishRef('myTopic', 'MY.TOPIC.QUEUE')] },
+                subscriber: { subscribesTo: ['myTopic'] }
+            });
+
+            const tree = await builder.buildCallers('subscriber');
+            const topicNode = tree.children[0];
+            assert.equal(topicNode.type, 'topic');
+            assert.equal(topicNode.name, 'MY.TOPIC.QUEUE');
+            assert.equal(topicNode.children[0].name, 'publisher');
+        });
+
+        it('should flag impact paths that cross a topic as async', () => {
+            builder.defineFunctions({
+                publisher: { children: [topicPublishRef('myTopic')] },
+                subscriber: { subscribesTo: ['myTopic'] }
+            });
+
+            const result = builder.analyzeImpact('subscriber', [
+                { name: 'test-app', type: 'app', children: [ref('publisher')] }
+            ]);
+            assert.deepEqual(result.apps[0].refs[0].path, ['publisher', 'subscriber']);
+            assert.equal(result.apps[0].refs[0].crossesAsync, true);
+        });
+
+        it('should resolve subscribers whose displayName differs from their pool key', async () => {
+            builder.defineFunctions({
+                pub: { children: [topicPublishRef('evt')] },
+                handleEvt: { displayName: 'Handle Event', subscribesTo: ['evt'], children: [ref('helper')] },
+                helper: {}
+            });
+            const app = { name: 'test-app', type: 'app', children: [ref('pub')] };
+
+            const tree = await builder.build(app);
+            const subscriberNode = tree.children[0].children[0].children[0];
+            assert.equal(subscriberNode.type, 'function');
+            assert.equal(subscriberNode.name, 'Handle Event');
+            assert.equal(subscriberNode.children[0].name, 'helper');
+
+            const callers = await builder.buildCallers('helper');
+            assert.equal(callers.children[0].children[0].children[0].name, 'pub');
+            assert.deepEqual(builder.analyzeImpact('helper', [app]).apps[0].refs[0].path, ['pub', 'Handle Event', 'helper']);
+        });
+
+        it('should pick up subscribers defined after an earlier build', async () => {
+            builder.defineFunctions({ pub: { children: [topicPublishRef('evt')] } });
+            const app = { name: 'test-app', type: 'app', children: [ref('pub')] };
+            await builder.build(app);
+
+            builder.defineFunctions({ late: { displayName: 'Late Subscriber', subscribesTo: ['evt'] } });
+            const tree = await builder.build(app);
+
+            assert.equal(tree.children[0].children[0].children[0].name, 'Late Subscriber');
+        });
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit tests for DAG Output
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'node:path';
+import { TreeBuilder, ref, asyncRef, topicPublishRef } from '../tree-builder.js';
+import { treeToDag, expandDag } from '../tree-dag.js';
+import { loadAllApps, loadFunctionPoolFromDirectory, getDefaultConfigDir } from '../json-loader.js';
+
+describe('DAG Output', () => {
+    const buildSharedTree = async () => {
+        const builder = new TreeBuilder();
+        builder.defineFunctions({
+            handlerA: { children: [ref('createWtException'), asyncRef('audit')] },
+            handlerB: { children: [ref('createWtException')] },
+            createWtException: { app: 'EXC', children: [ref('audit'), topicPublishRef('exceptions')] },
+            audit: { metadata_lines: [{ text: 'DB: AUDIT' }] },
+            notifier: { subscribesTo: ['exceptions'] }
+        });
+        return builder.build({
+            name: 'my-app',
+            type: 'app',
+            children: [
+                ref('handlerA'),
+                {
+                    name: 'SVC',
+                    type: 'ui-services',
+                    children: [{ name: 'submit', type: 'ui-service-method', children: [ref('handlerB'), ref('missing')] }]
+                }
+            ]
+        });
+    };
+
+    describe('treeToDag', () => {
+        it('should store each repeated function subtree once and reference it', async () => {
+            const dag = treeToDag(await buildSharedTree());
+
+            assert.deepEqual(Object.keys(dag.nodes), ['createWtException', 'audit']);
+            const handlerB = dag.root.children[1].children[0].children[0];
+            assert.deepEqual(dag.root.children[0].children[0], { $ref: 'createWtException' });
+            assert.deepEqual(handlerB.children, [{ $ref: 'createWtException' }]);
+            assert.deepEqual(dag.nodes.createWtException.metadata_lines, [{ text: 'EXC', clickable: false }]);
+        });
+
+        it('should keep functions that occur once, app structure, queue and warning nodes inline', async () => {
+            const dag = treeToDag(await buildSharedTree());
+
+            assert.equal(dag.root.name, 'my-app');
+            const handlerA = dag.root.children[0];
+            assert.equal(handlerA.name, 'handlerA');
+            const method = dag.root.children[1].children[0];
+            assert.equal(method.type, 'ui-service-method');
+            assert.equal(method.children[0].name, 'handlerB');
+            assert.equal(method.children[1].type, 'warning');
+
+            const timer = handlerA.children[1];
+            assert.equal(timer.type, 'timer');
+            assert.deepEqual(timer.children, [{ $ref: 'audit' }]);
+            const topic = dag.nodes.createWtException.children[1];
+            assert.equal(topic.type, 'topic');
+            assert.deepEqual(topic.children[0].name, 'notifier');
+        });
+
+        it('should count a subtree inside a table entry once', () => {
+            const leaf = { name: 'leaf', type: 'function' };
+            const shared = { name: 'shared', type: 'function', children: [leaf] };
+            const tree = { name: 'app', type: 'app', children: [shared, shared] };
+
+            const dag = treeToDag(tree);
+
+            assert.deepEqual(dag.root.children, [{ $ref: 'shared' }, { $ref: 'shared' }]);
+            assert.deepEqual(dag.nodes, { shared: { name: 'shared', type: 'function', children: [leaf] } });
+        });
+
+        it('should give differing subtrees of one function numbered ids', () => {
+            const variantA = { name: 'loop', type: 'function', children: [{ name: 'loop detected stopping (a)', type: 'dupe-stopper' }] };
+            const variantB = { name: 'loop', type: 'function', children: [{ name: 'loop detected stopping (b)', type: 'dupe-stopper' }] };
+            const tree = { name: 'app', type: 'app', children: [variantA, variantB, { ...variantA }, variantB] };
+
+            const dag = treeToDag(tree);
+
+            assert.deepEqual(dag.root.children, [{ $ref: 'loop' }, { $ref: 'loop#2' }, { $ref: 'loop' }, { $ref: 'loop#2' }]);
+            assert.equal(dag.nodes['loop#2'].children[0].name, 'loop detected stopping (b)');
+        });
+
+        it('should produce the same ids for the same tree', async () => {
+            assert.deepEqual(treeToDag(await buildSharedTree()), treeToDag(await buildSharedTree()));
+        });
+
+        it('should be much smaller than the tree for deeply shared functions', async () => {
+            const pool = {};
+            for (let layer = 0; layer < 10; layer++) {
+                const children = layer < 9 ? [ref(`f${layer + 1}a`), ref(`f${layer + 1}b`)] : [];
+                pool[`f${layer}a`] = { children };
+                pool[`f${layer}b`] = { children };
+            }
+            const builder = new TreeBuilder();
+            builder.defineFunctions(pool);
+            const tree = await builder.build({ name: 'app', type: 'app', children: [ref('f0a')] });
+
+            const dag = treeToDag(tree);
+
+            assert.equal(Object.keys(dag.nodes).length, 14);
+            assert.ok(JSON.stringify(dag).length * 10 < JSON.stringify(tree).length);
+        });
+
+        it('should not be larger than the tree for the bundled apps', async () => {
+            const configDir = getDefaultConfigDir();
+            const builder = new TreeBuilder({ logger: { error() {}, warn() {}, debug() {} } });
+            builder.defineFunctions(await loadFunctionPoolFromDirectory(configDir));
+
+            for (const app of await loadAllApps(join(configDir, 'apps'))) {
+                const tree = await builder.build(app);
+                const dag = treeToDag(tree);
+                const envelope = JSON.stringify({ root: null, nodes: {} }).length - 'null'.length;
+                assert.ok(JSON.stringify(dag).length <= JSON.stringify(tree).length + envelope, app.name);
+                assert.deepEqual(expandDag(dag), tree);
+            }
+        });
+
+        it('should handle a missing tree', () => {
+            assert.deepEqual(treeToDag(null), { root: null, nodes: {} });
+        });
+    });
+
+    describe('expandDag', () => {
+        it('should restore the original tree', async () => {
+            const tree = await buildSharedTree();
+
+            assert.deepEqual(expandDag(treeToDag(tree)), tree);
+        });
+
+        it('should restore the original tree from serialized JSON, key order included', async () => {
+            const tree = await buildSharedTree();
+            const dag = JSON.parse(JSON.stringify(treeToDag(tree)));
+
+            assert.equal(JSON.stringify(expandDag(dag)), JSON.stringify(tree));
+        });
+
+        it('should expand references to the same id to the same object', async () => {
+            const expanded = expandDag(treeToDag(await buildSharedTree()));
+
+            const fromA = expanded.children[0].children[0];
+            const fromB = expanded.children[1].children[0].children[0].children[0];
+            assert.equal(fromA, fromB);
+        });
+
+        it('should reject unknown ids', () => {
+            assert.throws(
+                () => expandDag({ root: { name: 'app', type: 'app', children: [{ $ref: 'nope' }] }, nodes: {} }),
+                /Unknown node id "nope"/
+            );
+        });
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for Tree Diff
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffTrees, toJsonPatch, getNodeKey } from '../tree-diff.js';
+import { TreeBuilder, ref, asyncRef } from '../tree-builder.js';
+
+const fn = (name, children, props = {}) => ({
+    name,
+    type: 'function',
+    ...props,
+    ...(children ? { children } : {})
+});
+const app = (children) => ({ name: 'test-app', type: 'app', children });
+
+describe('Tree Diff', () => {
+    describe('getNodeKey', () => {
+        it('should key nodes by type and name', () => {
+            assert.equal(getNodeKey(fn('myFunc')), 'function:myFunc');
+        });
+
+        it('should key queue nodes by the functions they deliver to', () => {
+            const timer = { name: 'Q.NAME', type: 'timer', children: [fn('target')] };
+            assert.equal(getNodeKey(timer), 'timer(target)');
+        });
+
+        it('should key empty queue nodes by type only', () => {
+            assert.equal(getNodeKey({ name: 'event_queue', type: 'topic' }), 'topic()');
+            assert.equal(getNodeKey({ name: 'Q.NAME', type: 'timer', children: [] }), 'timer()');
+        });
+    });
+
+    describe('diffTrees', () => {
+        it('should report no changes for identical trees', () => {
+            const tree = app([fn('a', [fn('b')])]);
+            assert.deepEqual(diffTrees(tree, structuredClone(tree)), []);
+        });
+
+        it('should ignore sibling reordering', () => {
+            const before = app([fn('a'), fn('b')]);
+            const after = app([fn('b'), fn('a')]);
+            assert.deepEqual(diffTrees(before, after), []);
+        });
+
+        it('should report added and removed nodes by path', () => {
+            const before = app([fn('a', [fn('old')])]);
+            const after = app([fn('a', [fn('new')])]);
+
+            assert.deepEqual(diffTrees(before, after), [
+                { type: 'removed', path: ['app:test-app', 'function:a', 'function:old'], node: fn('old') },
+                { type: 'added', path: ['app:test-app', 'function:a', 'function:new'], node: fn('new') }
+            ]);
+        });
+
+        it('should distinguish repeated siblings by occurrence', () => {
+            const before = app([fn('a')]);
+            const after = app([fn('a'), fn('a')]);
+
+            const changes = diffTrees(before, after);
+            assert.equal(changes.length, 1);
+            assert.deepEqual(changes[0].path, ['app:test-app', 'function:a#2']);
+        });
+
+        it('should report moved subtrees', () => {
+            const before = app([fn('a', [fn('moving', [fn('leaf')])]), fn('b')]);
+            const after = app([fn('a'), fn('b', [fn('moving', [fn('leaf')])])]);
+
+            assert.deepEqual(diffTrees(before, after), [{
+                type: 'moved',
+                from: ['app:test-app', 'function:a', 'function:moving'],
+                to: ['app:test-app', 'function:b', 'function:moving']
+            }]);
+        });
+
+        it('should report changes inside moved subtrees at the new path', () => {
+            const before = app([fn('a', [fn('moving', [fn('leaf')])]), fn('b')]);
+            const after = app([fn('a'), fn('b', [fn('moving', [fn('otherLeaf')])])]);
+
+            const changes = diffTrees(before, after);
+            assert.deepEqual(changes.map(c => [c.type, (c.path || c.to).join(' > ')]), [
+                ['removed', 'app:test-app > function:a > function:moving > function:leaf'],
+                ['added', 'app:test-app > function:b > function:moving > function:otherLeaf'],
+                ['moved', 'app:test-app > function:b > function:moving']
+            ]);
+        });
+
+        it('should report queue name changes on timer nodes', () => {
+            const before = app([{ name: 'OLD.QUEUE', type: 'timer', children: [fn('target')] }]);
+            const after = app([{ name: 'NEW.QUEUE', type: 'timer', children: [fn('target')] }]);
+
+            assert.deepEqual(diffTrees(before, after), [{
+                type: 'queue-name-changed',
+                path: ['app:test-app', 'timer(target)'],
+                before: 'OLD.QUEUE',
+                after: 'NEW.QUEUE'
+            }]);
+        });
+
+        it('should report queue name changes on topic nodes without subscribers', () => {
+            const before = app([
+                { name: 'audit_queue', type: 'topic' },
+                { name: 'events_queue', type: 'topic' },
+                { name: 'IDLE.Q', type: 'timer' }
+            ]);
+            const after = app([
+                { name: 'audit_queue', type: 'topic' },
+                { name: 'events_v2_queue', type: 'topic' },
+                { name: 'IDLE.Q', type: 'timer' }
+            ]);
+
+            assert.deepEqual(diffTrees(before, after), [{
+                type: 'queue-name-changed',
+                path: ['app:test-app', 'topic()#2'],
+                before: 'events_queue',
+                after: 'events_v2_queue'
+            }]);
+        });
+
+        it('should report metadata_lines changes', () => {
+            const before = app([fn('a', undefined, { metadata_lines: [{ text: 'old' }] })]);
+            const after = app([fn('a', undefined, { metadata_lines: [{ text: 'new' }] })]);
+
+            assert.deepEqual(diffTrees(before, after), [{
+                type: 'metadata-changed',
+                path: ['app:test-app', 'function:a'],
+                before: [{ text: 'old' }],
+                after: [{ text: 'new' }]
+            }]);
+        });
+
+        it('should diff two builds after a function pool change', async () => {
+            const appConfig = app([ref('caller')]);
+            const builder = new TreeBuilder();
+            builder.defineFunctions({
+                caller: { children: [asyncRef('worker', 'WORK.QUEUE')] },
+                worker: {}
+            });
+            const before = await builder.build(appConfig);
+
+            builder.defineFunctions({
+                caller: { children: [asyncRef('worker', 'WORK.QUEUE.V2'), ref('audit')] },
+                audit: {}
+            });
+            const after = await builder.build(appConfig);
+
+            assert.deepEqual(diffTrees(before, after).map(c => c.type), ['added', 'queue-name-changed']);
+        });
+    });
+
+    describe('json-patch format', () => {
+        it('should emit JSON Patch style operations keyed by escaped node paths', () => {
+            const before = app([
+                fn('a/b', [fn('old')]),
+                { name: 'OLD.QUEUE', type: 'timer', children: [fn('target')] }
+            ]);
+            const after = app([
+                fn('a/b', [fn('new')], { metadata_lines: [{ text: 'added' }] }),
+                { name: 'NEW.QUEUE', type: 'timer', children: [fn('target')] }
+            ]);
+
+            assert.deepEqual(diffTrees(before, after, { format: 'json-patch' }), [
+                { op: 'remove', path: '/app:test-app/function:a~1b/function:old' },
+                { op: 'add', path: '/app:test-app/function:a~1b/function:new', value: fn('new') },
+                { op: 'add', path: '/app:test-app/function:a~1b/metadata_lines', value: [{ text: 'added' }] },
+                { op: 'replace', path: '/app:test-app/timer(target)/name', value: 'NEW.QUEUE' }
+            ]);
+        });
+
+        it('should convert moves into move operations', () => {
+            const patch = toJsonPatch([{ type: 'moved', from: ['app:x', 'function:a'], to: ['app:x', 'function:b'] }]);
+            assert.deepEqual(patch, [{ op: 'move', from: '/app:x/function:a', path: '/app:x/function:b' }]);
+        });
+    });
+});
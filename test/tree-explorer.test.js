@@ -0,0 +1,199 @@
+/**
+ * Unit tests for Interactive Tree Explorer
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { TreeExplorer, startExplorer, createPoolLookup } from '../tree-explorer.js';
+
+const tree = {
+    name: 'my-app',
+    type: 'app',
+    children: [
+        {
+            name: 'FuncA',
+            type: 'function',
+            metadata_lines: [{ text: 'DB: TABLE_A' }, { text: 'Logs', clickable: true }],
+            children: [{ name: 'funcB', type: 'function' }]
+        },
+        {
+            name: 'SVC',
+            type: 'ui-services',
+            children: [{
+                name: 'method',
+                type: 'ui-service-method',
+                children: [{
+                    name: 'loop detected stopping (FuncA)',
+                    type: 'dupe-stopper',
+                    _cycleAt: 'FuncA',
+                    _path: ['FuncA', 'funcB', 'FuncA']
+                }]
+            }]
+        }
+    ]
+};
+
+const key = name => [undefined, { name }];
+const names = explorer => explorer.getVisibleRows().map(row => row.node.name);
+
+describe('Interactive Tree Explorer', () => {
+    describe('createPoolLookup', () => {
+        it('should find definitions by pool key or displayName, case-insensitively', () => {
+            const lookup = createPoolLookup({ funca: { displayName: 'FuncA', children: [] }, other: {} });
+
+            assert.deepEqual(lookup('FUNCA'), { name: 'funca', definition: { displayName: 'FuncA', children: [] } });
+            assert.equal(lookup('Other').name, 'other');
+            assert.equal(lookup('missing'), null);
+        });
+
+        it('should resolve a displayName that differs from the pool key', () => {
+            const lookup = createPoolLookup({ 'svc-fn': { displayName: 'ServiceFunction' } });
+            assert.equal(lookup('servicefunction').name, 'svc-fn');
+        });
+    });
+
+    describe('TreeExplorer', () => {
+        it('should start with only the root expanded', () => {
+            const explorer = new TreeExplorer(tree);
+            assert.deepEqual(names(explorer), ['my-app', 'FuncA', 'SVC']);
+        });
+
+        it('should expand, collapse and move to the parent with the keyboard', () => {
+            const explorer = new TreeExplorer(tree);
+            explorer.handleKey(...key('down'));
+            explorer.handleKey(...key('right'));
+            assert.deepEqual(names(explorer), ['my-app', 'FuncA', 'funcB', 'SVC']);
+
+            explorer.handleKey(...key('down'));
+            assert.equal(explorer.getFocusedRow().node.name, 'funcB');
+            explorer.handleKey(...key('left'));
+            assert.equal(explorer.getFocusedRow().node.name, 'FuncA');
+            explorer.handleKey(...key('left'));
+            assert.deepEqual(names(explorer), ['my-app', 'FuncA', 'SVC']);
+        });
+
+        it('should expand and collapse everything', () => {
+            const explorer = new TreeExplorer(tree);
+            explorer.handleKey(...key('e'));
+            assert.equal(explorer.getVisibleRows().length, 6);
+
+            explorer.handleKey(...key('c'));
+            assert.deepEqual(names(explorer), ['my-app', 'FuncA', 'SVC']);
+        });
+
+        it('should filter to matches and their ancestors as the query is typed', () => {
+            const explorer = new TreeExplorer(tree);
+            explorer.handleKey('/', {});
+            for (const char of 'loop') explorer.handleKey(char, { name: char });
+
+            assert.deepEqual(names(explorer), ['my-app', 'SVC', 'method', 'loop detected stopping (FuncA)']);
+            assert.equal(explorer.getFocusedRow().node.type, 'dupe-stopper');
+
+            explorer.handleKey(undefined, { name: 'backspace' });
+            assert.equal(explorer.query, 'loo');
+        });
+
+        it('should cycle through matches and keep the focused node when the search is cleared', () => {
+            const explorer = new TreeExplorer(tree);
+            explorer.handleKey('/', {});
+            for (const char of 'func') explorer.handleKey(char, { name: char });
+            explorer.handleKey(undefined, { name: 'return' });
+
+            assert.equal(explorer.getFocusedRow().node.name, 'FuncA');
+            explorer.handleKey('n', { name: 'n' });
+            assert.equal(explorer.getFocusedRow().node.name, 'funcB');
+            explorer.handleKey('n', { name: 'n' });
+            assert.equal(explorer.getFocusedRow().node.name, 'loop detected stopping (FuncA)');
+            explorer.handleKey('N', { name: 'n', shift: true });
+            assert.equal(explorer.getFocusedRow().node.name, 'funcB');
+
+            explorer.handleKey(...key('escape'));
+            assert.equal(explorer.query, '');
+            assert.equal(explorer.getFocusedRow().node.name, 'funcB');
+        });
+
+        it('should show metadata_lines and the path of the focused node', () => {
+            const explorer = new TreeExplorer(tree);
+            explorer.handleKey(...key('down'));
+
+            assert.deepEqual(explorer.getDetails(), [
+                'function: FuncA',
+                'Path: my-app > FuncA',
+                '  · DB: TABLE_A',
+                '  · Logs (clickable)'
+            ]);
+        });
+
+        it('should show the _path of dupe-stopper nodes', () => {
+            const explorer = new TreeExplorer(tree);
+            explorer.setQuery('loop');
+
+            assert.equal(explorer.getDetails()[1], 'Path: FuncA > funcB > FuncA');
+        });
+
+        it('should jump to the pool definition of the focused function', () => {
+            const explorer = new TreeExplorer(tree, {
+                getDefinition: createPoolLookup({ funca: { displayName: 'FuncA', children: [{ ref: 'funcB' }] } })
+            });
+            explorer.handleKey(...key('down'));
+            explorer.handleKey('d', { name: 'd' });
+
+            const details = explorer.getDetails();
+            assert.ok(details.includes('Definition of funca:'));
+            assert.ok(details.some(line => line.includes('"ref": "funcB"')));
+
+            explorer.handleKey(...key('up'));
+            assert.equal(explorer.getDetails().at(-1), 'No pool definition for this node');
+        });
+
+        it('should render a fixed-size screen with the cursor marked', () => {
+            const explorer = new TreeExplorer(tree);
+            const lines = explorer.render({ width: 40, height: 12 });
+
+            assert.equal(lines.length, 12);
+            assert.ok(lines.every(line => line.length === 40));
+            assert.match(lines[0], /^> ▾ \[A\] my-app/);
+            assert.match(lines[1], /^ {4}▸ \[f\] FuncA/);
+        });
+
+        it('should quit on q and Ctrl-C', () => {
+            const explorer = new TreeExplorer(tree);
+            assert.equal(explorer.handleKey('q', { name: 'q' }), false);
+            assert.equal(explorer.handleKey('\x03', { name: 'c', ctrl: true }), false);
+        });
+    });
+
+    describe('startExplorer', () => {
+        it('should reject when not attached to a terminal', async () => {
+            await assert.rejects(
+                startExplorer(tree, { input: new PassThrough(), output: new PassThrough() }),
+                /needs an interactive terminal/
+            );
+        });
+
+        it('should draw, react to keys and restore the terminal on quit', async () => {
+            const input = new PassThrough();
+            input.isTTY = true;
+            const rawModes = [];
+            input.setRawMode = mode => rawModes.push(mode);
+
+            const output = new PassThrough();
+            output.isTTY = true;
+            output.columns = 40;
+            output.rows = 12;
+            let screen = '';
+            output.on('data', chunk => { screen += chunk; });
+
+            const done = startExplorer(tree, { input, output, color: false });
+            input.write('j');
+            input.write('l');
+            input.write('q');
+            await done;
+
+            assert.deepEqual(rawModes, [true, false]);
+            assert.match(screen, /funcB/);
+            assert.ok(screen.endsWith('\x1b[?25h\x1b[?1049l'));
+        });
+    });
+});
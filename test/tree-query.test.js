@@ -0,0 +1,163 @@
+/**
+ * Unit tests for Tree Query
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreeBuilder, ref, asyncRef } from '../tree-builder.js';
+import { createPoolLookup } from '../tree-explorer.js';
+import { queryTree, parseSelector } from '../tree-query.js';
+
+describe('Tree Query', () => {
+    const pool = {
+        handlePend: { app: 'PendApp', children: [asyncRef('processPayments', 'RPWTWR.PFQ'), ref('audit')] },
+        processPayments: { app: 'PaymentApp', children: [ref('validateProfile'), ref('audit')] },
+        validateProfile: { usesLegacyGatewayHttpClient: true },
+        audit: { metadata_lines: [{ text: 'DB: AUDIT' }] },
+        lookup: { displayName: 'Lookup Account', usesLegacyGatewayHttpClient: true }
+    };
+    let tree;
+
+    const paths = (matches) => matches.map(match => match.path.join(' > '));
+
+    before(async () => {
+        const builder = new TreeBuilder();
+        builder.defineFunctions(pool);
+        tree = await builder.build({
+            name: 'my-app',
+            type: 'app',
+            children: [{
+                name: 'WT9000J',
+                type: 'ui-services',
+                children: [
+                    { name: 'resolvePend', type: 'ui-service-method', children: [ref('handlePend')] },
+                    { name: 'getAccount', type: 'ui-service-method', children: [ref('lookup')] },
+                    { name: 'listFilings', type: 'ui-service-method', children: [ref('audit'), ref('missing')] }
+                ]
+            }]
+        });
+    });
+
+    describe('queryTree', () => {
+        it('should match types and return paths in document order', () => {
+            assert.deepEqual(paths(queryTree(tree, 'timer')), [
+                'my-app > WT9000J > resolvePend > handlePend > RPWTWR.PFQ'
+            ]);
+            assert.equal(queryTree(tree, 'function').length, 7);
+            assert.equal(queryTree(tree, '*').length, 16);
+        });
+
+        it('should return the matched nodes themselves', () => {
+            const [match] = queryTree(tree, 'timer');
+            assert.equal(match.node, tree.children[0].children[0].children[0].children[0]);
+        });
+
+        it('should combine child and descendant combinators', () => {
+            assert.deepEqual(paths(queryTree(tree, 'ui-service-method[name=resolvePend] > function > timer function')), [
+                'my-app > WT9000J > resolvePend > handlePend > RPWTWR.PFQ > processPayments',
+                'my-app > WT9000J > resolvePend > handlePend > RPWTWR.PFQ > processPayments > validateProfile',
+                'my-app > WT9000J > resolvePend > handlePend > RPWTWR.PFQ > processPayments > audit'
+            ]);
+            assert.deepEqual(paths(queryTree(tree, 'ui-services > function')), []);
+            assert.deepEqual(paths(queryTree(tree, 'timer > function')), [
+                'my-app > WT9000J > resolvePend > handlePend > RPWTWR.PFQ > processPayments'
+            ]);
+        });
+
+        it('should report shared subtrees once per place they appear', () => {
+            assert.deepEqual(paths(queryTree(tree, 'function[name=audit]')), [
+                'my-app > WT9000J > resolvePend > handlePend > RPWTWR.PFQ > processPayments > audit',
+                'my-app > WT9000J > resolvePend > handlePend > audit',
+                'my-app > WT9000J > listFilings > audit'
+            ]);
+        });
+
+        it('should support attribute operators, quoting and case-insensitive values', () => {
+            assert.deepEqual(paths(queryTree(tree, 'ui-service-method[name^=get]')), ['my-app > WT9000J > getAccount']);
+            assert.deepEqual(paths(queryTree(tree, 'ui-service-method[name$=Pend]')), ['my-app > WT9000J > resolvePend']);
+            assert.deepEqual(paths(queryTree(tree, 'ui-service-method[name*=Filing]')), ['my-app > WT9000J > listFilings']);
+            assert.equal(queryTree(tree, 'ui-service-method[name!=resolvePend]').length, 2);
+            assert.deepEqual(paths(queryTree(tree, 'function[name="Lookup Account"]')), ['my-app > WT9000J > getAccount > Lookup Account']);
+            assert.deepEqual(paths(queryTree(tree, 'ui-service-method[name=RESOLVEPEND i]')), ['my-app > WT9000J > resolvePend']);
+            assert.deepEqual(paths(queryTree(tree, '[_unresolvedRef]')), [
+                'my-app > WT9000J > listFilings > dependency to missing could not be resolved so the tree may be incomplete'
+            ]);
+        });
+
+        it('should match array attributes element by element', () => {
+            const stamped = {
+                name: 'root',
+                type: 'app',
+                tags: ['a', 'b'],
+                children: [{ name: 'child', type: 'function', tags: ['c'] }]
+            };
+            assert.deepEqual(paths(queryTree(stamped, '[tags=b]')), ['root']);
+            assert.deepEqual(paths(queryTree(stamped, '[tags!=b]')), ['root > child']);
+        });
+
+        it('should look up definition-only attributes of function nodes', () => {
+            assert.deepEqual(queryTree(tree, 'function[app=PaymentApp]'), []);
+
+            const matches = queryTree(tree, 'function[app=PaymentApp]', { getDefinition: createPoolLookup(pool) });
+            assert.deepEqual(paths(matches), ['my-app > WT9000J > resolvePend > handlePend > RPWTWR.PFQ > processPayments']);
+        });
+
+        it('should support :has() with relative selectors', () => {
+            assert.deepEqual(paths(queryTree(tree, 'ui-service-method:has(smart)')), [
+                'my-app > WT9000J > resolvePend',
+                'my-app > WT9000J > getAccount'
+            ]);
+            assert.deepEqual(paths(queryTree(tree, '*:has(> smart)')), [
+                'my-app > WT9000J > resolvePend > handlePend > RPWTWR.PFQ > processPayments > validateProfile',
+                'my-app > WT9000J > getAccount > Lookup Account'
+            ]);
+            assert.deepEqual(paths(queryTree(tree, 'ui-service-method:has(> function > timer)')), ['my-app > WT9000J > resolvePend']);
+            assert.deepEqual(paths(queryTree(tree, 'ui-service-method:has(timer > smart)')), []);
+        });
+
+        it('should support :not() and selector lists', () => {
+            assert.deepEqual(paths(queryTree(tree, 'ui-service-method:not(:has(smart))')), ['my-app > WT9000J > listFilings']);
+            assert.deepEqual(paths(queryTree(tree, 'function:not(timer *)[name=audit]')), [
+                'my-app > WT9000J > resolvePend > handlePend > audit',
+                'my-app > WT9000J > listFilings > audit'
+            ]);
+            assert.deepEqual(paths(queryTree(tree, 'timer, warning')), [
+                'my-app > WT9000J > resolvePend > handlePend > RPWTWR.PFQ',
+                'my-app > WT9000J > listFilings > dependency to missing could not be resolved so the tree may be incomplete'
+            ]);
+        });
+
+        it('should accept a parsed selector', () => {
+            const selector = parseSelector('smart');
+            assert.equal(queryTree(tree, selector).length, 2);
+        });
+
+        it('should handle a missing tree', () => {
+            assert.deepEqual(queryTree(null, '*'), []);
+        });
+    });
+
+    describe('parseSelector', () => {
+        it('should parse compounds, combinators and pseudo-classes', () => {
+            const [complex] = parseSelector('ui-service-method[name="a b" i] > *:has(> smart)');
+
+            assert.equal(complex.length, 2);
+            assert.equal(complex[0].combinator, null);
+            assert.deepEqual(complex[0].compound.attributes, [{ name: 'name', operator: '=', value: 'a b', ignoreCase: true }]);
+            assert.equal(complex[1].combinator, '>');
+            assert.equal(complex[1].compound.type, null);
+            assert.equal(complex[1].compound.pseudos[0].name, 'has');
+            assert.equal(complex[1].compound.pseudos[0].selectors[0][0].combinator, '>');
+        });
+
+        it('should reject invalid selectors with the position of the problem', () => {
+            assert.throws(() => parseSelector(''), /expected a selector at position 0/);
+            assert.throws(() => parseSelector('function >'), /expected a selector at position 10/);
+            assert.throws(() => parseSelector('function[name=a'), /expected "\]"/);
+            assert.throws(() => parseSelector('function:first-child'), /unknown pseudo-class ":first-child"/);
+            assert.throws(() => parseSelector('function:has(smart'), /expected "\)"/);
+            assert.throws(() => parseSelector('function[name="a]'), /unterminated string/);
+            assert.throws(() => parseSelector('function)'), /unexpected "\)"/);
+        });
+    });
+});
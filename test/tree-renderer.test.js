@@ -0,0 +1,66 @@
+/**
+ * Unit tests for Terminal Tree Renderer
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTree } from '../tree-renderer.js';
+
+const tree = {
+    name: 'my-app',
+    type: 'app',
+    children: [
+        { name: 'funcA', type: 'function', metadata_lines: [{ text: 'DB: TABLE_A' }] },
+        {
+            name: 'RPWTWR.PFQ',
+            type: 'timer',
+            metadata_lines: [{ text: 'Logs', clickable: true }],
+            children: [{ name: 'funcB', type: 'function' }]
+        }
+    ]
+};
+
+describe('Terminal Tree Renderer', () => {
+    describe('renderTree', () => {
+        it('should draw the tree with unicode guides, type markers and metadata', () => {
+            assert.equal(renderTree(tree), [
+                'my-app [app]',
+                '├── funcA [function]',
+                '│     · DB: TABLE_A',
+                '└── RPWTWR.PFQ [timer]',
+                '    │ · Logs',
+                '    └── funcB [function]',
+                ''
+            ].join('\n'));
+        });
+
+        it('should draw plain ascii guides', () => {
+            assert.equal(renderTree(tree, { charset: 'ascii' }), [
+                'my-app [app]',
+                '|-- funcA [function]',
+                '|     - DB: TABLE_A',
+                '`-- RPWTWR.PFQ [timer]',
+                '    | - Logs',
+                '    `-- funcB [function]',
+                ''
+            ].join('\n'));
+        });
+
+        it('should hide metadata when metadata is false', () => {
+            const output = renderTree(tree, { metadata: false });
+            assert.doesNotMatch(output, /TABLE_A|Logs/);
+        });
+
+        it('should colour node names by type only when color is enabled', () => {
+            assert.doesNotMatch(renderTree(tree), /\x1b\[/);
+
+            const output = renderTree(tree, { color: true });
+            assert.match(output, /\x1b\[1m\x1b\[34mmy-app\x1b\[0m/);
+            assert.match(output, /\x1b\[33mRPWTWR\.PFQ\x1b\[0m/);
+        });
+
+        it('should reject unknown charsets', () => {
+            assert.throws(() => renderTree(tree, { charset: 'emoji' }), /Unknown charset "emoji"/);
+        });
+    });
+});
@@ -3,6 +3,44 @@
  */
 const DEFAULT_LOG_LEVEL = process.env.TREE_BUILDER_LOG_LEVEL || 'error';
 const LOG_LEVELS = { error: 0, warn: 1, debug: 2 };
+const STRICT_CATEGORIES = ['unresolved', 'cycles', 'resolverErrors'];
+const QUEUE_NODE_TYPES = ['timer', 'topic', 'queue'];
+const RESOLVER_NAMES = ['asyncResolver', 'topicPublishResolver'];
+const DEFAULT_RESOLVER_OPTIONS = {
+  timeout: 0,               // ms per attempt, counted from when it is queued for a slot; 0 waits indefinitely
+  retries: 0,               // extra attempts after a failed or timed-out attempt
+  retryDelay: 100,          // ms before the first retry, doubled for each further retry
+  maxConcurrency: Infinity, // resolver calls in flight at once
+  failureThreshold: 0,      // consecutive failed calls that open the circuit; 0 disables the breaker
+  resetTimeout: 30000       // ms an open circuit skips calls before trying again
+};
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // longest setTimeout delay; Node fires longer ones after 1 ms
+const isNonNegativeNumber = (value) => Number.isFinite(value) && value >= 0;
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+const isTimerDelay = (value) => isNonNegativeNumber(value) && value <= MAX_TIMER_DELAY;
+const RESOLVER_OPTION_CHECKS = { // option -> [check, description of valid values]
+  timeout: [isTimerDelay, `a non-negative number up to ${MAX_TIMER_DELAY}`],
+  retries: [isNonNegativeInteger, 'a non-negative integer'],
+  retryDelay: [isTimerDelay, `a non-negative number up to ${MAX_TIMER_DELAY}`],
+  maxConcurrency: [(value) => value === Infinity || (Number.isInteger(value) && value > 0), 'a positive integer or Infinity'],
+  failureThreshold: [isNonNegativeInteger, 'a non-negative integer'],
+  resetTimeout: [isNonNegativeNumber, 'a non-negative number']
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Raised by strict builds. Carries every offending location, not just the first.
+ */
+class TreeBuildError extends Error {
+  constructor(message, { violations, diagnostics, tree }) {
+    super(message);
+    this.name = 'TreeBuildError';
+    this.violations = violations;   // [{ category, path, ...diagnostic }]
+    this.diagnostics = diagnostics; // full result of buildWithDiagnostics
+    this.tree = tree;               // the incomplete tree, for inspection
+  }
+}
 
 class TreeBuilder {
   constructor(config = {}) {
@@ -11,25 +49,97 @@ class TreeBuilder {
       filterEmptyUiServiceMethods = false,
       filterEmptyUiServices = false,
       logNodeTypes = null,
+      incremental = false,
+      strict = false,
+      nodeIds = false,
+      resolverCacheTtl = 0,
+      resolverOptions = {},
       logger,
       logLevel = DEFAULT_LOG_LEVEL
     } = config;
 
     this.functionDefs = new Map();      // registry of function definitions
-    this.resolvedFunctions = new Map(); // cache of resolved function subtrees
-    this.inFlightResolutions = new Map(); // tracks promises for in-flight async function resolutions keyed by function and visited context, allowing concurrent callers to share the same promise and avoid duplicate work
+    this.topicSubscribers = new Map();  // registry of topic subscribers declared outside the function pool
+    this.topicSubscriberIndex = null;   // normalized topic -> subscribers, rebuilt after definition changes (see _getTopicSubscribers)
+    this.resolvedFunctions = new Map(); // cache of resolved function subtrees kept across builds (incremental mode only; other builds use a per-build cache)
+    this.definitionsVersion = 0; // bumped on every definition or resolver change, so in-flight resolutions of stale definitions are not kept in resolvedFunctions
     this.asyncResolver = null; // resolver to get the queue stats
     this.topicPublishResolver = null;
+    this.resolverFailures = new WeakMap(); // resolver error metadata_line -> { resolverName, args, error }, for diagnostics
+    this.queueNodeIdSegments = new WeakMap(); // built timer/topic node -> id segment from its config (see _getNodeIdSegment)
+    this.resolverCache = new Map(); // resolver cache key -> { resolvedProps, expiresAt }, kept across builds when resolverCacheTtl is set
+    this.resolverStates = new Map(); // resolver name -> { active, waiting, failures, openUntil }: concurrency slots and circuit breaker
     this.logger = logger || TreeBuilder.createDefaultLogger({ level: logLevel });
     // Config with defaults
     this.config = {
       unresolvedSeverity, // 'error' or 'warning'
       filterEmptyUiServiceMethods, // omit ui-service-methods with no children
       filterEmptyUiServices, // omit ui-services with no children (after filtering methods)
-      logNodeTypes // e.g., ['function', 'timer'] - node types that get a "Logs" metadata_line
+      logNodeTypes, // e.g., ['function', 'timer'] - node types that get a "Logs" metadata_line
+      incremental, // keep resolved subtrees across builds, invalidating only what a definition change affects
+      strict: TreeBuilder._normalizeStrict(strict), // categories that make build() reject, e.g. { unresolved: true, cycles: false, resolverErrors: true }
+      nodeIds, // stamp every output node with a path-derived `id` and its `path`
+      resolverCacheTtl: TreeBuilder._checkResolverCacheTtl(resolverCacheTtl), // ms to keep successful resolver results across builds; 0 keeps them for one build only
+      resolverOptions: TreeBuilder._normalizeResolverOptions(resolverOptions) // timeouts, retries, concurrency and circuit breaker per resolver
     };
   }
 
+  /**
+   * Expand the `strict` option into per-category toggles.
+   * `true` enables every category; in an object, categories that are not mentioned default to enabled.
+   */
+  static _normalizeStrict(strict) {
+    if (strict && typeof strict === 'object') {
+      return Object.fromEntries(STRICT_CATEGORIES.map(category => [category, strict[category] !== false]));
+    }
+    return Object.fromEntries(STRICT_CATEGORIES.map(category => [category, strict === true]));
+  }
+
+  /**
+   * The `resolverCacheTtl` option, which is added to Date.now(): a string would concatenate
+   * into a far-future expiry, and a negative or NaN value would silently turn the cache off.
+   */
+  static _checkResolverCacheTtl(ttl) {
+    if (!isNonNegativeNumber(ttl)) {
+      throw new Error(`resolverCacheTtl must be a non-negative finite number, got ${typeof ttl === 'string' ? `"${ttl}"` : String(ttl)}`);
+    }
+    return ttl;
+  }
+
+  /**
+   * Expand `resolverOptions` into options per resolver. Top-level keys apply to both
+   * resolvers; `asyncResolver` and `topicPublishResolver` objects override them.
+   * null stands for the defaults. Throws on values the resolver calls cannot work with,
+   * e.g. a maxConcurrency of 0 that would leave every call waiting for a slot.
+   */
+  static _normalizeResolverOptions(options) {
+    const { asyncResolver, topicPublishResolver, ...shared } = TreeBuilder._checkOptionsObject(options, 'resolverOptions');
+    const overrides = {
+      asyncResolver: TreeBuilder._checkOptionsObject(asyncResolver, 'resolverOptions.asyncResolver'),
+      topicPublishResolver: TreeBuilder._checkOptionsObject(topicPublishResolver, 'resolverOptions.topicPublishResolver')
+    };
+    return Object.fromEntries(RESOLVER_NAMES.map(name => {
+      const resolved = { ...DEFAULT_RESOLVER_OPTIONS, ...shared, ...overrides[name] };
+      for (const [key, [isValid, expected]] of Object.entries(RESOLVER_OPTION_CHECKS)) {
+        if (!isValid(resolved[key])) {
+          throw new Error(`resolverOptions: ${name}.${key} must be ${expected}, got ${String(resolved[key])}`);
+        }
+      }
+      return [name, resolved];
+    }));
+  }
+
+  /**
+   * An options object, or {} for null/undefined
+   */
+  static _checkOptionsObject(value, label) {
+    if (value === undefined || value === null) return {};
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`${label} must be an object, got ${Array.isArray(value) ? 'an array' : typeof value}`);
+    }
+    return value;
+  }
+
   static createDefaultLogger({ level = DEFAULT_LOG_LEVEL } = {}) {
     const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.error;
     const noop = () => {};
@@ -46,13 +156,43 @@ class TreeBuilder {
     };
   }
 
+  /**
+   * Set the resolver for async refs: a function `(funcName, queueName) => props`, or an object
+   * with `resolveMany(argsList) => props[]` to receive every request of a build in one call.
+   */
   setAsyncResolver(resolver) {
     this.asyncResolver = resolver;
+    // Cached subtrees embed resolver output
+    this.definitionsVersion++;
+    this.resolvedFunctions.clear();
+    this.clearResolverCache('asyncResolver');
+    this.resolverStates.delete('asyncResolver');
     return this;
   }
 
+  /**
+   * Set the resolver for topic publishes: a function `(topicName, queueName) => props`, or an
+   * object with `resolveMany(argsList) => props[]`, as for setAsyncResolver().
+   */
   setTopicPublishResolver(resolver) {
     this.topicPublishResolver = resolver;
+    this.definitionsVersion++;
+    this.resolvedFunctions.clear();
+    this.clearResolverCache('topicPublishResolver');
+    this.resolverStates.delete('topicPublishResolver');
+    return this;
+  }
+
+  /**
+   * Drop resolver results kept across builds (see `resolverCacheTtl`).
+   * @param {string} resolverName - 'asyncResolver' or 'topicPublishResolver'; all when omitted
+   */
+  clearResolverCache(resolverName = null) {
+    for (const key of this.resolverCache.keys()) {
+      if (!resolverName || key.startsWith(`${resolverName}::`)) {
+        this.resolverCache.delete(key);
+      }
+    }
     return this;
   }
 
@@ -71,23 +211,224 @@ class TreeBuilder {
     }
   }
 
-  async _resolveExternalProps(resolver, resolverName, args) {
+  /**
+   * Call a resolver, once per build for each distinct argument list: results (failures
+   * included) are memoized in the build context, so every node with the same arguments
+   * shares one call. With `resolverCacheTtl`, successful results are also reused by later
+   * builds until they expire.
+   */
+  async _resolveExternalProps(resolver, resolverName, args, context = null) {
     if (!resolver) {
       return { resolvedProps: {}, errorMetadataLines: [] };
     }
 
+    const cacheKey = this._getResolverCacheKey(resolverName, args);
+    if (context?.resolverResults.has(cacheKey)) {
+      return context.resolverResults.get(cacheKey);
+    }
+    const resultPromise = this._getCachedResolverResult(cacheKey) ?? this._settleResolverResult(
+      resolverName,
+      args,
+      this._callWithResolverOptions(resolverName, () => this._callResolver(resolver, args))
+    );
+    context?.resolverResults.set(cacheKey, resultPromise);
+    return resultPromise;
+  }
+
+  _getResolverCacheKey(resolverName, args) {
+    return `${resolverName}::${JSON.stringify(args)}`;
+  }
+
+  /**
+   * Result kept across builds for a resolver call, or null when there is none or it expired.
+   */
+  _getCachedResolverResult(cacheKey) {
+    const entry = this.resolverCache.get(cacheKey);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.resolverCache.delete(cacheKey);
+      return null;
+    }
+    return Promise.resolve({ resolvedProps: entry.resolvedProps, errorMetadataLines: [] });
+  }
+
+  /**
+   * Call a single resolver request, through resolveMany() for batch-only resolvers.
+   */
+  async _callResolver(resolver, args) {
+    if (typeof resolver === 'function') {
+      return resolver(...args);
+    }
+    const [result] = await this._callResolveMany(resolver, [args]);
+    if (result instanceof Error) throw result;
+    return result;
+  }
+
+  async _callResolveMany(resolver, argsList) {
+    const results = await resolver.resolveMany(argsList);
+    if (!Array.isArray(results) || results.length !== argsList.length) {
+      const count = Array.isArray(results) ? results.length : 'no';
+      throw new Error(`resolveMany returned ${count} results for ${argsList.length} requests`);
+    }
+    return results;
+  }
+
+  /**
+   * Run a resolver call under the resolver's `resolverOptions`: skip it while the circuit
+   * is open, wait for a concurrency slot, time out each attempt and retry with exponential
+   * backoff. A call that fails every attempt counts towards opening the circuit, unless it
+   * only timed out waiting for a slot and never reached the resolver.
+   * @param {string} resolverName - 'asyncResolver' or 'topicPublishResolver'
+   * @param {function} call - () => Promise of the resolver result
+   */
+  async _callWithResolverOptions(resolverName, call) {
+    const options = this.config.resolverOptions[resolverName];
+    const state = this._getResolverState(resolverName);
+
+    for (let attempt = 0; ; attempt++) {
+      // Checked before queueing, so an open circuit fails fast even while every slot is held
+      if (state.openUntil > Date.now()) {
+        throw new Error('circuit open, call skipped');
+      }
+      const isLastAttempt = attempt >= options.retries;
+      let timedOut = false;
+      const onTimeout = (started) => {
+        timedOut = true;
+        if (isLastAttempt && started) this._recordResolverFailure(resolverName, state, options);
+      };
+      try {
+        // The circuit is checked and updated while holding the slot, so calls queued
+        // behind failing ones see the circuit those failures opened
+        return await this._withResolverSlot(state, options.maxConcurrency, async () => {
+          if (state.openUntil > Date.now()) {
+            throw new Error('circuit open, call skipped');
+          }
+          try {
+            const result = await call();
+            if (!timedOut) state.failures = 0;
+            return result;
+          } catch (error) {
+            if (isLastAttempt && !timedOut) this._recordResolverFailure(resolverName, state, options);
+            throw error;
+          }
+        }, { timeout: options.timeout, onTimeout });
+      } catch (error) {
+        // No retry once the circuit is open: the next attempt would be skipped anyway
+        if (isLastAttempt || state.openUntil > Date.now()) throw error;
+        const retryDelay = Math.min(options.retryDelay * 2 ** attempt, MAX_TIMER_DELAY);
+        this._log('warn', `${resolverName} failed, retrying`, { resolverName, attempt: attempt + 1, retryDelay, error });
+        await delay(retryDelay);
+      }
+    }
+  }
+
+  _getResolverState(resolverName) {
+    if (!this.resolverStates.has(resolverName)) {
+      this.resolverStates.set(resolverName, { active: 0, waiting: [], failures: 0, openUntil: 0 });
+    }
+    return this.resolverStates.get(resolverName);
+  }
+
+  /**
+   * Run fn once fewer than maxConcurrency calls are in flight. A finishing call hands its
+   * slot straight to the next waiting one, so new calls cannot overtake the queue.
+   * With a timeout (ms, 0: no limit), the result rejects once that long has passed since
+   * the call was queued: a call still waiting leaves the queue without running, and a
+   * running one keeps its slot until fn settles, since the resolver's promise cannot be
+   * cancelled. Abandoned calls therefore still count against maxConcurrency.
+   * Waiting calls are rejected at once when the circuit opens (see _recordResolverFailure).
+   * @param {object} options
+   * @param {number} options.timeout - ms before the result rejects
+   * @param {function} options.onTimeout - Called with whether fn had started when the timeout
+   *                                       fires, before the rejection
+   */
+  _withResolverSlot(state, maxConcurrency, fn, { timeout = 0, onTimeout = () => {} } = {}) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      let started = false;
+      const run = () => {
+        started = true;
+        const running = (async () => fn())();
+        running.then(resolve, reject).finally(() => {
+          clearTimeout(timer);
+          this._releaseResolverSlot(state);
+        });
+      };
+
+      const waiting = {
+        run,
+        cancel: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      };
+
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          const index = state.waiting.indexOf(waiting);
+          if (index !== -1) state.waiting.splice(index, 1);
+          onTimeout(started);
+          reject(new Error(started
+            ? `timed out after ${timeout} ms`
+            : `timed out after ${timeout} ms waiting for a concurrency slot`));
+        }, timeout);
+      }
+      if (state.active < maxConcurrency) {
+        state.active++;
+        run();
+      } else {
+        state.waiting.push(waiting);
+      }
+    });
+  }
+
+  _releaseResolverSlot(state) {
+    const next = state.waiting.shift();
+    if (next) {
+      next.run();
+    } else {
+      state.active--;
+    }
+  }
+
+  _recordResolverFailure(resolverName, state, options) {
+    state.failures++;
+    if (options.failureThreshold > 0 && state.failures >= options.failureThreshold) {
+      state.openUntil = Date.now() + options.resetTimeout;
+      this._log('error', `${resolverName} circuit opened`, {
+        resolverName,
+        failures: state.failures,
+        resetTimeout: options.resetTimeout
+      });
+      // Calls still queued for a slot would be skipped once they get one; skip them now
+      for (const waiting of state.waiting.splice(0)) {
+        waiting.cancel(new Error('circuit open, call skipped'));
+      }
+    }
+  }
+
+  /**
+   * Turn a pending resolver result into resolved props, or error metadata_lines if it failed.
+   * Successful results go into the cross-build cache unless definitions or resolvers changed meanwhile.
+   */
+  async _settleResolverResult(resolverName, args, pendingResult) {
+    const definitionsVersion = this.definitionsVersion;
     try {
-      const result = await resolver(...args);
-      if (result === null || result === undefined) {
-        return { resolvedProps: {}, errorMetadataLines: [] };
+      const resolvedProps = (await pendingResult) ?? {};
+      if (this.config.resolverCacheTtl > 0 && definitionsVersion === this.definitionsVersion) {
+        this.resolverCache.set(this._getResolverCacheKey(resolverName, args), {
+          resolvedProps,
+          expiresAt: Date.now() + this.config.resolverCacheTtl
+        });
       }
-      return { resolvedProps: result, errorMetadataLines: [] };
+      return { resolvedProps, errorMetadataLines: [] };
     } catch (error) {
       this._log('error', `${resolverName} failed`, { resolverName, args, error });
-      return {
-        resolvedProps: {},
-        errorMetadataLines: this._createResolverErrorMetadataLines(resolverName, error)
-      };
+      const errorMetadataLines = this._createResolverErrorMetadataLines(resolverName, error);
+      for (const line of errorMetadataLines) {
+        this.resolverFailures.set(line, { resolverName, args, error });
+      }
+      return { resolvedProps: {}, errorMetadataLines };
     }
   }
 
@@ -114,63 +455,468 @@ class TreeBuilder {
   }
 
   defineFunction(name, children = [], extraProps = {}) {
-    const normalizedName = this._normalizeName(name);
-    // Store with displayName if not already provided
-    const propsWithDisplayName = extraProps.displayName ? extraProps : { displayName: name, ...extraProps };
-    this.functionDefs.set(normalizedName, { children, ...propsWithDisplayName });
+    this._changeFunctionDefs([name], () => {
+      const normalizedName = this._normalizeName(name);
+      // Store with displayName if not already provided
+      const propsWithDisplayName = extraProps.displayName ? extraProps : { displayName: name, ...extraProps };
+      this.functionDefs.set(normalizedName, { children, ...propsWithDisplayName });
+    });
     return this;
   }
 
   defineFunctions(defs) {
-    for (const [name, def] of Object.entries(defs)) {
-      const { children, ...props } = def;
-      const normalizedName = this._normalizeName(name);
-      // Store with displayName if not already provided
-      const propsWithDisplayName = props.displayName ? props : { displayName: name, ...props };
-      this.functionDefs.set(normalizedName, {
-        children: children || [],
-        ...propsWithDisplayName
-      });
+    this._changeFunctionDefs(Object.keys(defs), () => {
+      for (const [name, def] of Object.entries(defs)) {
+        const { children, ...props } = def;
+        const normalizedName = this._normalizeName(name);
+        // Store with displayName if not already provided
+        const propsWithDisplayName = props.displayName ? props : { displayName: name, ...props };
+        this.functionDefs.set(normalizedName, {
+          children: children || [],
+          ...propsWithDisplayName
+        });
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Get a function definition by name (case-insensitive), or null when it is not defined.
+   * The definition is returned as stored: { children, displayName, ...props }.
+   */
+  getFunction(name) {
+    return this.functionDefs.get(this._normalizeName(name)) || null;
+  }
+
+  /**
+   * Replace a single function definition ({ children, ...props }, same shape as defineFunctions).
+   * With `incremental` enabled, only the cached subtrees of this function and its callers are invalidated.
+   */
+  updateFunction(name, def = {}) {
+    return this.defineFunctions({ [name]: def });
+  }
+
+  /**
+   * Remove a function definition. Refs to it become unresolved nodes on the next build.
+   */
+  removeFunction(name) {
+    this._changeFunctionDefs([name], () => {
+      this.functionDefs.delete(this._normalizeName(name));
+    });
+    return this;
+  }
+
+  /**
+   * Apply a change to the function registry, invalidating the cache entries it affects.
+   * Callers are collected both before and after the change, so refs, topic subscriptions
+   * and definitions that appear or disappear are all covered.
+   */
+  _changeFunctionDefs(names, applyChange) {
+    this.definitionsVersion++;
+    if (!this.config.incremental || this.resolvedFunctions.size === 0) {
+      applyChange();
+      this.topicSubscriberIndex = null;
+      return;
+    }
+
+    const affected = this._findAffectedFunctions(names);
+    const displayNamesBefore = names.map(name => this._getDisplayName(name));
+    applyChange();
+    this.topicSubscriberIndex = null;
+    for (const name of this._findAffectedFunctions(names)) {
+      affected.add(name);
+    }
+    // Dupe-stoppers below a function record its display name in their _path, and cached
+    // subtrees of the functions it reaches that reach a cycle can hold such dupe-stoppers
+    const renamed = names
+      .filter((name, i) => this._getDisplayName(name) !== displayNamesBefore[i])
+      .map(name => this._normalizeName(name));
+    if (renamed.length > 0) {
+      const graph = this._buildFunctionGraph();
+      const cycleMembers = this._findReachableCycleMembers(graph);
+      for (const name of this._findReachableFunctions(renamed, graph)) {
+        if (cycleMembers.get(name).size > 0) affected.add(name);
+      }
+    }
+    this._invalidateCachedFunctions(affected);
+  }
+
+  /**
+   * Collect the given functions and every function that can reach them
+   * (sync, async, inline queue and topic edges), as normalized names.
+   */
+  _findAffectedFunctions(names) {
+    const callerIndex = this._buildCallerIndex();
+    const affected = new Set(names.map(name => this._normalizeName(name)));
+    const queue = [...affected];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const edge of callerIndex.get(current) || []) {
+        if (!edge.caller || affected.has(edge.caller)) continue;
+        affected.add(edge.caller);
+        queue.push(edge.caller);
+      }
+    }
+    return affected;
+  }
+
+  _invalidateCachedFunctions(normalizedNames) {
+    let invalidated = 0;
+    for (const cacheKey of [...this.resolvedFunctions.keys()]) {
+      if (normalizedNames.has(cacheKey.slice(0, cacheKey.indexOf('::')))) {
+        this.resolvedFunctions.delete(cacheKey);
+        invalidated++;
+      }
     }
+    this._log('debug', 'Invalidated cached function subtrees', {
+      affectedFunctions: normalizedNames.size,
+      invalidatedContexts: invalidated
+    });
+  }
+
+  /**
+   * Declare functions that consume a topic.
+   * Subscribers can also be declared on a function definition via `subscribesTo`.
+   */
+  defineTopicSubscribers(topicName, functionNames = []) {
+    // New subscribers gain the topic's publishers as callers, so they are invalidated with them
+    this._changeFunctionDefs(functionNames, () => {
+      const normalizedTopic = this._normalizeName(topicName);
+      const existing = this.topicSubscribers.get(normalizedTopic) || [];
+      this.topicSubscribers.set(normalizedTopic, [...existing, ...functionNames]);
+    });
     return this;
   }
 
+  /**
+   * Declare subscribers for several topics, e.g. from a subscriptions file:
+   * { "topicName": ["subscriberFunc", ...] }
+   */
+  defineTopicSubscriptions(subscriptions) {
+    for (const [topicName, functionNames] of Object.entries(subscriptions)) {
+      this.defineTopicSubscribers(topicName, functionNames);
+    }
+    return this;
+  }
+
+  /**
+   * Get the functions subscribed to a topic: registered subscribers first,
+   * then function definitions listing the topic in `subscribesTo`.
+   * Case-insensitive for both topic and function names; duplicates are dropped.
+   * Subscribers from the pool are returned by pool key, so they resolve as refs
+   * whatever their displayName.
+   */
+  _getTopicSubscribers(topicName) {
+    if (!topicName) return [];
+    if (!this.topicSubscriberIndex) {
+      this.topicSubscriberIndex = this._buildTopicSubscriberIndex();
+    }
+    return this.topicSubscriberIndex.get(this._normalizeName(topicName)) || [];
+  }
+
+  /**
+   * Map every topic to its subscribers, once per definition change instead of
+   * scanning the pool on each lookup.
+   */
+  _buildTopicSubscriberIndex() {
+    const subscribersByTopic = new Map();
+    for (const [normalizedTopic, functionNames] of this.topicSubscribers) {
+      subscribersByTopic.set(normalizedTopic, [...functionNames]);
+    }
+    for (const [name, def] of this.functionDefs) {
+      for (const topic of def.subscribesTo || []) {
+        const normalizedTopic = this._normalizeName(topic);
+        if (!subscribersByTopic.has(normalizedTopic)) subscribersByTopic.set(normalizedTopic, []);
+        subscribersByTopic.get(normalizedTopic).push(name);
+      }
+    }
+
+    for (const [normalizedTopic, subscribers] of subscribersByTopic) {
+      const seen = new Set();
+      subscribersByTopic.set(normalizedTopic, subscribers.filter(name => {
+        const normalizedName = this._normalizeName(name);
+        if (seen.has(normalizedName)) return false;
+        seen.add(normalizedName);
+        return true;
+      }));
+    }
+    return subscribersByTopic;
+  }
+
   async build(rootStructure) {
+    if (!STRICT_CATEGORIES.some(category => this.config.strict[category])) {
+      return this._build(rootStructure, this._createBuildContext());
+    }
+
+    const { tree, diagnostics } = await this.buildWithDiagnostics(rootStructure);
+    this._assertStrict(rootStructure, tree, diagnostics);
+    return tree;
+  }
+
+  /**
+   * Reject a strict build with a single TreeBuildError listing every violation
+   * in the enabled categories.
+   */
+  _assertStrict(rootStructure, tree, diagnostics) {
+    const violations = [
+      ...(this.config.strict.unresolved ? diagnostics.unresolved.map(entry => ({ category: 'unresolved', ...entry })) : []),
+      ...(this.config.strict.cycles ? diagnostics.cycles.map(entry => ({ category: 'cycle', ...entry })) : []),
+      ...(this.config.strict.resolverErrors ? diagnostics.resolverErrors.map(entry => ({ category: 'resolverError', ...entry })) : [])
+    ];
+    if (violations.length === 0) return;
+
+    const describe = (violation) => {
+      const location = violation.path.join(' > ');
+      switch (violation.category) {
+        case 'unresolved':
+          return `unresolved reference to ${violation.ref} at ${location}`;
+        case 'cycle':
+          return `loop detected (${violation.cyclePath.join(' -> ')}) at ${location}`;
+        default:
+          return `${violation.resolverName} failed (${violation.message}) at ${location}`;
+      }
+    };
+    const message = `Strict build of ${rootStructure?.name} failed with ${violations.length} violation(s):\n`
+      + violations.map(violation => `  - ${describe(violation)}`).join('\n');
+
+    this._log('error', 'Strict build failed', { rootName: rootStructure?.name, violationCount: violations.length });
+    throw new TreeBuildError(message, { violations, diagnostics, tree });
+  }
+
+  /**
+   * Build a tree and report everything that made it incomplete.
+   * @returns {Promise<{ tree: object, diagnostics: object }>} diagnostics:
+   *   - unresolved: [{ ref, referencedBy, path }]
+   *   - cycles: [{ cycleAt, cyclePath, path }]
+   *   - resolverErrors: [{ resolverName, args, message, path }]
+   *   - filtered: [{ type, name, parent }] ui-service-methods/ui-services omitted by the filter options
+   */
+  async buildWithDiagnostics(rootStructure) {
+    const filteredByNode = new Map();
+    const tree = await this._build(rootStructure, this._createBuildContext({ filteredByNode }));
+
+    // Siblings build concurrently, so report filtered nodes in config order
+    const filtered = [];
+    const collectFiltered = (node) => {
+      filtered.push(...(filteredByNode.get(node) || []));
+      node.children?.forEach(collectFiltered);
+    };
+    collectFiltered(rootStructure);
+
+    return { tree, diagnostics: this._collectDiagnostics(tree, filtered) };
+  }
+
+  /**
+   * Create the state of a single build. Every build resolves into its own cache, so
+   * overlapping builds on one builder cannot clear or overwrite each other's subtrees.
+   * In incremental mode the builder-wide cache is used instead: it is only added to
+   * during a build, and stale entries are dropped by definition changes.
+   * In-flight resolutions are always per build, so a build never waits on a subtree
+   * that another build is resolving from older definitions.
+   * @param {object} options
+   * @param {Map} options.filteredByNode - Records nodes omitted by the filter options, keyed by config node
+   */
+  _createBuildContext({ filteredByNode = null } = {}) {
+    const { incremental } = this.config;
+    return {
+      resolvedFunctions: incremental ? this.resolvedFunctions : new Map(),
+      buildOnlyFunctions: new Map(), // subtrees with resolver output, kept for this build only in incremental mode
+      resolverDependentFunctions: new Set(), // functions whose subtrees embed resolver output (see _findResolverDependentFunctions)
+      inFlightResolutions: new Map(), // promises of subtrees being resolved, shared by branches that need the same function and visited context
+      definitionsVersion: this.definitionsVersion,
+      reachableCycleMembers: new Map(), // function -> members of the cycles it reaches, the only ancestors its subtree depends on (see _getFunctionCacheKey)
+      structureNames: new Set(), // tracked function nodes of the app structure, which can end up in a visited set
+      resolverResults: new Map(), // resolver cache key -> promise of { resolvedProps, errorMetadataLines }, one resolver call per distinct arguments
+      filteredByNode
+    };
+  }
+
+  async _build(rootStructure, context) {
     this._log('debug', 'Starting tree build', {
       rootName: rootStructure?.name,
       definedFunctionCount: this.functionDefs.size
     });
-    // Clear cache for fresh build
-    this.resolvedFunctions.clear();
-    this.inFlightResolutions.clear();
-    // First pass: resolve all functions (builds cache)
-    await this._preResolveAllFunctions();
+    const graph = this._buildFunctionGraph();
+    context.reachableCycleMembers = this._findReachableCycleMembers(graph);
+    context.structureNames = this._collectTrackedStructureNames(rootStructure);
+    context.resolverDependentFunctions = this._findResolverDependentFunctions(graph);
+    this._prefetchResolverResults(() => this._collectResolverRequests(rootStructure, graph), context);
+    // First pass: resolve the functions the root can reach (builds cache, skipping entries that are still valid)
+    await this._preResolveReachableFunctions(rootStructure, graph, context);
     // Second pass: build tree using cached functions
-    const tree = await this._buildNode(rootStructure);
+    const tree = await this._buildNode(rootStructure, new Set(), [], context);
     this._log('debug', 'Completed tree build', {
-      resolvedFunctionContexts: this.resolvedFunctions.size
+      resolvedFunctionContexts: context.resolvedFunctions.size
     });
-    return tree;
+    return this.config.nodeIds ? this._assignNodeIds(tree) : tree;
   }
 
   /**
-   * Pre-resolve all defined functions to populate cache.
+   * Copy a built tree, stamping every node with `path` (node names from the root) and an `id`
+   * made of the path's segments: names escaped like JSON Pointer tokens, timer/topic/queue
+   * segments prefixed with their type, and a "#n" suffix on repeated siblings, e.g.
+   * "/my-app/WT9000J/resolvePend/timer:processWTPayments@RPWTWR.PFQ/processWTPayments".
+   * Cached subtrees are shared between the places a function is called; the copy gives
+   * each place its own nodes, since their ids differ.
+   */
+  _assignNodeIds(node, parentPath = [], parentId = '', segment = this._getNodeIdSegment(node)) {
+    if (!node) return node;
+    const { children, ...props } = node;
+    const path = [...parentPath, node.name];
+    const id = `${parentId}/${segment}`;
+    const stamped = { ...props, id, path };
+    if (children) {
+      const counts = new Map();
+      stamped.children = children.map(child => {
+        const childSegment = this._getNodeIdSegment(child);
+        const count = (counts.get(childSegment) || 0) + 1;
+        counts.set(childSegment, count);
+        return this._assignNodeIds(child, path, id, count > 1 ? `${childSegment}#${count}` : childSegment);
+      });
+    }
+    return stamped;
+  }
+
+  /**
+   * Id segment of a node. Timer and topic nodes use the segment recorded from their config
+   * (see _setNodeIdSegment), so their ids do not follow the resolved queue name.
+   */
+  _getNodeIdSegment(node) {
+    const name = String(this.queueNodeIdSegments.get(node) ?? node?.name).replace(/~/g, '~0').replace(/\//g, '~1');
+    return QUEUE_NODE_TYPES.includes(node?.type) ? `${node.type}:${name}` : name;
+  }
+
+  /**
+   * Pre-resolve the functions reachable from the root structure to populate cache.
    * This ensures consistent subtrees everywhere.
+   * Functions are resolved in definition order, as if the whole pool were pre-resolved:
+   * resolving a function only creates cache entries whose visited context contains it,
+   * so skipping unreachable functions leaves every entry the build can use unchanged,
+   * while sparing their resolution and resolver calls.
    */
-  async _preResolveAllFunctions() {
+  async _preResolveReachableFunctions(rootStructure, graph, context) {
+    const reachable = this._findReachableFromStructure(rootStructure, graph);
+    this._log('debug', 'Pre-resolving reachable functions', {
+      reachableFunctionCount: reachable.size,
+      definedFunctionCount: this.functionDefs.size
+    });
+
     const emptyVisited = new Set();
     for (const name of this.functionDefs.keys()) {
-      const cacheKey = this._getFunctionCacheKey(name, emptyVisited);
-      if (!this.resolvedFunctions.has(cacheKey)) {
-        await this._resolveAndCacheFunction(name, emptyVisited, []);
+      if (!reachable.has(name)) continue;
+      const cacheKey = this._getFunctionCacheKey(name, emptyVisited, context);
+      if (!this._getCachedFunction(context, cacheKey)) {
+        await this._resolveAndCacheFunction(name, emptyVisited, [], context);
+      }
+    }
+  }
+
+  /**
+   * Store a resolved subtree in the build's cache. Subtrees resolved from definitions
+   * that changed while they were being resolved are returned but not kept in the
+   * builder-wide incremental cache. Neither are subtrees that embed resolver output:
+   * they are kept for the current build only, so every build asks the resolvers again
+   * (subject to `resolverCacheTtl`) and a failed or timed-out call is not repeated forever.
+   */
+  _cacheResolvedFunction(context, cacheKey, node) {
+    if (context.resolvedFunctions === this.resolvedFunctions) {
+      if (context.resolverDependentFunctions.has(cacheKey.slice(0, cacheKey.indexOf('::')))) {
+        context.buildOnlyFunctions.set(cacheKey, node);
+        return;
+      }
+      if (context.definitionsVersion !== this.definitionsVersion) return;
+    }
+    context.resolvedFunctions.set(cacheKey, node);
+  }
+
+  _getCachedFunction(context, cacheKey) {
+    return context.resolvedFunctions.get(cacheKey) ?? context.buildOnlyFunctions.get(cacheKey);
+  }
+
+  /**
+   * Normalized names of the functions whose subtrees embed resolver output: those with
+   * an async ref or topic publish whose resolver is set, and every function reaching one.
+   */
+  _findResolverDependentFunctions(graph) {
+    const resolverSet = { asyncResolver: !!this.asyncResolver, topicPublishResolver: !!this.topicPublishResolver };
+    if (!resolverSet.asyncResolver && !resolverSet.topicPublishResolver) return new Set();
+
+    const callersByFunction = new Map();
+    for (const [from, edges] of graph) {
+      for (const edge of edges) {
+        if (!callersByFunction.has(edge.to)) callersByFunction.set(edge.to, []);
+        callersByFunction.get(edge.to).push(from);
       }
     }
+
+    const dependent = new Set();
+    for (const [name, def] of this.functionDefs) {
+      const requests = this._collectNodeResolverRequests(def.children, false);
+      if (requests.some(request => resolverSet[request.resolverName])) dependent.add(name);
+    }
+    const queue = [...dependent];
+    while (queue.length > 0) {
+      for (const caller of callersByFunction.get(queue.shift()) || []) {
+        if (dependent.has(caller)) continue;
+        dependent.add(caller);
+        queue.push(caller);
+      }
+    }
+    return dependent;
   }
 
-  _getFunctionCacheKey(name, visited = new Set()) {
+  /**
+   * Cache key of a function's subtree for a visited context.
+   * A subtree depends on its ancestors only through the dupe-stoppers of the ancestors it
+   * reaches again. Every pool ancestor reaches the function, so one it can reach back shares a
+   * cycle with it: the key only needs the visited members of the cycles the function reaches,
+   * plus any tracked structure nodes among the ancestors. A function that reaches no cycle gets
+   * one entry for every visited context, as does one whose ancestors are all outside its cycles.
+   * Without a build context (caller trees), every function is keyed on the full visited set.
+   */
+  _getFunctionCacheKey(name, visited = new Set(), context = null) {
     const normalizedName = this._normalizeName(name);
-    const visitedKey = [...visited].sort().join('|');
-    return `${normalizedName}::${visitedKey}`;
+    const cycleMembers = context?.reachableCycleMembers.get(normalizedName);
+    const relevant = cycleMembers
+      ? [...visited].filter(visitedName => cycleMembers.has(visitedName) || context.structureNames.has(visitedName))
+      : [...visited];
+    return `${normalizedName}::${relevant.sort().join('|')}`;
+  }
+
+  _createUnresolvedNode(name) {
+    this._log('warn', 'Unresolved function reference', { ref: name });
+    return {
+      name: `dependency to ${name} could not be resolved so the tree may be incomplete`,
+      type: this.config.unresolvedSeverity,
+      _unresolvedRef: name
+    };
+  }
+
+  /**
+   * Create the output node for a function definition, without children.
+   */
+  _createFunctionNode(name, def) {
+    // Use displayName from definition for output
+    const { children, app, queueName, displayName, usesLegacyGatewayHttpClient, subscribesTo, ...props } = def;
+
+    // Transform 'app' field into a metadata_line entry
+    // Note: queueName and subscribesTo are extracted but not included in output - they're used for refs to this function
+    let finalProps = { ...props };
+    if (app) {
+      const appMetadataLine = { text: app, clickable: false };
+      finalProps.metadata_lines = [
+        appMetadataLine,
+        ...(props.metadata_lines || [])
+      ];
+    }
+
+    // Create node (use displayName for the output name)
+    return {
+      name: displayName || name,
+      type: 'function',
+      ...finalProps
+    };
   }
 
   _createCycleStopper(displayName, path) {
@@ -187,10 +933,10 @@ class TreeBuilder {
    * Cycle detection is path-based during this phase.
    * Uses normalized (lowercase) names for lookups and cache keys.
    */
-  async _resolveAndCacheFunction(name, visited, path) {
+  async _resolveAndCacheFunction(name, visited, path, context) {
     // Normalize for case-insensitive lookup
     const normalizedName = this._normalizeName(name);
-    const cacheKey = this._getFunctionCacheKey(normalizedName, visited);
+    const cacheKey = this._getFunctionCacheKey(normalizedName, visited, context);
 
     // Cycle detection (use normalized name)
     if (visited.has(normalizedName)) {
@@ -199,158 +945,297 @@ class TreeBuilder {
     }
 
     // Already resolved for this path context?
-    if (this.resolvedFunctions.has(cacheKey)) {
-      return this.resolvedFunctions.get(cacheKey);
+    const cached = this._getCachedFunction(context, cacheKey);
+    if (cached) {
+      return cached;
     }
 
     // If another branch is currently resolving the same path context, await it.
-    if (this.inFlightResolutions.has(cacheKey)) {
-      return await this.inFlightResolutions.get(cacheKey);
+    if (context.inFlightResolutions.has(cacheKey)) {
+      return await context.inFlightResolutions.get(cacheKey);
     }
 
     const def = this.functionDefs.get(normalizedName);
     if (!def) {
       // Undefined function becomes error/warning node
-      this._log('warn', 'Unresolved function reference', { ref: name });
-      const unresolvedNode = {
-        name: `dependency to ${name} could not be resolved so the tree may be incomplete`,
-        type: this.config.unresolvedSeverity,
-        _unresolvedRef: name
-      };
-      this.resolvedFunctions.set(cacheKey, unresolvedNode);
+      const unresolvedNode = this._createUnresolvedNode(name);
+      this._cacheResolvedFunction(context, cacheKey, unresolvedNode);
       return unresolvedNode;
     }
 
     const resolvePromise = (async () => {
-      // Use displayName from definition for output
-      const { children, app, queueName, displayName, usesLegacyGatewayHttpClient, ...props } = def;
-      const outputName = displayName || name;
+      const { children, app, usesLegacyGatewayHttpClient } = def;
+      const resolved = this._createFunctionNode(name, def);
 
       const newVisited = new Set(visited);
       newVisited.add(normalizedName);
-      const newPath = [...path, outputName];
-
-      // Transform 'app' field into a metadata_line entry
-      // Note: queueName is extracted but not included in output - it's used for async refs to this function
-      let finalProps = { ...props };
-      if (app) {
-        const appMetadataLine = { text: app, clickable: false };
-        finalProps.metadata_lines = [
-          appMetadataLine,
-          ...(props.metadata_lines || [])
-        ];
-      }
-
-      // Create node (use displayName for the output name)
-      const resolved = {
-        name: outputName,
-        type: 'function',
-        ...finalProps
-      };
+      const newPath = [...path, resolved.name];
+
+      // Resolve children
+      if (children && children.length > 0) {
+        resolved.children = await Promise.all(
+          children.map(child => this._resolveChild(child, newVisited, newPath, context))
+        );
+      }
+
+      // Append "SMART Call Over HTTPS" leaf if usesLegacyGatewayHttpClient is true
+      if (usesLegacyGatewayHttpClient === true) {
+        if (!resolved.children) resolved.children = [];
+        resolved.children.push({ name: 'SMART Call Over HTTPS', type: 'smart' });
+      }
+
+      // Apply "Logs" metadata_line if this node type is configured for it
+      const finalResolved = this._applyLogMetadataLine(resolved, app ? { app } : {});
+      this._cacheResolvedFunction(context, cacheKey, finalResolved);
+      return finalResolved;
+    })();
+
+    context.inFlightResolutions.set(cacheKey, resolvePromise);
+    try {
+      return await resolvePromise;
+    } finally {
+      context.inFlightResolutions.delete(cacheKey);
+    }
+  }
+
+  /**
+   * Resolve the queue for an async reference.
+   * Priority: resolver > ref's queueName > function's queueName > default (use displayName for default)
+   */
+  async _resolveAsyncQueue(ref, queueName, context = null) {
+    // Look up the function definition's queueName (default queue for async refs to this function)
+    // Use normalized name for case-insensitive lookup
+    const funcDef = this.functionDefs.get(this._normalizeName(ref));
+    const funcQueueName = funcDef?.queueName;
+    const displayName = this._getDisplayName(ref);
+
+    const { resolvedProps, errorMetadataLines } = await this._resolveExternalProps(
+      this.asyncResolver,
+      'asyncResolver',
+      this._getAsyncResolverArgs(ref, queueName),
+      context
+    );
+
+    const finalQueueName = resolvedProps.queueName || queueName || funcQueueName || `${displayName}_queue`;
+    const idSegment = this._getQueueIdSegment(displayName, queueName || funcQueueName);
+    return { finalQueueName, idSegment, resolvedProps, errorMetadataLines };
+  }
+
+  /**
+   * Resolve the queue for a topic publish reference.
+   * Priority: resolver > ref's queueName > `{topicName}_queue` > 'unknown topic'
+   */
+  async _resolveTopicQueue(topicName, queueName, context = null) {
+    const { resolvedProps, errorMetadataLines } = await this._resolveExternalProps(
+      this.topicPublishResolver,
+      'topicPublishResolver',
+      this._getTopicResolverArgs(topicName, queueName),
+      context
+    );
+
+    const finalQueueName = resolvedProps.queueName
+      || queueName
+      || (topicName ? `${topicName}_queue` : 'unknown topic');
+    const idSegment = this._getQueueIdSegment(topicName || 'unknown topic', queueName);
+    return { finalQueueName, idSegment, resolvedProps, errorMetadataLines };
+  }
+
+  /**
+   * Id segment of a timer or topic node: the ref's display name or the topic name, plus the
+   * configured queueName if any, e.g. "worker@WORK.Q". Built from config only, so the id stays
+   * the same when a resolver renames the queue or a failed call falls back to the config name.
+   */
+  _getQueueIdSegment(source, queueName) {
+    return queueName ? `${source}@${queueName}` : source;
+  }
+
+  /**
+   * Record the id segment of a built timer or topic node
+   * @returns {object} The node
+   */
+  _setNodeIdSegment(node, idSegment) {
+    this.queueNodeIdSegments.set(node, idSegment);
+    return node;
+  }
+
+  /**
+   * asyncResolver arguments: the ref and its effective queueName (ref's queueName > function's queueName)
+   */
+  _getAsyncResolverArgs(ref, queueName) {
+    const funcQueueName = this.functionDefs.get(this._normalizeName(ref))?.queueName;
+    return [ref, queueName || funcQueueName];
+  }
+
+  /**
+   * topicPublishResolver arguments: the topic name ('unknown topic' if missing) and the ref's queueName
+   */
+  _getTopicResolverArgs(topicName, queueName) {
+    return [topicName || 'unknown topic', queueName];
+  }
+
+  /**
+   * The resolver request an async ref or topic publish node makes, or null for other nodes.
+   */
+  _getResolverRequest(node) {
+    if (node.ref && node.async) {
+      return { resolverName: 'asyncResolver', args: this._getAsyncResolverArgs(node.ref, node.queueName) };
+    }
+    if (node.topicPublish) {
+      return { resolverName: 'topicPublishResolver', args: this._getTopicResolverArgs(node.topicName, node.queueName) };
+    }
+    return null;
+  }
+
+  /**
+   * Send the resolver requests a build will make to the resolvers that have resolveMany(),
+   * in one call per resolver. The pending results seed the build's memo, so nodes wait
+   * on the batch instead of calling the resolver one by one. Requests are collected
+   * only when a batch resolver is set.
+   * @param {function} collectRequests - () => [{ resolverName, args }]
+   * @param {object} context - Build context
+   */
+  _prefetchResolverResults(collectRequests, context) {
+    const batchResolvers = Object.entries({
+      asyncResolver: this.asyncResolver,
+      topicPublishResolver: this.topicPublishResolver
+    }).filter(([, resolver]) => typeof resolver?.resolveMany === 'function');
+    if (batchResolvers.length === 0) return;
+
+    const requests = collectRequests();
+    for (const [resolverName, resolver] of batchResolvers) {
+      const pending = new Map(); // cache key -> args
+      for (const request of requests) {
+        if (request.resolverName !== resolverName) continue;
+        const cacheKey = this._getResolverCacheKey(resolverName, request.args);
+        if (pending.has(cacheKey) || context.resolverResults.has(cacheKey)) continue;
+        const cached = this._getCachedResolverResult(cacheKey);
+        if (cached) {
+          context.resolverResults.set(cacheKey, cached);
+        } else {
+          pending.set(cacheKey, request.args);
+        }
+      }
+      if (pending.size === 0) continue;
+
+      const argsList = [...pending.values()];
+      const batch = this._callWithResolverOptions(resolverName, () => this._callResolveMany(resolver, argsList));
+      [...pending.keys()].forEach((cacheKey, i) => {
+        const result = batch.then(results => {
+          if (results[i] instanceof Error) throw results[i];
+          return results[i];
+        });
+        context.resolverResults.set(cacheKey, this._settleResolverResult(resolverName, argsList[i], result));
+      });
+    }
+  }
+
+  /**
+   * Resolver requests of a forward build: the async refs and topic publishes in the app
+   * structure and in the functions it reaches, inline queues included.
+   */
+  _collectResolverRequests(rootStructure, graph) {
+    const requests = rootStructure ? this._collectNodeResolverRequests([rootStructure], true) : [];
+    const reachable = this._findReachableFromStructure(rootStructure, graph);
+    for (const [name, def] of this.functionDefs) {
+      if (reachable.has(name)) requests.push(...this._collectNodeResolverRequests(def.children, false));
+    }
+    return requests;
+  }
 
-      // Resolve children
-      if (children && children.length > 0) {
-        resolved.children = await Promise.all(
-          children.map(child => this._resolveChild(child, newVisited, newPath))
-        );
+  /**
+   * Resolver requests of a children array, descending into inline queues, and into
+   * every other node when collecting from the app structure.
+   */
+  _collectNodeResolverRequests(nodes = [], inStructure, requests = []) {
+    for (const node of nodes) {
+      const request = this._getResolverRequest(node);
+      if (request) {
+        requests.push(request);
+      } else if (!node.ref && (inStructure || QUEUE_NODE_TYPES.includes(node.type))) {
+        this._collectNodeResolverRequests(node.children, inStructure, requests);
       }
+    }
+    return requests;
+  }
 
-      // Append "SMART Call Over HTTPS" leaf if usesLegacyGatewayHttpClient is true
-      if (usesLegacyGatewayHttpClient === true) {
-        if (!resolved.children) resolved.children = [];
-        resolved.children.push({ name: 'SMART Call Over HTTPS', type: 'smart' });
+  /**
+   * Resolver requests of a caller tree: the async refs and topic publishes crossed by
+   * the edges leading to the function, directly or transitively.
+   */
+  _collectCallerResolverRequests(name, callerIndex) {
+    const requests = [];
+    const seen = new Set([this._normalizeName(name)]);
+    const queue = [...seen];
+    while (queue.length > 0) {
+      for (const edge of callerIndex.get(queue.shift()) || []) {
+        for (const wrapper of edge.wrappers) {
+          const request = this._getResolverRequest(wrapper);
+          if (request) requests.push(request);
+        }
+        if (edge.caller && !seen.has(edge.caller)) {
+          seen.add(edge.caller);
+          queue.push(edge.caller);
+        }
       }
-
-      // Apply "Logs" metadata_line if this node type is configured for it
-      const finalResolved = this._applyLogMetadataLine(resolved, app ? { app } : {});
-      this.resolvedFunctions.set(cacheKey, finalResolved);
-      return finalResolved;
-    })();
-
-    this.inFlightResolutions.set(cacheKey, resolvePromise);
-    try {
-      return await resolvePromise;
-    } finally {
-      this.inFlightResolutions.delete(cacheKey);
     }
+    return requests;
   }
 
   /**
    * Resolve a child node during pre-resolution phase.
    */
-  async _resolveChild(child, visited, path) {
+  async _resolveChild(child, visited, path, context) {
     // Sync reference
     if (child.ref && !child.async && !child.topicPublish) {
-      return this._resolveAndCacheFunction(child.ref, visited, path);
+      return this._resolveAndCacheFunction(child.ref, visited, path, context);
     }
 
     // Async reference = queue wrapper
     if (child.ref && child.async) {
       const { ref, async: _, queueName, ...existingProps } = child;
-
-      // Look up the function definition's queueName (default queue for async refs to this function)
-      // Use normalized name for case-insensitive lookup
-      const normalizedRef = this._normalizeName(ref);
-      const funcDef = this.functionDefs.get(normalizedRef);
-      const funcQueueName = funcDef?.queueName;
-      const displayName = this._getDisplayName(ref);
-
-      // Pass the effective queueName to resolver: ref's queueName > function's queueName
-      const effectiveQueueName = queueName || funcQueueName;
-      const { resolvedProps, errorMetadataLines } = await this._resolveExternalProps(
-        this.asyncResolver,
-        'asyncResolver',
-        [ref, effectiveQueueName]
-      );
-
-      // Priority: resolver > ref's queueName > function's queueName > default (use displayName for default)
-      const finalQueueName = resolvedProps.queueName || queueName || funcQueueName || `${displayName}_queue`;
+      const { finalQueueName, idSegment, resolvedProps, errorMetadataLines } = await this._resolveAsyncQueue(ref, queueName, context);
       const metadataLines = this._mergeMetadataLines(
         errorMetadataLines,
         existingProps.metadata_lines,
         resolvedProps.metadata_lines
       );
 
-      return this._applyLogMetadataLine({
+      return this._setNodeIdSegment(this._applyLogMetadataLine({
         name: finalQueueName,
         type: 'timer', //'queue',
         ...existingProps,
         ...resolvedProps,
         queueName: undefined, // clean up, name is already set
         ...(metadataLines ? { metadata_lines: metadataLines } : {}),
-        children: [await this._resolveAndCacheFunction(ref, visited, path)]
-      });
+        children: [await this._resolveAndCacheFunction(ref, visited, path, context)]
+      }), idSegment);
     }
 
     // Topic Publish reference = queue wrapper
     if (child.topicPublish) {
       const { ref, topicName, topicPublish: _, queueName, ...existingProps } = child;
-      const effectiveTopicName = topicName || 'unknown topic';
-      const { resolvedProps, errorMetadataLines } = await this._resolveExternalProps(
-        this.topicPublishResolver,
-        'topicPublishResolver',
-        [effectiveTopicName, queueName]
-      );
-
-      // Merge, resolver props override existing, but existing queueName is fallback
-      const finalQueueName = resolvedProps.queueName
-        || queueName
-        || (topicName ? `${topicName}_queue` : 'unknown topic');
+      const { finalQueueName, idSegment, resolvedProps, errorMetadataLines } = await this._resolveTopicQueue(topicName, queueName, context);
+      const subscribers = this._getTopicSubscribers(topicName);
       const metadataLines = this._mergeMetadataLines(
         errorMetadataLines,
         existingProps.metadata_lines,
         resolvedProps.metadata_lines
       );
 
-      return this._applyLogMetadataLine({
+      return this._setNodeIdSegment(this._applyLogMetadataLine({
         name: finalQueueName,
         type: 'topic', //'queue',
         ...existingProps,
         ...resolvedProps,
         queueName: undefined, // clean up, name is already set
         ...(metadataLines ? { metadata_lines: metadataLines } : {}),
-        //children: [await this._resolveAndCacheFunction(ref, visited, path)]
-      });
+        // Subscribers are resolved like sync refs, so the visited set carries across the publish/subscribe boundary
+        ...(subscribers.length > 0 ? {
+          children: await Promise.all(subscribers.map(subscriber =>
+            this._resolveAndCacheFunction(subscriber, visited, path, context)
+          ))
+        } : {})
+      }), idSegment);
     }
 
     // Inline queue
@@ -358,7 +1243,7 @@ class TreeBuilder {
       const childNodes = child.children || [];
       return this._applyLogMetadataLine({
         ...child,
-        children: await Promise.all(childNodes.map(c => this._resolveChild(c, visited, path)))
+        children: await Promise.all(childNodes.map(c => this._resolveChild(c, visited, path, context)))
       });
     }
 
@@ -369,77 +1254,59 @@ class TreeBuilder {
   /**
    * Build the final tree structure using cached functions.
    * This phase handles app structure, ui-services, ui-service-methods.
+   * When the build context has a `filteredByNode` map, nodes omitted by the filter options
+   * are recorded in it, keyed by the config node they were filtered from.
    */
-  async _buildNode(node, visited = new Set(), path = []) {
+  async _buildNode(node, visited = new Set(), path = [], context = this._createBuildContext()) {
+    const { filteredByNode } = context;
     // Sync reference
     if (node.ref && !node.async && !node.topicPublish) {
-      return await this._getFunctionWithCycleCheck(node.ref, visited, path);
+      return await this._getFunctionWithCycleCheck(node.ref, visited, path, context);
     }
 
     // Async reference = queue wrapper
     if (node.ref && node.async) {
       const { ref, async: _, queueName, ...queueProps } = node;
-
-      // Look up the function definition's queueName (default queue for async refs to this function)
-      // Use normalized name for case-insensitive lookup
-      const normalizedRef = this._normalizeName(ref);
-      const funcDef = this.functionDefs.get(normalizedRef);
-      const funcQueueName = funcDef?.queueName;
-      const displayName = this._getDisplayName(ref);
-
-      // Pass the effective queueName to resolver: ref's queueName > function's queueName
-      const effectiveQueueName = queueName || funcQueueName;
-      const { resolvedProps, errorMetadataLines } = await this._resolveExternalProps(
-        this.asyncResolver,
-        'asyncResolver',
-        [ref, effectiveQueueName]
-      );
-
-      // Priority: resolver > ref's queueName > function's queueName > default (use displayName for default)
-      const finalQueueName = resolvedProps.queueName || queueName || funcQueueName || `${displayName}_queue`;
+      const { finalQueueName, idSegment, resolvedProps, errorMetadataLines } = await this._resolveAsyncQueue(ref, queueName, context);
       const metadataLines = this._mergeMetadataLines(
         errorMetadataLines,
         queueProps.metadata_lines,
         resolvedProps.metadata_lines
       );
 
-      return this._applyLogMetadataLine({
+      return this._setNodeIdSegment(this._applyLogMetadataLine({
         name: finalQueueName,
         type: 'timer',
         ...queueProps,
         ...resolvedProps,
         ...(metadataLines ? { metadata_lines: metadataLines } : {}),
-        children: [await this._getFunctionWithCycleCheck(ref, visited, path)]
-      });
+        children: [await this._getFunctionWithCycleCheck(ref, visited, path, context)]
+      }), idSegment);
     }
 
     // Topic Publish reference = queue wrapper
     if (node.topicPublish) {
       const { ref, topicName, topicPublish: _, queueName, ...queueProps } = node;
-      const effectiveTopicName = topicName || 'unknown topic';
-      const { resolvedProps, errorMetadataLines } = await this._resolveExternalProps(
-        this.topicPublishResolver,
-        'topicPublishResolver',
-        [effectiveTopicName, queueName]
-      );
-
-      const finalQueueName = resolvedProps.queueName
-        || queueName
-        || (topicName ? `${topicName}_queue` : 'unknown topic');
+      const { finalQueueName, idSegment, resolvedProps, errorMetadataLines } = await this._resolveTopicQueue(topicName, queueName, context);
+      const subscribers = this._getTopicSubscribers(topicName);
       const metadataLines = this._mergeMetadataLines(
         errorMetadataLines,
         queueProps.metadata_lines,
         resolvedProps.metadata_lines
       );
 
-      return this._applyLogMetadataLine({
+      return this._setNodeIdSegment(this._applyLogMetadataLine({
         name: finalQueueName,
         type: 'topic',
         ...queueProps,
         ...resolvedProps,
         ...(metadataLines ? { metadata_lines: metadataLines } : {}),
-        //children: [this._getFunctionWithCycleCheck(ref, visited, path)]
-      });
+        ...(subscribers.length > 0 ? {
+          children: await Promise.all(subscribers.map(subscriber =>
+            this._getFunctionWithCycleCheck(subscriber, visited, path, context)
+          ))
+        } : {})
+      }), idSegment);
     }
 
     // Copy node, extracting usesLegacyGatewayHttpClient so it doesn't appear in output
@@ -468,7 +1335,7 @@ class TreeBuilder {
     }
 
     const resolvedChildren = await Promise.all(node.children.map(child =>
-      this._buildNode(child, newVisited, newPath)
+      this._buildNode(child, newVisited, newPath, context)
     ));
     // Filter out null children (nodes that were filtered out)
     result.children = resolvedChildren.filter(child => child !== null);
@@ -478,11 +1345,15 @@ class TreeBuilder {
       result.children.push({ name: 'SMART Call Over HTTPS', type: 'smart' });
     }
 
+    const filtered = [];
+
     // Filter empty ui-service-methods if configured
     if (this.config.filterEmptyUiServiceMethods && node.type === 'ui-services') {
       result.children = result.children.filter(child => {
         if (child.type === 'ui-service-method') {
-          return child.children && child.children.length > 0;
+          const keep = child.children && child.children.length > 0;
+          if (!keep) filtered.push({ type: child.type, name: child.name, parent: node.name });
+          return keep;
         }
         return true;
       });
@@ -491,18 +1362,61 @@ class TreeBuilder {
     // Filter empty ui-services if configured (after filtering methods)
     if (this.config.filterEmptyUiServices && node.type === 'ui-services') {
       if (!result.children || result.children.length === 0) {
+        filtered.push({ type: node.type, name: node.name, parent: null });
+        filteredByNode?.set(node, filtered);
         return null; // Signal to parent to filter this node out
       }
     }
 
+    if (filtered.length > 0) {
+      filteredByNode?.set(node, filtered);
+    }
+
     return this._applyLogMetadataLine(result);
   }
 
+  /**
+   * Walk a built tree for unresolved refs, cycle stoppers and resolver failures.
+   * Shared subtrees are reported once per place they appear, each with its own path.
+   */
+  _collectDiagnostics(tree, filtered = []) {
+    const diagnostics = { unresolved: [], cycles: [], resolverErrors: [], filtered };
+    const queueTypes = ['timer', 'topic', 'queue'];
+
+    const walk = (node, ancestors) => {
+      if (!node) return;
+      const path = [...ancestors.map(ancestor => ancestor.name), node.name];
+
+      if (node._unresolvedRef !== undefined) {
+        const referencer = [...ancestors].reverse().find(ancestor => !queueTypes.includes(ancestor.type));
+        diagnostics.unresolved.push({ ref: node._unresolvedRef, referencedBy: referencer?.name ?? null, path });
+      }
+      if (node.type === 'dupe-stopper') {
+        diagnostics.cycles.push({ cycleAt: node._cycleAt, cyclePath: node._path, path });
+      }
+      for (const line of node.metadata_lines || []) {
+        const failure = this.resolverFailures.get(line);
+        if (failure) {
+          const { resolverName, args, error } = failure;
+          const message = error instanceof Error ? error.message : String(error);
+          diagnostics.resolverErrors.push({ resolverName, args, message, path });
+        }
+      }
+
+      for (const child of node.children || []) {
+        walk(child, [...ancestors, node]);
+      }
+    };
+
+    walk(tree, []);
+    return diagnostics;
+  }
+
   /**
    * Get a function from cache, with cycle check for current path.
    * Uses normalized (lowercase) names for lookups.
    */
-  async _getFunctionWithCycleCheck(name, visited, path) {
+  async _getFunctionWithCycleCheck(name, visited, path, context) {
     // Normalize for case-insensitive lookup
     const normalizedName = this._normalizeName(name);
     const displayName = this._getDisplayName(name);
@@ -511,13 +1425,13 @@ class TreeBuilder {
       return this._createCycleStopper(displayName, path);
     }
 
-    const cacheKey = this._getFunctionCacheKey(normalizedName, visited);
-    const cached = this.resolvedFunctions.get(cacheKey);
+    const cacheKey = this._getFunctionCacheKey(normalizedName, visited, context);
+    const cached = this._getCachedFunction(context, cacheKey);
     if (cached) {
       return cached;
     }
 
-    return await this._resolveAndCacheFunction(name, visited, path);
+    return await this._resolveAndCacheFunction(name, visited, path, context);
   }
 
   /**
@@ -550,6 +1464,624 @@ class TreeBuilder {
     };
   }
 
+  /**
+   * Build an inverted ("who calls this?") tree for a function.
+   * The root is the target function and each node's children are its callers:
+   * functions that ref it (wrapped in timer/queue nodes when the call crosses
+   * an async boundary), up through the ui-service-method, ui-services and app
+   * nodes of the given app configs.
+   * @param {string} name - Function to start from (case-insensitive)
+   * @param {object[]} appConfigs - App structures to search for references
+   */
+  async buildCallers(name, appConfigs = []) {
+    this._log('debug', 'Starting caller tree build', {
+      functionName: name,
+      appCount: appConfigs.length
+    });
+    const callerIndex = this._buildCallerIndex(appConfigs);
+    const resolvedCallers = new Map();
+    const context = this._createBuildContext();
+    this._prefetchResolverResults(() => this._collectCallerResolverRequests(name, callerIndex), context);
+    const tree = await this._buildCallerNode(name, callerIndex, resolvedCallers, new Set(), [], context);
+    this._log('debug', 'Completed caller tree build', {
+      resolvedFunctionContexts: resolvedCallers.size
+    });
+    return this.config.nodeIds ? this._assignNodeIds(tree) : tree;
+  }
+
+  /**
+   * Find which ui-service-methods and top-level refs of each app reach the
+   * given functions, walking the function graph instead of building trees.
+   * Each match carries the shortest call path (entry ref first, target last)
+   * and whether that path crosses an async boundary.
+   * @param {string|string[]} functionNames - Function(s) to analyze (case-insensitive)
+   * @param {object[]} appConfigs - App structures to analyze
+   * @returns {{ targets: string[], apps: object[] }}
+   */
+  analyzeImpact(functionNames, appConfigs = []) {
+    const targets = [].concat(functionNames);
+    const callerIndex = this._buildCallerIndex();
+    const routesByTarget = targets.map(target => this._findRoutesToFunction(target, callerIndex));
+
+    const apps = appConfigs.map(appConfig => {
+      const entries = [];
+      this._collectStructureEdges(appConfig, [], edge => entries.push(edge));
+
+      const matches = new Map();
+      targets.forEach((target, i) => {
+        for (const entry of entries) {
+          const route = this._followRoute(entry, target, routesByTarget[i]);
+          if (!route) continue;
+
+          const container = entry.structure[entry.structure.length - 1];
+          const isMethod = container.type === 'ui-service-method';
+          const match = isMethod
+            ? { name: container.name, uiServices: entry.structure[entry.structure.length - 2]?.name, target, ...route }
+            : { name: route.path[0], target, ...route };
+
+          // Keep only the shortest path per entry point and target
+          const key = isMethod
+            ? `method::${match.uiServices}::${match.name}::${i}`
+            : `ref::${this._normalizeName(entry.ref)}::${i}`;
+          const existing = matches.get(key);
+          if (!existing || route.path.length < existing.match.path.length) {
+            matches.set(key, { isMethod, match });
+          }
+        }
+      });
+
+      const results = [...matches.values()];
+      return {
+        app: appConfig.name,
+        uiServiceMethods: results.filter(r => r.isMethod).map(r => r.match),
+        refs: results.filter(r => !r.isMethod).map(r => r.match)
+      };
+    });
+
+    return { targets, apps };
+  }
+
+  /**
+   * Enumerate every distinct call path from an app's root to a function,
+   * walking the function graph instead of building trees. A path lists the
+   * structure nodes containing the entry ref (app first), then each function
+   * down to the target; no function appears twice in one path.
+   * Function steps record the timer, topic and queue boundaries crossed to reach
+   * them, named as a build without resolvers would name them.
+   * @param {object} appConfig - App structure to start from
+   * @param {string} functionName - Target function (case-insensitive)
+   * @param {object} options
+   * @param {number} options.maxPaths - Stop after this many paths (default: 100)
+   * @param {boolean} options.crossAsync - Follow async refs, topic subscribers and inline queues (default: true)
+   * @returns {{ app: string, target: string, paths: object[], truncated: boolean }}
+   *   paths: [{ steps, crossesAsync }]; steps: { name, type } for structure nodes, then
+   *   { name, type: 'function', via, boundaries: [{ type, name }] } with via 'sync', 'async', 'topic' or 'queue'.
+   *   truncated is true when more than maxPaths paths exist.
+   */
+  findPaths(appConfig, functionName, options = {}) {
+    const { maxPaths = 100, crossAsync = true } = options;
+    const target = this._normalizeName(functionName);
+    const followEdge = (edge) => crossAsync || edge.wrappers.length === 0;
+
+    // Only descend into functions that can still reach the target
+    const callerIndex = this._buildCallerIndex();
+    const canReach = new Set([target]);
+    const queue = [target];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const edge of callerIndex.get(current) || []) {
+        if (!edge.caller || canReach.has(edge.caller) || !followEdge(edge)) continue;
+        canReach.add(edge.caller);
+        queue.push(edge.caller);
+      }
+    }
+
+    const edgesByFunction = new Map();
+    const getEdges = (name) => {
+      if (!edgesByFunction.has(name)) {
+        edgesByFunction.set(name, this._collectRefEdges(this.functionDefs.get(name).children));
+      }
+      return edgesByFunction.get(name);
+    };
+
+    const paths = [];
+    let truncated = false;
+    const visit = (edge, steps, visited) => {
+      const name = this._normalizeName(edge.ref);
+      if (truncated || !followEdge(edge) || !canReach.has(name) || visited.has(name)) return;
+
+      const pathSteps = [...steps, this._createPathStep(edge, name === target ? functionName : edge.ref)];
+      if (name === target) {
+        if (paths.length < maxPaths) {
+          paths.push({ steps: pathSteps, crossesAsync: pathSteps.some(step => step.boundaries?.length > 0) });
+        } else {
+          truncated = true;
+        }
+        return;
+      }
+
+      const pathVisited = new Set(visited).add(name);
+      for (const next of getEdges(name)) {
+        visit(next, pathSteps, pathVisited);
+      }
+    };
+
+    this._collectStructureEdges(appConfig, [], (entry) => {
+      visit(entry, entry.structure.map(node => ({ name: node.name, type: node.type })), new Set());
+    });
+
+    return { app: appConfig?.name, target: this._getDisplayName(functionName), paths, truncated };
+  }
+
+  /**
+   * Describe the function an edge leads to as a findPaths() step, with the
+   * boundaries it crosses (outermost first).
+   */
+  _createPathStep(edge, name) {
+    const boundaries = edge.wrappers.map(wrapper => {
+      if (wrapper.topicPublish) {
+        return {
+          type: 'topic',
+          name: wrapper.queueName || (wrapper.topicName ? `${wrapper.topicName}_queue` : 'unknown topic')
+        };
+      }
+      if (wrapper.ref && wrapper.async) {
+        const funcQueueName = this.functionDefs.get(this._normalizeName(wrapper.ref))?.queueName;
+        return { type: 'timer', name: wrapper.queueName || funcQueueName || `${this._getDisplayName(wrapper.ref)}_queue` };
+      }
+      return { type: wrapper.type, name: wrapper.name };
+    });
+    return { name: this._getDisplayName(name), type: 'function', via: this._getEdgeKind(edge), boundaries };
+  }
+
+  /**
+   * Report every cycle in the function graph once, as a strongly connected
+   * component over sync, async, inline queue and topic edges.
+   * @param {object[]} appConfigs - App structures used to find which apps reach each cycle
+   * @returns {object[]} Cycles: { functions, edges: [{ from, to, kind }], edgeKinds, apps }
+   */
+  analyzeCycles(appConfigs = []) {
+    const graph = this._buildFunctionGraph();
+    const order = new Map([...graph.keys()].map((name, i) => [name, i]));
+
+    const cycles = this._findStronglyConnectedComponents(graph)
+      .filter(component => component.length > 1
+        || graph.get(component[0]).some(edge => edge.to === component[0]))
+      .map(component => component.sort((a, b) => order.get(a) - order.get(b)));
+
+    const reachableByApp = appConfigs.map(appConfig => {
+      const entries = [];
+      this._collectStructureEdges(appConfig, [], edge => entries.push(this._normalizeName(edge.ref)));
+      return { app: appConfig.name, reachable: this._findReachableFunctions(entries, graph) };
+    });
+
+    return cycles.map(members => {
+      const memberSet = new Set(members);
+      const seenEdges = new Set();
+      const edges = [];
+      for (const from of members) {
+        for (const edge of graph.get(from)) {
+          const edgeKey = `${from}|${edge.to}|${edge.kind}`;
+          if (!memberSet.has(edge.to) || seenEdges.has(edgeKey)) continue;
+          seenEdges.add(edgeKey);
+          edges.push({ from: this._getDisplayName(from), to: this._getDisplayName(edge.to), kind: edge.kind });
+        }
+      }
+
+      return {
+        functions: members.map(name => this._getDisplayName(name)),
+        edges,
+        edgeKinds: [...new Set(edges.map(edge => edge.kind))],
+        apps: reachableByApp
+          .filter(({ reachable }) => members.some(name => reachable.has(name)))
+          .map(({ app }) => app)
+      };
+    });
+  }
+
+  /**
+   * Get the raw function graph of the pool, for export and analysis.
+   * @returns {{ functions: object[], edges: object[] }} functions: [{ name, defined }],
+   *   edges: [{ from, to, kind }] with display names; kind is 'sync', 'async', 'queue' or 'topic'.
+   *   Refs to undefined functions are included with `defined: false`.
+   */
+  getFunctionGraph() {
+    const graph = this._buildFunctionGraph();
+    const functions = [...graph.keys()].map(name => ({ name: this._getDisplayName(name), defined: true }));
+    const undefinedNames = new Map();
+    const edges = [];
+
+    for (const [from, fromEdges] of graph) {
+      for (const edge of fromEdges) {
+        if (!graph.has(edge.to) && !undefinedNames.has(edge.to)) {
+          undefinedNames.set(edge.to, edge.ref);
+        }
+        edges.push({
+          from: this._getDisplayName(from),
+          to: graph.has(edge.to) ? this._getDisplayName(edge.to) : undefinedNames.get(edge.to),
+          kind: edge.kind
+        });
+      }
+    }
+
+    for (const name of undefinedNames.values()) {
+      functions.push({ name, defined: false });
+    }
+    return { functions, edges };
+  }
+
+  /**
+   * Forward adjacency of the function pool: normalized name -> [{ to, ref, kind }].
+   * Edges may point to functions that are not defined.
+   */
+  _buildFunctionGraph() {
+    const graph = new Map();
+    for (const [name, def] of this.functionDefs) {
+      graph.set(name, this._collectRefEdges(def.children).map(edge => ({
+        to: this._normalizeName(edge.ref),
+        ref: edge.ref,
+        kind: this._getEdgeKind(edge)
+      })));
+    }
+    return graph;
+  }
+
+  /**
+   * Classify an edge by the innermost boundary it crosses:
+   * 'sync', 'async' (async ref), 'topic' (topic subscriber) or 'queue' (inline queue).
+   */
+  _getEdgeKind(edge) {
+    const wrapper = edge.wrappers[edge.wrappers.length - 1];
+    if (!wrapper) return 'sync';
+    if (wrapper.topicPublish) return 'topic';
+    if (wrapper.ref && wrapper.async) return 'async';
+    return 'queue';
+  }
+
+  /**
+   * Normalized names of the defined functions a root structure reaches through refs,
+   * async refs, topic subscribers and inline queues, directly or transitively.
+   */
+  _findReachableFromStructure(rootStructure, graph = this._buildFunctionGraph()) {
+    if (!rootStructure) return new Set();
+    const startNames = this._collectRefEdges([rootStructure]).map(edge => this._normalizeName(edge.ref));
+    this._collectStructureEdges(rootStructure, [], edge => startNames.push(this._normalizeName(edge.ref)));
+    return this._findReachableFunctions(startNames, graph);
+  }
+
+  /**
+   * Map each defined function to the members of the cycles it can reach: the strongly
+   * connected components with more than one function, or one that calls itself, among the
+   * function and everything it reaches. Functions reaching the same cycles share one Set.
+   */
+  _findReachableCycleMembers(graph) {
+    const membersByFunction = new Map();
+    const none = new Set();
+    // Components come out callees first, so every successor is mapped before its callers
+    for (const component of this._findStronglyConnectedComponents(graph)) {
+      const inComponent = new Set(component);
+      const isCycle = component.length > 1 || graph.get(component[0]).some(edge => edge.to === component[0]);
+      const successorMembers = new Set();
+      for (const name of component) {
+        for (const edge of graph.get(name)) {
+          const members = membersByFunction.get(edge.to);
+          if (!inComponent.has(edge.to) && members?.size > 0) successorMembers.add(members);
+        }
+      }
+
+      let members;
+      if (!isCycle && successorMembers.size <= 1) {
+        members = successorMembers.values().next().value ?? none;
+      } else {
+        members = new Set(isCycle ? component : []);
+        for (const successor of successorMembers) {
+          for (const member of successor) members.add(member);
+        }
+      }
+      for (const name of component) membersByFunction.set(name, members);
+    }
+    return membersByFunction;
+  }
+
+  /**
+   * Normalized names of the structure nodes _buildNode adds to the visited set
+   * (inline function nodes with children), outside of refs and queues' refs.
+   */
+  _collectTrackedStructureNames(node, names = new Set()) {
+    if (!node || node.ref || node.topicPublish || !node.children) return names;
+    if (this._shouldTrack(node.type) && node.name) {
+      names.add(this._normalizeName(node.name));
+    }
+    for (const child of node.children) {
+      this._collectTrackedStructureNames(child, names);
+    }
+    return names;
+  }
+
+  _findReachableFunctions(startNames, graph) {
+    const reachable = new Set(startNames.filter(name => graph.has(name)));
+    const queue = [...reachable];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const edge of graph.get(current)) {
+        if (!graph.has(edge.to) || reachable.has(edge.to)) continue;
+        reachable.add(edge.to);
+        queue.push(edge.to);
+      }
+    }
+    return reachable;
+  }
+
+  /**
+   * Tarjan's algorithm, iterative so deep pools don't overflow the call stack.
+   * Edges to undefined functions are ignored.
+   */
+  _findStronglyConnectedComponents(graph) {
+    let nextIndex = 0;
+    const indices = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+
+    const visit = (name, work) => {
+      indices.set(name, nextIndex);
+      lowLinks.set(name, nextIndex);
+      nextIndex++;
+      stack.push(name);
+      onStack.add(name);
+      work.push({ name, edgeIndex: 0 });
+    };
+
+    for (const start of graph.keys()) {
+      if (indices.has(start)) continue;
+      const work = [];
+      visit(start, work);
+
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        const edges = graph.get(frame.name);
+
+        if (frame.edgeIndex < edges.length) {
+          const next = edges[frame.edgeIndex++].to;
+          if (!graph.has(next)) continue;
+          if (!indices.has(next)) {
+            visit(next, work);
+          } else if (onStack.has(next)) {
+            lowLinks.set(frame.name, Math.min(lowLinks.get(frame.name), indices.get(next)));
+          }
+          continue;
+        }
+
+        work.pop();
+        if (work.length > 0) {
+          const parent = work[work.length - 1].name;
+          lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(frame.name)));
+        }
+        if (lowLinks.get(frame.name) === indices.get(frame.name)) {
+          const component = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.push(member);
+          } while (member !== frame.name);
+          components.push(component);
+        }
+      }
+    }
+    return components;
+  }
+
+  /**
+   * Breadth-first search from a function back through its callers.
+   * Maps each (normalized) function that can reach the target to the next
+   * hop on its shortest path, or null for the target itself.
+   */
+  _findRoutesToFunction(name, callerIndex) {
+    const normalizedTarget = this._normalizeName(name);
+    const routes = new Map([[normalizedTarget, null]]);
+    const queue = [normalizedTarget];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const edge of callerIndex.get(current) || []) {
+        if (!edge.caller || routes.has(edge.caller)) continue;
+        routes.set(edge.caller, { next: current, crossesAsync: edge.wrappers.length > 0 });
+        queue.push(edge.caller);
+      }
+    }
+    return routes;
+  }
+
+  _followRoute(entry, target, routes) {
+    const normalizedTarget = this._normalizeName(target);
+    let current = this._normalizeName(entry.ref);
+    if (!routes.has(current)) return null;
+
+    const toDisplayName = (normalizedName) => this._getDisplayName(
+      normalizedName === normalizedTarget ? target : normalizedName
+    );
+    const path = [toDisplayName(current)];
+    let crossesAsync = entry.wrappers.length > 0;
+
+    let hop = routes.get(current);
+    while (hop) {
+      crossesAsync = crossesAsync || hop.crossesAsync;
+      current = hop.next;
+      path.push(toDisplayName(current));
+      hop = routes.get(current);
+    }
+    return { path, crossesAsync };
+  }
+
+  /**
+   * Index every reference by the (normalized) function it points to.
+   * Edges from the function pool carry the calling function's name; edges
+   * from app configs carry the chain of structural nodes (app first) that
+   * contains the reference.
+   */
+  _buildCallerIndex(appConfigs = []) {
+    const callerIndex = new Map();
+    const addEdge = (edge) => {
+      const normalizedRef = this._normalizeName(edge.ref);
+      if (!callerIndex.has(normalizedRef)) callerIndex.set(normalizedRef, []);
+      callerIndex.get(normalizedRef).push(edge);
+    };
+
+    for (const [caller, def] of this.functionDefs) {
+      for (const edge of this._collectRefEdges(def.children)) {
+        addEdge({ ...edge, caller });
+      }
+    }
+    for (const appConfig of appConfigs) {
+      this._collectStructureEdges(appConfig, [], addEdge);
+    }
+    return callerIndex;
+  }
+
+  /**
+   * Collect the function refs in a children array, descending into inline
+   * queues and topic subscribers. Each edge lists the async refs, topic
+   * publishes and inline queues crossed to reach it (outermost first) as `wrappers`.
+   */
+  _collectRefEdges(children = [], wrappers = []) {
+    const edges = [];
+    for (const child of children) {
+      if (child.ref && !child.async && !child.topicPublish) {
+        edges.push({ ref: child.ref, wrappers });
+      } else if (child.ref && child.async) {
+        edges.push({ ref: child.ref, wrappers: [...wrappers, child] });
+      } else if (child.topicPublish) {
+        for (const subscriber of this._getTopicSubscribers(child.topicName)) {
+          edges.push({ ref: subscriber, wrappers: [...wrappers, child] });
+        }
+      } else if (child.type === 'queue' || child.type === 'timer' || child.type === 'topic') {
+        edges.push(...this._collectRefEdges(child.children, [...wrappers, child]));
+      }
+    }
+    return edges;
+  }
+
+  _collectStructureEdges(node, ancestors, addEdge) {
+    if (!node || !node.children) return;
+    const structure = [...ancestors, node];
+    for (const edge of this._collectRefEdges(node.children)) {
+      addEdge({ ...edge, structure });
+    }
+    for (const child of node.children) {
+      const isQueue = child.type === 'queue' || child.type === 'timer' || child.type === 'topic';
+      if (!child.ref && !child.topicPublish && !isQueue) {
+        this._collectStructureEdges(child, structure, addEdge);
+      }
+    }
+  }
+
+  /**
+   * Resolve a function and its callers for the inverted tree.
+   * Uses the same path-based cycle detection and cache keys as the forward build.
+   */
+  async _buildCallerNode(name, callerIndex, resolvedCallers, visited, path, context) {
+    const normalizedName = this._normalizeName(name);
+    const displayName = this._getDisplayName(name);
+
+    if (visited.has(normalizedName)) {
+      return this._createCycleStopper(displayName, path);
+    }
+
+    const cacheKey = this._getFunctionCacheKey(normalizedName, visited);
+    if (resolvedCallers.has(cacheKey)) {
+      return resolvedCallers.get(cacheKey);
+    }
+
+    const def = this.functionDefs.get(normalizedName);
+    const node = def ? this._createFunctionNode(name, def) : this._createUnresolvedNode(name);
+
+    const newVisited = new Set(visited);
+    newVisited.add(normalizedName);
+    const newPath = [...path, displayName];
+
+    const edges = callerIndex.get(normalizedName) || [];
+    if (edges.length > 0) {
+      node.children = await Promise.all(edges.map(edge =>
+        this._buildCallerEdge(edge, callerIndex, resolvedCallers, newVisited, newPath, context)
+      ));
+    }
+
+    const finalNode = def ? this._applyLogMetadataLine(node, def.app ? { app: def.app } : {}) : node;
+    resolvedCallers.set(cacheKey, finalNode);
+    return finalNode;
+  }
+
+  async _buildCallerEdge(edge, callerIndex, resolvedCallers, visited, path, context) {
+    let callerNode = edge.caller
+      ? await this._buildCallerNode(edge.caller, callerIndex, resolvedCallers, visited, path, context)
+      : this._createStructureCallerNode(edge.structure);
+
+    // Wrappers are listed caller-side first, so each one wraps the previous
+    for (const wrapper of edge.wrappers) {
+      callerNode = await this._createCallerWrapper(wrapper, callerNode, context);
+    }
+    return callerNode;
+  }
+
+  /**
+   * Invert a chain of structural nodes (app → ui-services → ui-service-method)
+   * so the innermost node comes first and the app is the leaf.
+   */
+  _createStructureCallerNode(structure) {
+    return structure.reduce((callerNode, structural) => {
+      const { children, usesLegacyGatewayHttpClient, ...props } = structural;
+      return this._applyLogMetadataLine(callerNode ? { ...props, children: [callerNode] } : props);
+    }, null);
+  }
+
+  async _createCallerWrapper(wrapper, callerNode, context) {
+    // Async reference = timer wrapper, named the same way as in the forward build
+    if (wrapper.ref && wrapper.async) {
+      const { ref, async: _, queueName, ...queueProps } = wrapper;
+      const { finalQueueName, idSegment, resolvedProps, errorMetadataLines } = await this._resolveAsyncQueue(ref, queueName, context);
+      const metadataLines = this._mergeMetadataLines(
+        errorMetadataLines,
+        queueProps.metadata_lines,
+        resolvedProps.metadata_lines
+      );
+
+      return this._setNodeIdSegment(this._applyLogMetadataLine({
+        name: finalQueueName,
+        type: 'timer',
+        ...queueProps,
+        ...resolvedProps,
+        ...(metadataLines ? { metadata_lines: metadataLines } : {}),
+        children: [callerNode]
+      }), idSegment);
+    }
+
+    // Topic publish = topic wrapper around the publisher
+    if (wrapper.topicPublish) {
+      const { ref, topicName, topicPublish: _, queueName, ...queueProps } = wrapper;
+      const { finalQueueName, idSegment, resolvedProps, errorMetadataLines } = await this._resolveTopicQueue(topicName, queueName, context);
+      const metadataLines = this._mergeMetadataLines(
+        errorMetadataLines,
+        queueProps.metadata_lines,
+        resolvedProps.metadata_lines
+      );
+
+      return this._setNodeIdSegment(this._applyLogMetadataLine({
+        name: finalQueueName,
+        type: 'topic',
+        ...queueProps,
+        ...resolvedProps,
+        ...(metadataLines ? { metadata_lines: metadataLines } : {}),
+        children: [callerNode]
+      }), idSegment);
+    }
+
+    // Inline queue
+    const { children, ...queueProps } = wrapper;
+    return this._applyLogMetadataLine({ ...queueProps, children: [callerNode] });
+  }
+
   static ref(name) {
     return { ref: name };
   }
@@ -579,4 +2111,4 @@ const ref = TreeBuilder.ref;
 const asyncRef = TreeBuilder.asyncRef;
 const topicPublishRef = TreeBuilder.topicPublishRef;
 
-export { TreeBuilder, ref, asyncRef, topicPublishRef };
+export { TreeBuilder, TreeBuildError, ref, asyncRef, topicPublishRef };
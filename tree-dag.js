@@ -0,0 +1,154 @@
+/**
+ * DAG Output
+ *
+ * Compact form of a built tree (output of TreeBuilder.build()). A function's
+ * subtree appears in full wherever the function is called, so a tree that
+ * calls a shared helper from many places repeats it many times over. The DAG
+ * form stores each function subtree that occurs more than once in a `nodes`
+ * table and replaces every occurrence with a `{ $ref: id }` reference:
+ *
+ *   {
+ *     root: { name: 'my-app', type: 'app', children: [
+ *       { name: 'callerA', type: 'function', children: [{ $ref: 'createWtException' }] },
+ *       { name: 'callerB', type: 'function', children: [{ $ref: 'createWtException' }] }
+ *     ] },
+ *     nodes: {
+ *       createWtException: { name: 'createWtException', type: 'function', children: [...] }
+ *     }
+ *   }
+ *
+ * Ids are the function names. When one function appears with different
+ * subtrees (e.g. with dupe-stoppers at different points of a cycle), the later
+ * variants get a "#n" suffix: "audit", "audit#2", ... Ids are assigned in
+ * depth-first order, so the same tree always gets the same ids.
+ *
+ * Only function nodes go into the table, and only when the same subtree occurs
+ * more than once in the output (a subtree inside a table entry counts once,
+ * however often the entry is referenced) and the entry and its references
+ * take less space than the copies. Other function nodes, app structure, queue,
+ * warning and dupe-stopper nodes stay inline, so the DAG is never much larger
+ * than the tree. Trees with node ids (the `nodeIds` option) have nothing to
+ * share, since every node carries its own id and path; the CLI and the server
+ * reject that combination. expandDag() has no dependencies, so it can be
+ * copied into a browser client as is.
+ */
+
+/**
+ * Copy a node, mapping its children and keeping its key order
+ * @param {object} node
+ * @param {function} mapChild
+ * @returns {object}
+ */
+function mapChildren(node, mapChild) {
+    return Object.fromEntries(Object.entries(node).map(([key, value]) =>
+        key === 'children' && Array.isArray(value) ? [key, value.map(mapChild)] : [key, value]
+    ));
+}
+
+/**
+ * Convert a built tree to its DAG form
+ * @param {object} tree - Tree from TreeBuilder.build()
+ * @returns {{ root: object, nodes: object }} root: the tree with repeated function subtrees replaced
+ *   by `{ $ref: id }`; nodes: those subtrees by id, their repeated function subtrees also replaced by refs
+ */
+function treeToDag(tree) {
+    if (!tree) return { root: null, nodes: {} };
+
+    // First pass: number the distinct subtrees, children before their parents
+    const classes = new Map();            // built node -> subtree class, as cached subtrees are shared objects
+    const classesBySignature = new Map(); // node with children replaced by their classes (JSON) -> class
+    const subtrees = [];                  // class -> { node, childClasses, size }
+
+    const classify = (node) => {
+        if (classes.has(node)) return classes.get(node);
+        const childClasses = (node.children || []).map(classify);
+        // Equal subtrees share a class even when the builder resolved them separately
+        const signature = JSON.stringify(mapChildren(node, (child, index) => childClasses[index]));
+        let nodeClass = classesBySignature.get(signature);
+        if (nodeClass === undefined) {
+            nodeClass = subtrees.length;
+            classesBySignature.set(signature, nodeClass);
+            const ownSize = JSON.stringify(mapChildren(node, () => 0)).length;
+            const size = childClasses.reduce((total, childClass) => total + subtrees[childClass].size, ownSize);
+            subtrees.push({ node, childClasses, size });
+        }
+        classes.set(node, nodeClass);
+        return nodeClass;
+    };
+    const rootClass = classify(tree);
+
+    // Count how often each subtree is written out, parents first. A function subtree goes into
+    // the table when it occurs more than once and its entry plus references are shorter than
+    // its copies; a table entry is written once, however often it is referenced.
+    const counts = new Array(subtrees.length).fill(0);
+    const tabled = new Set();
+    counts[rootClass] = 1;
+    for (let nodeClass = rootClass; nodeClass >= 0; nodeClass--) {
+        const count = counts[nodeClass];
+        if (count === 0) continue;
+        const { node, childClasses, size } = subtrees[nodeClass];
+        const referenceSize = JSON.stringify({ $ref: node.name }).length + 3; // "#n" suffix, comma
+        const entryOverhead = JSON.stringify(String(node.name)).length + 4;   // key, "#n" suffix, colon, comma
+        if (node.type === 'function' && count > 1 && count * referenceSize + size + entryOverhead < count * size) {
+            tabled.add(nodeClass);
+        }
+        const copies = tabled.has(nodeClass) ? 1 : count;
+        for (const childClass of childClasses) counts[childClass] += copies;
+    }
+
+    // Second pass: move the tabled subtrees into the table, in depth-first order
+    const nodes = new Map();             // id -> table entry
+    const idsByClass = new Map();        // tabled subtree class -> id
+
+    const createId = (name) => {
+        if (!nodes.has(name)) return name;
+        let occurrence = 2;
+        while (nodes.has(`${name}#${occurrence}`)) occurrence++;
+        return `${name}#${occurrence}`;
+    };
+
+    const convert = (node) => {
+        const nodeClass = classes.get(node);
+        if (!tabled.has(nodeClass)) {
+            return mapChildren(node, convert);
+        }
+        let id = idsByClass.get(nodeClass);
+        if (id === undefined) {
+            id = createId(node.name);
+            idsByClass.set(nodeClass, id);
+            nodes.set(id, null); // reserve the id, and the entry's place, before converting the children
+            nodes.set(id, mapChildren(node, convert));
+        }
+        return { $ref: id };
+    };
+
+    return { root: convert(tree), nodes: Object.fromEntries(nodes) };
+}
+
+/**
+ * Expand a DAG back into a plain tree. References to the same id expand to the
+ * same object; JSON.stringify() writes it out in full at every occurrence.
+ * @param {{ root: object, nodes: object }} dag - Output of treeToDag()
+ * @returns {object} Tree equal to the one passed to treeToDag()
+ */
+function expandDag(dag) {
+    const { root, nodes = {} } = dag;
+    const expanded = new Map();
+
+    const expand = (node) => {
+        if (node.$ref === undefined) {
+            return mapChildren(node, expand);
+        }
+        if (!expanded.has(node.$ref)) {
+            if (!Object.prototype.hasOwnProperty.call(nodes, node.$ref)) {
+                throw new Error(`Unknown node id "${node.$ref}"`);
+            }
+            expanded.set(node.$ref, mapChildren(nodes[node.$ref], expand));
+        }
+        return expanded.get(node.$ref);
+    };
+
+    return root ? expand(root) : null;
+}
+
+export { treeToDag, expandDag };
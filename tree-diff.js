@@ -0,0 +1,169 @@
+/**
+ * Tree Diff
+ *
+ * Structural diff between two outputs of TreeBuilder.build().
+ * Nodes are matched by their path from the root rather than by array index,
+ * so reordering siblings does not show up as a change.
+ *
+ * Path segments:
+ * - Most nodes:         "type:name"                 e.g. "function:createWtException"
+ * - timer/topic nodes:  "type(child1,child2)"       e.g. "timer(processWTPayments)"
+ *   Queue nodes are identified by the functions they deliver to, so a changed
+ *   queue name is reported as a queue-name change instead of a remove + add.
+ *   Queue nodes without children are "type()" and pair up by position.
+ * - Repeated siblings:  "#n" suffix from the second occurrence on, e.g. "function:audit#2"
+ */
+
+const QUEUE_TYPES = ['timer', 'topic'];
+
+/**
+ * Get the path segment identifying a node among its siblings (without the "#n" suffix)
+ * @param {object} node - Built tree node
+ * @returns {string}
+ */
+function getNodeKey(node) {
+    if (QUEUE_TYPES.includes(node.type)) {
+        return `${node.type}(${(node.children || []).map(child => child.name).join(',')})`;
+    }
+    return `${node.type}:${node.name}`;
+}
+
+/**
+ * Key the children of a node, suffixing repeated keys with their occurrence number
+ * @param {object} node - Built tree node
+ * @returns {Map<string, object>} Children by path segment, in original order
+ */
+function getKeyedChildren(node) {
+    const keyed = new Map();
+    const counts = new Map();
+    for (const child of node.children || []) {
+        const key = getNodeKey(child);
+        const count = (counts.get(key) || 0) + 1;
+        counts.set(key, count);
+        keyed.set(count > 1 ? `${key}#${count}` : key, child);
+    }
+    return keyed;
+}
+
+/**
+ * Compare the properties of two matched nodes and recurse into their children
+ */
+function diffNode(before, after, beforePath, afterPath, result) {
+    if (QUEUE_TYPES.includes(after.type) && before.name !== after.name) {
+        result.changes.push({ type: 'queue-name-changed', path: afterPath, before: before.name, after: after.name });
+    }
+    if (JSON.stringify(before.metadata_lines) !== JSON.stringify(after.metadata_lines)) {
+        result.changes.push({
+            type: 'metadata-changed',
+            path: afterPath,
+            before: before.metadata_lines,
+            after: after.metadata_lines
+        });
+    }
+
+    const beforeChildren = getKeyedChildren(before);
+    const afterChildren = getKeyedChildren(after);
+
+    for (const [key, beforeChild] of beforeChildren) {
+        if (afterChildren.has(key)) {
+            diffNode(beforeChild, afterChildren.get(key), [...beforePath, key], [...afterPath, key], result);
+        } else {
+            result.removed.push({ path: [...beforePath, key], node: beforeChild });
+        }
+    }
+    for (const [key, afterChild] of afterChildren) {
+        if (!beforeChildren.has(key)) {
+            result.added.push({ path: [...afterPath, key], node: afterChild });
+        }
+    }
+}
+
+/**
+ * Pair removed and added subtrees with the same key as moves, diffing their contents
+ */
+function matchMoves(result) {
+    const moved = [];
+    for (const removed of [...result.removed]) {
+        const key = removed.path[removed.path.length - 1].replace(/#\d+$/, '');
+        const added = result.added.find(entry =>
+            entry.path[entry.path.length - 1].replace(/#\d+$/, '') === key
+        );
+        if (!added) continue;
+
+        result.removed.splice(result.removed.indexOf(removed), 1);
+        result.added.splice(result.added.indexOf(added), 1);
+        moved.push({ type: 'moved', from: removed.path, to: added.path });
+        diffNode(removed.node, added.node, removed.path, added.path, result);
+    }
+    return moved;
+}
+
+/**
+ * Escape a path into a JSON Pointer string
+ * @param {string[]} path - Node path segments
+ * @returns {string}
+ */
+function toPointer(path) {
+    return path.map(segment => `/${segment.replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Convert diff changes into JSON Patch style operations.
+ * Pointers address nodes by path segment instead of array index.
+ * @param {object[]} changes - Changes returned by diffTrees()
+ * @returns {object[]} Operations: { op, path, from?, value? }
+ */
+function toJsonPatch(changes) {
+    return changes.map(change => {
+        switch (change.type) {
+            case 'added':
+                return { op: 'add', path: toPointer(change.path), value: change.node };
+            case 'removed':
+                return { op: 'remove', path: toPointer(change.path) };
+            case 'moved':
+                return { op: 'move', from: toPointer(change.from), path: toPointer(change.to) };
+            case 'queue-name-changed':
+                return { op: 'replace', path: `${toPointer(change.path)}/name`, value: change.after };
+            case 'metadata-changed': {
+                const path = `${toPointer(change.path)}/metadata_lines`;
+                if (change.after === undefined) return { op: 'remove', path };
+                return { op: change.before === undefined ? 'add' : 'replace', path, value: change.after };
+            }
+            default:
+                throw new Error(`Unknown change type: ${change.type}`);
+        }
+    });
+}
+
+/**
+ * Compare two built trees
+ * @param {object} before - Tree from TreeBuilder.build()
+ * @param {object} after - Tree from TreeBuilder.build()
+ * @param {object} options
+ * @param {string} options.format - 'changes' (default) or 'json-patch'
+ * @returns {object[]} Changes, removed/added/moved nodes first, then property changes:
+ *   - { type: 'added', path, node }
+ *   - { type: 'removed', path, node }
+ *   - { type: 'moved', from, to }
+ *   - { type: 'queue-name-changed', path, before, after }
+ *   - { type: 'metadata-changed', path, before, after }
+ *   or JSON Patch style operations when format is 'json-patch'
+ */
+function diffTrees(before, after, options = {}) {
+    const { format = 'changes' } = options;
+    const result = { changes: [], added: [], removed: [] };
+
+    // The roots are always compared with each other, even if renamed
+    diffNode(before, after, [getNodeKey(before)], [getNodeKey(after)], result);
+    const moved = matchMoves(result);
+
+    const changes = [
+        ...result.removed.map(entry => ({ type: 'removed', ...entry })),
+        ...result.added.map(entry => ({ type: 'added', ...entry })),
+        ...moved,
+        ...result.changes
+    ];
+    return format === 'json-patch' ? toJsonPatch(changes) : changes;
+}
+
+export { diffTrees, toJsonPatch, getNodeKey };
@@ -0,0 +1,427 @@
+/**
+ * Interactive Tree Explorer
+ *
+ * Keyboard-driven terminal browser for built trees (output of TreeBuilder.build()).
+ *
+ * TreeExplorer holds the navigation state (expanded nodes, cursor, search) and
+ * renders it to lines of text, so it can be driven and tested without a terminal.
+ * startExplorer() wires it to a TTY: raw-mode keypresses in, full-screen redraws out.
+ *
+ * Keys:
+ *   ↑/k ↓/j          move            PgUp/PgDn   move a page
+ *   →/l              expand          ←/h         collapse, or go to parent
+ *   Enter/Space      toggle          e / c       expand all / collapse all
+ *   /                search          n / N       next / previous match
+ *   d                show the pool definition of the focused function
+ *   q / Ctrl-C       quit
+ *
+ * While searching, typed characters filter the tree to matching nodes and their
+ * ancestors; Enter keeps the filter, Esc clears it.
+ */
+
+import { emitKeypressEvents } from 'node:readline';
+
+const TYPE_MARKERS = {
+    'app': 'A',
+    'ui-services': 'S',
+    'ui-service-method': 'M',
+    'function': 'f',
+    'timer': 'Q',
+    'queue': 'Q',
+    'topic': 'T',
+    'smart': '$',
+    'warning': '!',
+    'error': 'x',
+    'dupe-stopper': '~'
+};
+
+const ANSI = {
+    reset: '\x1b[0m',
+    inverse: '\x1b[7m',
+    dim: '\x1b[2m',
+    bold: '\x1b[1m',
+    yellow: '\x1b[33m'
+};
+
+/**
+ * Create a definition lookup over a function pool that accepts pool keys or displayNames,
+ * case-insensitively, matching how TreeBuilder resolves refs and names built nodes
+ * @param {object} functionPool - Function definitions by name
+ * @returns {(name: string) => ({ name: string, definition: object }|null)}
+ */
+function createPoolLookup(functionPool = {}) {
+    const byName = new Map();
+    for (const [name, definition] of Object.entries(functionPool)) {
+        byName.set(name.toLowerCase(), { name, definition });
+    }
+    for (const [name, definition] of Object.entries(functionPool)) {
+        const displayName = definition?.displayName?.toLowerCase();
+        if (displayName && !byName.has(displayName)) {
+            byName.set(displayName, { name, definition });
+        }
+    }
+    return (name) => byName.get(String(name).toLowerCase()) || null;
+}
+
+class TreeExplorer {
+    /**
+     * @param {object} tree - Tree from TreeBuilder.build()
+     * @param {object} options
+     * @param {function} options.getDefinition - (name) => { name, definition } | null, e.g. createPoolLookup(pool)
+     */
+    constructor(tree, options = {}) {
+        const { getDefinition = () => null } = options;
+        this.getDefinition = getDefinition;
+        this.entries = [];       // every node in display order: { id, node, depth, parentId, ancestors }
+        this.entriesById = new Map();
+        this.expanded = new Set();
+        this.cursor = 0;         // index into getVisibleRows()
+        this.query = '';
+        this.searching = false;  // true while the search prompt has focus
+        this.showDefinition = false;
+
+        this._indexTree(tree, '0', 0, null, []);
+        if (this.entries.length > 0) {
+            this.expanded.add(this.entries[0].id);
+        }
+    }
+
+    _indexTree(node, id, depth, parentId, ancestors) {
+        if (!node) return;
+        const entry = { id, node, depth, parentId, ancestors };
+        this.entries.push(entry);
+        this.entriesById.set(id, entry);
+        (node.children || []).forEach((child, index) => {
+            this._indexTree(child, `${id}.${index}`, depth + 1, id, [...ancestors, node.name]);
+        });
+    }
+
+    /**
+     * Entries whose name contains the current query, in display order
+     */
+    getMatches() {
+        if (!this.query) return [];
+        const query = this.query.toLowerCase();
+        return this.entries.filter(entry => entry.node.name.toLowerCase().includes(query));
+    }
+
+    /**
+     * Rows currently on screen: children of expanded nodes, or, while a query is set,
+     * matching nodes plus their ancestors
+     * @returns {{ id: string, node: object, depth: number, hasChildren: boolean, expanded: boolean, match: boolean }[]}
+     */
+    getVisibleRows() {
+        const matches = new Set(this.getMatches().map(entry => entry.id));
+        const shown = new Set();
+        if (this.query) {
+            for (const id of matches) {
+                for (let current = id; current !== null; current = this.entriesById.get(current).parentId) {
+                    shown.add(current);
+                }
+            }
+        }
+
+        const rows = [];
+        for (const entry of this.entries) {
+            if (this.query) {
+                if (!shown.has(entry.id)) continue;
+            } else if (entry.parentId !== null && !this._isOpen(entry.parentId)) {
+                continue;
+            }
+            const hasChildren = (entry.node.children || []).length > 0;
+            rows.push({
+                id: entry.id,
+                node: entry.node,
+                depth: entry.depth,
+                hasChildren,
+                expanded: hasChildren && (this.query ? true : this.expanded.has(entry.id)),
+                match: matches.has(entry.id)
+            });
+        }
+        return rows;
+    }
+
+    _isOpen(id) {
+        for (let current = id; current !== null; current = this.entriesById.get(current).parentId) {
+            if (!this.expanded.has(current)) return false;
+        }
+        return true;
+    }
+
+    getFocusedRow() {
+        const rows = this.getVisibleRows();
+        this.cursor = Math.max(0, Math.min(this.cursor, rows.length - 1));
+        return rows[this.cursor] || null;
+    }
+
+    moveCursor(delta) {
+        const rows = this.getVisibleRows();
+        this.cursor = Math.max(0, Math.min(this.cursor + delta, rows.length - 1));
+    }
+
+    _focus(id) {
+        const index = this.getVisibleRows().findIndex(row => row.id === id);
+        if (index !== -1) this.cursor = index;
+    }
+
+    expand() {
+        const row = this.getFocusedRow();
+        if (row?.hasChildren) this.expanded.add(row.id);
+    }
+
+    /**
+     * Collapse the focused node, or move to its parent when it is already collapsed
+     */
+    collapse() {
+        const row = this.getFocusedRow();
+        if (!row) return;
+        if (row.hasChildren && this.expanded.has(row.id) && !this.query) {
+            this.expanded.delete(row.id);
+            return;
+        }
+        const { parentId } = this.entriesById.get(row.id);
+        if (parentId !== null) this._focus(parentId);
+    }
+
+    toggle() {
+        const row = this.getFocusedRow();
+        if (!row?.hasChildren) return;
+        if (this.expanded.has(row.id)) {
+            this.expanded.delete(row.id);
+        } else {
+            this.expanded.add(row.id);
+        }
+    }
+
+    expandAll() {
+        for (const entry of this.entries) {
+            this.expanded.add(entry.id);
+        }
+    }
+
+    collapseAll() {
+        const focused = this.getFocusedRow();
+        this.expanded = new Set(this.entries.length > 0 ? [this.entries[0].id] : []);
+        // Keep the cursor on the focused node's top-level ancestor
+        const topLevelId = focused ? focused.id.split('.').slice(0, 2).join('.') : null;
+        this.cursor = 0;
+        if (topLevelId) this._focus(topLevelId);
+    }
+
+    /**
+     * Set the search query and move the cursor to the first match
+     * @param {string} query
+     */
+    setQuery(query) {
+        this.query = query;
+        const [first] = this.getMatches();
+        this.cursor = 0;
+        if (first) this._focus(first.id);
+    }
+
+    /**
+     * Clear the search, expanding the ancestors of the focused node so it stays in view
+     */
+    clearQuery() {
+        const focused = this.getFocusedRow();
+        this.query = '';
+        this.searching = false;
+        if (!focused) return;
+        for (let current = this.entriesById.get(focused.id).parentId; current !== null; current = this.entriesById.get(current).parentId) {
+            this.expanded.add(current);
+        }
+        this._focus(focused.id);
+    }
+
+    /**
+     * Move to the next (or previous, for a negative direction) match, wrapping around
+     * @param {number} direction - 1 or -1
+     */
+    nextMatch(direction = 1) {
+        const rows = this.getVisibleRows();
+        const matchIndexes = rows.map((row, index) => (row.match ? index : -1)).filter(index => index !== -1);
+        if (matchIndexes.length === 0) return;
+        const next = direction > 0
+            ? matchIndexes.find(index => index > this.cursor) ?? matchIndexes[0]
+            : [...matchIndexes].reverse().find(index => index < this.cursor) ?? matchIndexes[matchIndexes.length - 1];
+        this.cursor = next;
+    }
+
+    /**
+     * Details of the focused node: metadata text, its path, and its pool definition when requested
+     * @returns {string[]}
+     */
+    getDetails() {
+        const row = this.getFocusedRow();
+        if (!row) return [];
+        const { node } = row;
+        const { ancestors } = this.entriesById.get(row.id);
+        const lines = [`${node.type}: ${node.name}`];
+
+        // dupe-stopper nodes carry the function path that closed the loop in _path
+        const path = node._path || [...ancestors, node.name];
+        lines.push(`Path: ${path.join(' > ')}`);
+        for (const metadataLine of node.metadata_lines || []) {
+            lines.push(`  · ${metadataLine.text}${metadataLine.clickable ? ' (clickable)' : ''}`);
+        }
+
+        if (this.showDefinition) {
+            const lookupName = node.type === 'dupe-stopper' ? node._cycleAt : node.name;
+            const found = node.type === 'function' || node.type === 'dupe-stopper' ? this.getDefinition(lookupName) : null;
+            if (found) {
+                lines.push(`Definition of ${found.name}:`);
+                lines.push(...JSON.stringify(found.definition, null, 2).split('\n').map(line => `  ${line}`));
+            } else {
+                lines.push('No pool definition for this node');
+            }
+        }
+        return lines;
+    }
+
+    /**
+     * Apply one keypress
+     * @param {string|undefined} str - Printable character, if any
+     * @param {object} key - readline keypress descriptor ({ name, ctrl, shift })
+     * @param {number} pageSize - Rows moved by PgUp/PgDn
+     * @returns {boolean} false when the explorer should quit
+     */
+    handleKey(str, key = {}, pageSize = 10) {
+        if (key.ctrl && key.name === 'c') return false;
+
+        if (this.searching) {
+            if (key.name === 'escape') {
+                this.clearQuery();
+            } else if (key.name === 'return' || key.name === 'enter') {
+                this.searching = false;
+            } else if (key.name === 'backspace') {
+                this.setQuery(this.query.slice(0, -1));
+            } else if (str && !key.ctrl && !key.meta && str >= ' ') {
+                this.setQuery(this.query + str);
+            }
+            return true;
+        }
+
+        switch (key.name) {
+            case 'up': case 'k': this.moveCursor(-1); break;
+            case 'down': case 'j': this.moveCursor(1); break;
+            case 'pageup': this.moveCursor(-pageSize); break;
+            case 'pagedown': this.moveCursor(pageSize); break;
+            case 'right': case 'l': this.expand(); break;
+            case 'left': case 'h': this.collapse(); break;
+            case 'return': case 'enter': case 'space': this.toggle(); break;
+            case 'e': this.expandAll(); break;
+            case 'c': this.collapseAll(); break;
+            case 'd': this.showDefinition = !this.showDefinition; break;
+            case 'n': this.nextMatch(key.shift ? -1 : 1); break;
+            case 'escape': if (this.query) this.clearQuery(); break;
+            case 'q': return false;
+            default:
+                if (str === '/') {
+                    this.searching = true;
+                    this.setQuery('');
+                }
+        }
+        return true;
+    }
+
+    /**
+     * Render the full screen
+     * @param {object} options
+     * @param {number} options.width - Terminal columns (default: 80)
+     * @param {number} options.height - Terminal rows (default: 24)
+     * @param {boolean} options.color - Use ANSI highlighting (default: false)
+     * @returns {string[]} Exactly `height` lines
+     */
+    render(options = {}) {
+        const { width = 80, height = 24, color = false } = options;
+        const paint = (text, ...styles) => (color ? `${styles.map(style => ANSI[style]).join('')}${text}${ANSI.reset}` : text);
+        const fit = (text) => (text.length > width ? `${text.slice(0, width - 1)}…` : text.padEnd(width));
+
+        const rows = this.getVisibleRows();
+        const focused = this.getFocusedRow();
+        const details = this.getDetails();
+        const detailsHeight = Math.min(details.length, Math.max(3, Math.floor(height / 3)));
+        const treeHeight = Math.max(1, height - detailsHeight - 3);
+
+        // Scroll so the cursor stays in view
+        const top = Math.max(0, Math.min(this.cursor - Math.floor(treeHeight / 2), rows.length - treeHeight));
+        const lines = [];
+        for (const row of rows.slice(top, top + treeHeight)) {
+            const toggle = row.hasChildren ? (row.expanded ? '▾' : '▸') : ' ';
+            const marker = TYPE_MARKERS[row.node.type] || '?';
+            const isFocused = row.id === focused?.id;
+            const text = fit(`${isFocused ? '>' : ' '} ${'  '.repeat(row.depth)}${toggle} [${marker}] ${row.node.name}`);
+            if (isFocused) {
+                lines.push(color ? paint(text, 'inverse') : text);
+            } else {
+                lines.push(row.match ? paint(text, 'yellow') : text);
+            }
+        }
+        while (lines.length < treeHeight) lines.push(fit(''));
+
+        lines.push(paint(fit('─'.repeat(width)), 'dim'));
+        lines.push(...details.slice(0, detailsHeight).map(fit));
+        while (lines.length < treeHeight + 1 + detailsHeight) lines.push(fit(''));
+
+        const matchCount = this.getMatches().length;
+        const status = this.searching
+            ? `/${this.query}  (${matchCount} match${matchCount === 1 ? '' : 'es'}, Enter to keep, Esc to clear)`
+            : this.query
+                ? `filter: "${this.query}" (${matchCount})  n/N next/prev  Esc clear  q quit`
+                : `${this.cursor + 1}/${rows.length}  ←→ collapse/expand  / search  d definition  e/c all  q quit`;
+        lines.push(paint(fit(status), 'bold'));
+        lines.push(fit(''));
+        return lines.slice(0, height);
+    }
+}
+
+/**
+ * Run the explorer on a terminal until the user quits
+ * @param {object} tree - Tree from TreeBuilder.build()
+ * @param {object} options
+ * @param {function} options.getDefinition - See TreeExplorer
+ * @param {object} options.input - TTY input stream (default: process.stdin)
+ * @param {object} options.output - TTY output stream (default: process.stdout)
+ * @param {boolean} options.color - Use ANSI highlighting (default: true)
+ * @returns {Promise<void>}
+ */
+function startExplorer(tree, options = {}) {
+    const { input = process.stdin, output = process.stdout, color = true, getDefinition } = options;
+    if (!input.isTTY || !output.isTTY) {
+        return Promise.reject(new Error('The tree explorer needs an interactive terminal'));
+    }
+
+    const explorer = new TreeExplorer(tree, { getDefinition });
+    const size = () => ({ width: output.columns || 80, height: output.rows || 24 });
+    const draw = () => {
+        output.write(`\x1b[H${explorer.render({ ...size(), color }).join('\n')}`);
+    };
+
+    return new Promise((resolve) => {
+        const onKeypress = (str, key) => {
+            if (!explorer.handleKey(str, key, Math.max(1, size().height - 10))) {
+                finish();
+                return;
+            }
+            draw();
+        };
+        const finish = () => {
+            input.off('keypress', onKeypress);
+            output.off('resize', draw);
+            input.setRawMode(false);
+            input.pause();
+            output.write('\x1b[?25h\x1b[?1049l'); // show cursor, leave alternate screen
+            resolve();
+        };
+
+        emitKeypressEvents(input);
+        input.setRawMode(true);
+        input.resume();
+        input.on('keypress', onKeypress);
+        output.on('resize', draw);
+        output.write('\x1b[?1049h\x1b[?25l\x1b[2J'); // alternate screen, hide cursor
+        draw();
+    });
+}
+
+export { TreeExplorer, startExplorer, createPoolLookup };
@@ -0,0 +1,292 @@
+/**
+ * Tree Query
+ *
+ * CSS-like selectors over a built tree (output of TreeBuilder.build()):
+ *
+ *   queryTree(tree, 'ui-service-method[name=resolvePend] > timer function')
+ *   queryTree(tree, 'ui-service-method:has(smart)')
+ *   queryTree(tree, 'function[app=MyApp]', { getDefinition: createPoolLookup(pool) })
+ *
+ * Supported syntax:
+ * - Type selectors match node types (`function`, `ui-service-method`, `timer`, ...); `*` matches any node
+ * - Attribute selectors: `[attr]`, `[attr=value]`, `[attr^=prefix]`, `[attr$=suffix]`, `[attr*=part]`,
+ *   `[attr!=value]`; values may be quoted, and a trailing ` i` compares case-insensitively.
+ *   Array attributes (e.g. `path`) match when any element matches
+ * - Combinators: descendant (whitespace) and child (`>`)
+ * - Pseudo-classes: `:has(<relative selector>)`, e.g. `:has(> smart)`, and `:not(<selector>)`
+ * - Selector lists separated by `,`
+ *
+ * Attributes are read from the node. For function nodes, attributes the output
+ * does not carry (such as `app`, which becomes a metadata_line) are looked up in
+ * the function's definition when a `getDefinition` lookup is given.
+ */
+
+const ATTRIBUTE_OPERATORS = {
+    '=': (actual, expected) => actual === expected,
+    '!=': (actual, expected) => actual !== expected,
+    '^=': (actual, expected) => expected !== '' && actual.startsWith(expected),
+    '$=': (actual, expected) => expected !== '' && actual.endsWith(expected),
+    '*=': (actual, expected) => expected !== '' && actual.includes(expected)
+};
+
+/**
+ * Parse a selector into selector lists of compound selectors.
+ * @param {string} selector
+ * @returns {object[]} Complex selectors: arrays of { combinator, compound }, where combinator is
+ *   null for the first part, '>' (child) or ' ' (descendant)
+ * @throws {Error} On invalid syntax, with the position of the problem
+ */
+function parseSelector(selector) {
+    const source = String(selector);
+    let pos = 0;
+
+    const fail = (message) => {
+        throw new Error(`Invalid selector "${source}": ${message} at position ${pos}`);
+    };
+    const skipSpace = () => {
+        const start = pos;
+        while (pos < source.length && /\s/.test(source[pos])) pos++;
+        return pos > start;
+    };
+    const readMatch = (pattern) => {
+        const match = pattern.exec(source.slice(pos));
+        if (!match) return null;
+        pos += match[0].length;
+        return match[0];
+    };
+    const readIdent = () => readMatch(/^[A-Za-z_][\w-]*/);
+
+    const readValue = () => {
+        const quote = source[pos];
+        if (quote !== '"' && quote !== "'") {
+            return readMatch(/^[^\s\]"']+/) ?? fail('expected an attribute value');
+        }
+        pos++;
+        let value = '';
+        while (pos < source.length && source[pos] !== quote) {
+            if (source[pos] === '\\') pos++;
+            value += source[pos++] ?? '';
+        }
+        if (source[pos] !== quote) fail(`unterminated string`);
+        pos++;
+        return value;
+    };
+
+    const parseAttribute = () => {
+        pos++; // [
+        skipSpace();
+        const name = readIdent() ?? fail('expected an attribute name');
+        skipSpace();
+        const attribute = { name, operator: null, value: null, ignoreCase: false };
+        const operator = readMatch(/^[!^$*]?=/);
+        if (operator) {
+            skipSpace();
+            attribute.operator = operator;
+            attribute.value = readValue();
+            skipSpace();
+            if (readMatch(/^i(?=[\s\]])/)) {
+                attribute.ignoreCase = true;
+                skipSpace();
+            }
+        }
+        if (source[pos] !== ']') fail('expected "]"');
+        pos++;
+        return attribute;
+    };
+
+    const parsePseudo = () => {
+        pos++; // :
+        const name = readIdent();
+        if (name !== 'has' && name !== 'not') fail(`unknown pseudo-class ":${name ?? ''}"`);
+        if (source[pos] !== '(') fail('expected "("');
+        pos++;
+        const selectors = parseList(name === 'has');
+        if (source[pos] !== ')') fail('expected ")"');
+        pos++;
+        return { name, selectors };
+    };
+
+    const parseCompound = () => {
+        const compound = { type: null, attributes: [], pseudos: [] };
+        let found = false;
+        if (source[pos] === '*') {
+            pos++;
+            found = true;
+        } else {
+            const type = readIdent();
+            if (type) {
+                compound.type = type;
+                found = true;
+            }
+        }
+        while (source[pos] === '[' || source[pos] === ':') {
+            if (source[pos] === '[') {
+                compound.attributes.push(parseAttribute());
+            } else {
+                compound.pseudos.push(parsePseudo());
+            }
+            found = true;
+        }
+        return found ? compound : null;
+    };
+
+    // Relative selectors (inside :has) start with an optional combinator, relative to the :has subject
+    const parseComplex = (relative) => {
+        const parts = [];
+        skipSpace();
+        let combinator = null;
+        if (relative) {
+            combinator = source[pos] === '>' ? '>' : ' ';
+            if (combinator === '>') pos++;
+            skipSpace();
+        }
+        for (;;) {
+            const compound = parseCompound() ?? fail('expected a selector');
+            parts.push({ combinator, compound });
+            const hadSpace = skipSpace();
+            const next = source[pos];
+            if (next === undefined || next === ',' || next === ')') break;
+            if (next === '>') {
+                pos++;
+                skipSpace();
+                combinator = '>';
+            } else if (hadSpace) {
+                combinator = ' ';
+            } else {
+                fail(`unexpected "${next}"`);
+            }
+        }
+        return parts;
+    };
+
+    const parseList = (relative) => {
+        const list = [parseComplex(relative)];
+        while (source[pos] === ',') {
+            pos++;
+            list.push(parseComplex(relative));
+        }
+        return list;
+    };
+
+    const list = parseList(false);
+    if (pos < source.length) fail(`unexpected "${source[pos]}"`);
+    return list;
+}
+
+/**
+ * Read an attribute from a node, falling back to the definition of function nodes
+ */
+function getAttribute(node, name, options) {
+    if (Object.prototype.hasOwnProperty.call(node, name)) return node[name];
+    if (node.type === 'function' && options.getDefinition) {
+        return options.getDefinition(node.name)?.definition?.[name];
+    }
+    return undefined;
+}
+
+function matchAttribute(node, attribute, options) {
+    const actual = getAttribute(node, attribute.name, options);
+    if (actual === undefined || actual === null) return false;
+    if (!attribute.operator) return true;
+
+    const normalize = (value) => attribute.ignoreCase ? String(value).toLowerCase() : String(value);
+    const compare = ATTRIBUTE_OPERATORS[attribute.operator];
+    const expected = normalize(attribute.value);
+    if (Array.isArray(actual)) {
+        return attribute.operator === '!='
+            ? actual.every(element => compare(normalize(element), expected))
+            : actual.some(element => compare(normalize(element), expected));
+    }
+    return compare(normalize(actual), expected);
+}
+
+/**
+ * Match a compound selector against chain[at]; chain holds the node's ancestors, root first
+ */
+function matchCompound(compound, chain, at, options) {
+    const node = chain[at];
+    if (compound.type !== null && node.type !== compound.type) return false;
+    if (!compound.attributes.every(attribute => matchAttribute(node, attribute, options))) return false;
+    return compound.pseudos.every(pseudo => pseudo.name === 'has'
+        ? pseudo.selectors.some(parts => hasMatch(parts, chain, at, options))
+        : !pseudo.selectors.some(parts => matchComplex(parts, chain, at, options, 0)));
+}
+
+/**
+ * Match a complex selector against chain[at], right to left. Ancestors before
+ * minAt are out of reach (the :has subject and above, for relative selectors).
+ */
+function matchComplex(parts, chain, at, options, minAt) {
+    const step = (index, position) => {
+        const part = parts[index];
+        if (!matchCompound(part.compound, chain, position, options)) return false;
+        if (index === 0) {
+            // First part of a relative selector: positioned against the :has subject at minAt - 1
+            if (minAt === 0) return true;
+            return part.combinator === '>' ? position === minAt : position >= minAt;
+        }
+        if (part.combinator === '>') {
+            return position - 1 >= minAt && step(index - 1, position - 1);
+        }
+        for (let ancestor = position - 1; ancestor >= minAt; ancestor--) {
+            if (step(index - 1, ancestor)) return true;
+        }
+        return false;
+    };
+    return step(parts.length - 1, at);
+}
+
+/**
+ * Whether any descendant of chain[at] matches a relative selector
+ */
+function hasMatch(parts, chain, at, options) {
+    // `:has(> x)` only needs to look at children
+    const childrenOnly = parts.length === 1 && parts[0].combinator === '>';
+    // Work on a copy, so the caller's chain is left as it was
+    const subtreeChain = chain.slice(0, at + 1);
+    const search = (node) => {
+        for (const child of node.children || []) {
+            subtreeChain.push(child);
+            const found = matchComplex(parts, subtreeChain, subtreeChain.length - 1, options, at + 1)
+                || (!childrenOnly && search(child));
+            subtreeChain.pop();
+            if (found) return true;
+        }
+        return false;
+    };
+    return search(chain[at]);
+}
+
+/**
+ * Find the nodes of a built tree that match a selector.
+ * Shared subtrees are reported once per place they appear, each with its own path.
+ * @param {object} tree - Tree from TreeBuilder.build()
+ * @param {string|object[]} selector - Selector string, or the result of parseSelector()
+ * @param {object} options
+ * @param {function} options.getDefinition - (name) => { name, definition } | null, e.g. createPoolLookup(pool),
+ *                                          for attributes of function nodes that are only in their definition
+ * @returns {{ node: object, path: string[] }[]} Matches in document order; path holds node names from the root
+ */
+function queryTree(tree, selector, options = {}) {
+    const selectors = typeof selector === 'string' ? parseSelector(selector) : selector;
+    const matches = [];
+    const chain = [];
+
+    const walk = (node) => {
+        if (!node) return;
+        chain.push(node);
+        const at = chain.length - 1;
+        if (selectors.some(parts => matchComplex(parts, chain, at, options, 0))) {
+            matches.push({ node, path: chain.map(ancestor => ancestor.name) });
+        }
+        for (const child of node.children || []) {
+            walk(child);
+        }
+        chain.pop();
+    };
+
+    walk(tree);
+    return matches;
+}
+
+export { queryTree, parseSelector };
@@ -0,0 +1,89 @@
+/**
+ * Terminal Tree Renderer
+ *
+ * Renders a built tree (output of TreeBuilder.build()) as indented text for the
+ * terminal, one node per line with its type marker and metadata_lines text:
+ *
+ *   nims-wt-pend-process-app [app]
+ *   └── WT9000J [ui-services]
+ *       └── resolvePend [ui-service-method]
+ *           └── RPWTWR.PFQ [timer]
+ *               │ · queue depth: 3
+ *               └── processWTPayments [function]
+ */
+
+const CHARSETS = {
+    unicode: { branch: '├── ', last: '└── ', pipe: '│   ', blank: '    ', metadata: '· ' },
+    ascii: { branch: '|-- ', last: '`-- ', pipe: '|   ', blank: '    ', metadata: '- ' }
+};
+
+const ANSI = {
+    reset: '\x1b[0m',
+    bold: '\x1b[1m',
+    dim: '\x1b[2m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m',
+    grey: '\x1b[90m'
+};
+
+const TYPE_COLORS = {
+    'app': ['bold', 'blue'],
+    'ui-services': ['bold', 'green'],
+    'ui-service-method': ['green'],
+    'timer': ['yellow'],
+    'queue': ['yellow'],
+    'topic': ['magenta'],
+    'smart': ['cyan'],
+    'warning': ['bold', 'yellow'],
+    'error': ['bold', 'red'],
+    'dupe-stopper': ['grey']
+};
+
+/**
+ * Render a built tree as text
+ * @param {object} tree - Tree from TreeBuilder.build()
+ * @param {object} options
+ * @param {string} options.charset - 'unicode' (default) box-drawing characters or plain 'ascii'
+ * @param {boolean} options.color - Colour node names by type with ANSI escapes (default: false)
+ * @param {boolean} options.metadata - Print metadata_lines text under each node (default: true)
+ * @returns {string}
+ */
+function renderTree(tree, options = {}) {
+    const { charset = 'unicode', color = false, metadata = true } = options;
+    const chars = CHARSETS[charset];
+    if (!chars) {
+        throw new Error(`Unknown charset "${charset}". Expected one of: ${Object.keys(CHARSETS).join(', ')}`);
+    }
+
+    const paint = (text, styles) => {
+        if (!color || !styles?.length) return text;
+        return `${styles.map(style => ANSI[style]).join('')}${text}${ANSI.reset}`;
+    };
+
+    const lines = [];
+    const walk = (node, prefix, connector, childPrefix) => {
+        lines.push(`${prefix}${connector}${paint(node.name, TYPE_COLORS[node.type])} ${paint(`[${node.type}]`, ['dim'])}`);
+
+        const children = node.children || [];
+        if (metadata) {
+            // Keep the vertical guide running past the metadata when children follow
+            const guide = children.length > 0 ? `${chars.pipe[0]} ` : '  ';
+            for (const line of node.metadata_lines || []) {
+                lines.push(`${childPrefix}${guide}${paint(`${chars.metadata}${line.text}`, ['dim'])}`);
+            }
+        }
+        children.forEach((child, index) => {
+            const isLast = index === children.length - 1;
+            walk(child, childPrefix, isLast ? chars.last : chars.branch, childPrefix + (isLast ? chars.blank : chars.pipe));
+        });
+    };
+
+    if (tree) walk(tree, '', '', '');
+    return `${lines.join('\n')}\n`;
+}
+
+export { renderTree };